@@ -16,132 +16,153 @@ pragma solidity ^0.8.22;
  * │                                                                       │
  * │ Key features                                                           │
  * │  ✔ **Deadline‑aware scheduling** – On join a member may state the      │
- * │    *latest* cycle they need their payout; an EDF‑based algorithm       │
- * │    produces a schedule that satisfies as many wishes as possible.      │
+ * │    *earliest* and *latest* cycle for their payout; an EDF schedule     │
+ * │    meets every window whenever possible and reports the rest.          │
  * │  ✔ **Emergency pause**             – Multisig owner can halt all state │
  * │    changes; replaces the legacy `emergencyWithdraw`.                   │
  * │  ✔ **Collateral option**           – Groups may run with or without a  │
  * │    payout‑sized security deposit.                                      │
+ * │  ✔ **ERC‑20 mode**                 – Optionally every amount (stake,   │
+ * │    contribution, pot, refund) is a token such as a stablecoin.         │
+ * │  ✔ **Bidding mode**                – Instead of a fixed order, unpaid  │
+ * │    members auction each pot (open or sealed bids); the discount the    │
+ * │    winner accepts is shared out to everyone else.                      │
+ * │  ✔ **Invite‑only groups**          – A Merkle allowlist and/or EIP‑712 │
+ * │    vouchers signed by the creator gate who may join.                   │
+ * │  ✔ **Enrollment deadline**         – An unfilled group either cancels  │
+ * │    (collateral reclaimable) or, if allowed, starts with who it has.    │
+ * │  ✔ **Pull payments**               – Pots, surplus and refunds are     │
+ * │    credited and claimed via `withdraw()`, so a recipient that rejects  │
+ * │    funds can never stall the group.                                    │
+ * │  ✔ **O(1) membership**             – Index mapping plus a contribution │
+ * │    bitmap per cycle; nothing is reset between payouts.                 │
+ * │  ✔ **Defaulter policy**            – An expelled member's pot covers   │
+ * │    their remaining contributions; the rest goes to honest members.     │
+ * │  ✔ **Grace period**                – Late payments still count, for a  │
+ * │    fee shared by on‑time payers; expulsion waits for the window.       │
+ * │  ✔ **Stalled groups**              – With no collateral, payers vote   │
+ * │    out silent members (smaller pots) or wind down and settle.          │
+ * │  ✔ **Random order**                – Members without a wish are        │
+ * │    placed by a commit‑reveal draw among members, not join order.       │
+ * │  ✔ **Slot swaps**                  – Two unpaid members may trade      │
+ * │    payout slots, optionally for a side payment, once both agree.       │
+ * │  ✔ **Member governance**           – Members propose and vote to       │
+ * │    expel someone, dissolve, or change the interval; passed ⇒ executed. │
+ * │  ✔ **Dissolution**                 – A group paused or idle for 30     │
+ * │    days can be wound up; members split what is left by net position.   │
+ * │  ✔ **Fees**                        – An organiser cut set at creation  │
+ * │    and a capped protocol cut are taken from each pot at payout.        │
+ * │  ✔ **Gasless calls**               – Members' signed requests for any  │
+ * │    action – joining, paying, voting, swaps – are relayed (EIP‑2771).   │
+ * │  ✔ **Prepaid contributions**       – Members deposit several cycles;   │
+ * │    each payout debits a missed contribution before any default.        │
+ * │  ✔ **Keeper upkeep**               – checkUpkeep/performUpkeep run     │
+ * │    due payouts, per group or batched; a pooled bounty pays keepers.    │
+ * │  ✔ **Reputation**                  – The factory keeps members'        │
+ * │    records across groups; a group may require a minimum score to join. │
  * │  ✔ Gas‑bounded loops (max 100 members) so every call is L1‑safe.       │
  * │                                                                       │
  * │ Upgrade notes                                                          │
  * │  • Storage layout is append‑only; new vars go below old ones.          │
  * │  • The implementation is meant to be cloned via a factory; existing    │
  * │    clones are immutable after deployment.                              │
+ * │  • All state lives in `ROSCAStorage`; calls the core does not know are │
+ * │    delegated to `ROSCAExtension` and from there to `ROSCAGovernance`;  │
+ * │    both share that layout.                                             │
  * └─────────────────────────────────────────────────────────────────────────┘
  */
 
 
-import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
-import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ROSCAStorage.sol";
 
-contract ROSCA
-    is Initializable, OwnableUpgradeable,
-       ReentrancyGuardUpgradeable, PausableUpgradeable
-{
-    using Address for address payable;
+contract ROSCA is ROSCAStorage, EIP712Upgradeable {
 
     /*//////////////////////////////////////////////////////////////////////////
-                                  CONFIG CONSTANTS
-    //////////////////////////////////////////////////////////////////////////*/
-
-    /// Hard cap so any `for` loop is ≤100 iterations → safe on main‑net gas
-    uint256 public constant MAX_PARTICIPANTS = 100;
-
-    /*//////////////////////////////////////////////////////////////////////////
-                               IMMUTABLE‑AFTER‑INIT
+                                     INITIALISE
     //////////////////////////////////////////////////////////////////////////*/
 
-    uint256 public contributionAmount;      // ETH each member pays per round
-    uint256 public interval;                // min seconds between payouts
-    uint256 public maxParticipants;         // == number of rounds
-    bool    public collateralEnabled;       // true → members post a bond
+    /// Module serving every call the core has no function for (see fallback)
+    address public immutable extension;
 
-    // Once group starts `participants` never changes length or order.
-    // join() pushes addresses here; _finaliseSchedule() copies into payoutOrder
-    address[] public participants;
-
-    // Final payout schedule length == maxParticipants.  Never modified after start.
-    address[] public payoutOrder;
-
-    /*//////////////////////////////////////////////////////////////////////////
-                                  STATE MACHINE
-    //////////////////////////////////////////////////////////////////////////*/
+    /// Immutables live in this implementation's code, so every clone shares
+    /// them – the EIP‑2771 forwarder too (address(0) ⇒ none), which the
+    /// modules must have been built with as well.
+    constructor(address _extension, address _forwarder) ROSCAStorage(_forwarder) {
+        extension = _extension;
+        _disableInitializers();
+    }
 
-    bool public started;                    // becomes true when roster full
-    bool public finished;                   // true after last payout
+    /**
+     * @param _cfg           Group rules, see `Config`
+     * @param _ownerMultisig Address that can pause/unpause; likely a Safe
+     */
+    function initialize(Config calldata _cfg, address _ownerMultisig)
+        external initializer
+    {
+        require(_cfg.maxParticipants > 1 && _cfg.maxParticipants <= MAX_PARTICIPANTS,
+                "participants out of bounds");
+        require(_ownerMultisig != address(0), "owner = 0");
+        if (_cfg.payoutMode != PayoutMode.Scheduled) {
+            require(_cfg.bidWindow > 0 && _cfg.bidWindow <= _cfg.interval,
+                    "bid window out of bounds");
+        }
+        require(_cfg.joinDeadline == 0 || _cfg.joinDeadline > block.timestamp,
+                "deadline passed");
+        require(_cfg.lateFee == 0 || _cfg.gracePeriod > 0, "late fee without grace");
+        require(_cfg.revealWindow == 0 || _cfg.payoutMode == PayoutMode.Scheduled,
+                "random order needs a schedule");
+        require(_cfg.quorumBps <= BPS && _cfg.thresholdBps <= BPS
+                && (_cfg.quorumBps == 0) == (_cfg.thresholdBps == 0), "bad governance");
+        require(_cfg.organiserFeeBps <= MAX_ORGANISER_FEE_BPS
+                && (_cfg.organiserFeeBps == 0 || _cfg.organiser != address(0)), "bad organiser fee");
 
-    uint256 public payoutSize;              // == contribution * maxParticipants
-    uint256 public collateralRequirement;   // == payoutSize when collateral on
+        __Ownable_init(_ownerMultisig);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __EIP712_init("ROSCA", "1");
 
-    /* Current‑cycle bookkeeping */
-    uint256 public currentCycle;            // 0‑indexed
-    uint256 public nextPayoutTime;          // unix timestamp
-    mapping(address => bool) public hasContributed;
-    uint256 public contributedCount;
+        contributionAmount = _cfg.contribution;
+        interval           = _cfg.interval;
+        maxParticipants    = _cfg.maxParticipants;
+        payoutSize         = _cfg.contribution * _cfg.maxParticipants;
 
-    /* Collateral / expulsion */
-    struct MemberInfo { uint256 collateralRemaining; bool expelled; }
-    mapping(address => MemberInfo) public memberInfo;
+        collateralEnabled      = _cfg.useCollateral;
+        collateralRequirement  = _cfg.useCollateral ? payoutSize : 0;
 
-    /*──────────────────────────── Preference feature (v2.4) ───────────────────*/
-    /// latestDesiredCycle: 1‑indexed deadline; 0 or >maxParticipants ⇒ no pref
-    mapping(address => uint256) public latestDesiredCycle;
+        token = IERC20(_cfg.token);
 
-    /*//////////////////////////////////////////////////////////////////////////
-                                      EVENTS
-    //////////////////////////////////////////////////////////////////////////*/
-    event ParticipantJoined(address indexed who, uint256 index);
-    event ScheduleFinalised(address[] order);
+        payoutMode = _cfg.payoutMode;
+        bidWindow  = _cfg.bidWindow;
 
-    event GroupStarted(uint256 startTime);
-    event CycleAdvanced(uint256 newCycle);
-    event GroupFinished(uint256 finishedAt);
+        allowlistRoot = _cfg.allowlistRoot;
+        inviteSigner  = _cfg.inviteSigner;
 
-    event Contributed(address indexed who, uint256 indexed cycle, uint256 amount);
-    event Payout(address indexed recipient,uint256 indexed cycle, uint256 amount);
+        joinDeadline  = _cfg.joinDeadline;
+        shrinkAllowed = _cfg.allowShrink;
 
-    event CollateralUsed(address indexed debtor,uint256 indexed cycle,uint256 share);
-    event CollateralRefunded(address indexed member,uint256 amount);
+        forfeitPolicy = _cfg.forfeitPolicy;
 
-    /*//////////////////////////////////////////////////////////////////////////
-                                     INITIALISE
-    //////////////////////////////////////////////////////////////////////////*/
+        gracePeriod = _cfg.gracePeriod;
+        lateFee     = _cfg.lateFee;
 
-    constructor() { _disableInitializers(); }
+        revealWindow = _cfg.revealWindow;
 
-    /**
-     * @param _contribution  ETH each member pays per cycle
-     * @param _interval      Seconds between payout opportunities
-     * @param _maxParticipants Also == number of cycles/payouts
-     * @param _useCollateral true → members deposit one full‑payout as bond
-     * @param _ownerMultisig Address that can pause/unpause; likely a Safe
-     */
-    function initialize(
-        uint256 _contribution,
-        uint256 _interval,
-        uint256 _maxParticipants,
-        bool    _useCollateral,
-        address _ownerMultisig
-    ) external initializer {
-        require(_maxParticipants > 1 && _maxParticipants <= MAX_PARTICIPANTS,
-                "participants out of bounds");
-        require(_ownerMultisig != address(0), "owner = 0");
+        quorumBps    = _cfg.quorumBps;
+        thresholdBps = _cfg.thresholdBps;
 
-        __Ownable_init(_ownerMultisig);
-        __ReentrancyGuard_init();
-        __Pausable_init();
+        organiser       = _cfg.organiser;
+        organiserFeeBps = _cfg.organiserFeeBps;
 
-        contributionAmount = _contribution;
-        interval           = _interval;
-        maxParticipants    = _maxParticipants;
-        payoutSize         = _contribution * _maxParticipants;
+        minReputation = _cfg.minReputation;
 
-        collateralEnabled      = _useCollateral;
-        collateralRequirement  = _useCollateral ? payoutSize : 0;
+        /* the factory's protocol fee in force now applies for good */
+        factory = msg.sender;
+        if (msg.sender.code.length > 0) {
+            (treasury, protocolFeeBps) = IGroupRegistry(msg.sender).protocolFee();
+        }
 
         started = false;
         finished = false;
@@ -153,7 +174,10 @@ contract ROSCA
                                       PAUSING
     //////////////////////////////////////////////////////////////////////////*/
     /// Multisig can halt all state‑changes in emergencies (re‑entrancy, bug, etc.)
-    function pause()   external onlyOwner { _pause();   }
+    function pause() external onlyOwner {
+        _pause();
+        pausedAt = block.timestamp;         // starts the clock on `dissolve()`
+    }
     function unpause() external onlyOwner { _unpause(); }
 
     /*//////////////////////////////////////////////////////////////////////////
@@ -164,84 +188,48 @@ contract ROSCA
      * Join the group.  Once `participants.length == maxParticipants`
      * we compute `payoutOrder` and flip `started = true`.
      *
-     * @param _latestCycle 1‑indexed “latest round I must be paid by”.
-     *                     0 or > N == no preference.
+     * @param _earliestCycle 1‑indexed “not paid before this round”.
+     * @param _latestCycle   1‑indexed “latest round I must be paid by”.
+     *                       For both, 0 or > N == no preference.
+     *                       Ignored in bidding mode.
+     *
+     * In ERC‑20 mode the collateral is pulled via `transferFrom`, so the
+     * member must `approve` `collateralRequirement` beforehand.
+     * Invite‑only groups must use `joinWithProof` / `joinWithInvite`.
      */
-    function join(uint256 _latestCycle) external payable whenNotPaused {
-        require(!started,              "ROSCA: already started");
-        require(!finished,             "ROSCA: finished");
-        require(!isParticipant(msg.sender), "ROSCA: already joined");
-        require(participants.length < maxParticipants, "ROSCA: full");
-
-        /* Collateral deposit */
-        if (collateralEnabled) {
-            require(msg.value == collateralRequirement, "ROSCA: bad collateral");
-            memberInfo[msg.sender] = MemberInfo(msg.value, false);
-        } else {
-            require(msg.value == 0, "ROSCA: collateral off");
-        }
-
-        participants.push(msg.sender);
-        latestDesiredCycle[msg.sender] = _latestCycle;
-        emit ParticipantJoined(msg.sender, participants.length - 1);
-
-        if (participants.length == maxParticipants) {
-            started        = true;
-            _finaliseSchedule(); // compute payoutOrder[]
-            nextPayoutTime = block.timestamp + interval;
-            emit GroupStarted(block.timestamp);
-        }
+    function join(uint256 _earliestCycle, uint256 _latestCycle) external payable whenNotPaused {
+        require(!isInviteOnly(), "ROSCA: invite only");
+        _join(_msgSender(), _earliestCycle, _latestCycle);
     }
 
-    /* ---------------- scheduler: earliest‑deadline‑first ------------------ */
-
-    /// Greedy EDF: 1) sort by deadline, 2) place each at earliest free slot,
-    /// 3) fill blank slots with no‑preference joiners in FCFS order.
-    function _finaliseSchedule() internal {
-        uint256 n = participants.length;
-        address[] memory order = new address[](n);
-        bool[]   memory taken = new bool[](n);
-
-        /* 1. Collect preference list sorted by deadline (insertion sort – n<=100) */
-        address[] memory prefs = new address[](n);
-        uint256 prefCount = 0;
-        for (uint i = 0; i < n; ++i) {
-            address p = participants[i];
-            uint256 d = latestDesiredCycle[p];
-            if (d != 0 && d <= n) {
-                // insertion into prefs by ascending d
-                uint j = prefCount;
-                while (j > 0 && latestDesiredCycle[prefs[j-1]] > d) {
-                    prefs[j] = prefs[j-1];
-                    j--;
-                }
-                prefs[j] = p;
-                prefCount++;
-            }
-        }
-
-        /* 2. Place preferred participants greedily */
-        for (uint i = 0; i < prefCount; ++i) {
-            address p = prefs[i];
-            uint256 deadline = latestDesiredCycle[p];
-            for (uint slot = 0; slot < deadline; ++slot) {
-                if (!taken[slot]) { order[slot] = p; taken[slot] = true; break; }
-            }
-        }
-
-        /* 3. Fill remaining slots with no‑preference members (FCFS) */
-        uint slotIdx = 0;
-        for (uint i = 0; i < n; ++i) {
-            address p = participants[i];
-            uint256 d = latestDesiredCycle[p];
-            if (d == 0 || d > n) {
-                while (slotIdx < n && taken[slotIdx]) slotIdx++;
-                if (slotIdx < n) { order[slotIdx] = p; taken[slotIdx] = true; slotIdx++; }
-            }
-        }
+    /// Join an allowlisted group with a Merkle proof for the caller.
+    function joinWithProof(uint256 _earliestCycle, uint256 _latestCycle, bytes32[] calldata _proof)
+        external payable whenNotPaused
+    {
+        address member = _msgSender();
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(member))));
+        require(allowlistRoot != bytes32(0) &&
+                MerkleProof.verifyCalldata(_proof, allowlistRoot, leaf),
+                "ROSCA: not allowlisted");
+        _join(member, _earliestCycle, _latestCycle);
+    }
 
-        payoutOrder = order;
-        emit ScheduleFinalised(order);
+    /// Join with an EIP‑712 voucher from `inviteSigner` naming the caller.
+    function joinWithInvite(
+        uint256 _earliestCycle,
+        uint256 _latestCycle,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external payable whenNotPaused {
+        require(block.timestamp <= _deadline, "ROSCA: invite expired");
+        address member = _msgSender();
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(INVITE_TYPEHASH, member, _deadline))
+        );
+        require(inviteSigner != address(0) &&
+                ECDSA.recover(digest, _signature) == inviteSigner,
+                "ROSCA: bad invite");
+        _join(member, _earliestCycle, _latestCycle);
     }
 
     /*//////////////////////////////////////////////////////////////////////////
@@ -249,81 +237,245 @@ contract ROSCA
     //////////////////////////////////////////////////////////////////////////*/
 
     /**
-     * Members call once per cycle with exactly `contributionAmount` ETH.
+     * Members call once per cycle with exactly `contributionAmount` ETH
+     * (ERC‑20 mode: no ETH, the amount is pulled from a prior `approve`).
      * If everyone has paid and `interval` passed, anyone may later call
      * `triggerPayout()` (or the first payer of the next round auto‑calls it).
      */
     function contribute() external payable whenNotPaused {
         require(started, "ROSCA: not started");
         require(!finished, "ROSCA: finished");
-        require(isParticipant(msg.sender), "ROSCA: not in group");
-        require(msg.value == contributionAmount, "ROSCA: wrong amount");
-        require(!memberInfo[msg.sender].expelled, "ROSCA: user expelled");
+        address member = _msgSender();
+        require(isParticipant(member), "ROSCA: not in group");
+        require(!memberInfo[member].expelled, "ROSCA: user expelled");
 
 
         /* This makes it easier for participants with automated contributions as triggerPayout()
         is called automatically by the first contributor of the next cycle, so it never blocks. */
-        if (block.timestamp >= nextPayoutTime && hasContributed[msg.sender]) {
+        if (block.timestamp >= payoutOpensAt() && hasContributed(member)) {
             triggerPayout();
         }
 
-        require(!hasContributed[msg.sender], "ROSCA: already paid");
-        hasContributed[msg.sender] = true;
+        require(!hasContributed(member), "ROSCA: already paid");
+        contributedBits[currentCycle] |= _bit(member);
         contributedCount += 1;
-        emit Contributed(msg.sender, currentCycle, msg.value);
+
+        uint256 fee;
+        if (isLate()) {
+            fee = lateFee;
+            lateBits[currentCycle] |= _bit(member);
+            lateFeesPending += fee;
+            emit LateContribution(member, currentCycle, fee);
+        }
+        _collect(contributionAmount + fee, "ROSCA: wrong amount");
+        emit Contributed(member, currentCycle, contributionAmount);
     }
 
     /* ------------------------- main payout entry ------------------------- */
     function triggerPayout() public nonReentrant whenNotPaused {
         require(started, "ROSCA: not started");
         require(!finished, "ROSCA: finished");
-        require(block.timestamp >= nextPayoutTime, "ROSCA: interval");
+        require(block.timestamp >= payoutOpensAt(), "ROSCA: interval");
+        require(!_awaitingPayment() || block.timestamp >= payoutOpensAt() + gracePeriod,
+                "ROSCA: grace period");
 
-        _coverOrExpelDefaulters();  
+        _coverOrExpelDefaulters();
+        if (lateFeesPending > 0) _shareLateFees();
 
-        require(contributedCount == participants.length,
+        require(contributedCount == activeMembers(),
                 "ROSCA: contributions mismatch");
         contributedCount = 0;               // reset for next cycle
 
-        /* --- send pot --- */
-        address recipient = payoutOrder[currentCycle];
-        
+        /* --- pick recipient: fixed slot or auction winner --- */
+        address recipient;
+        uint256 amount = payoutSize;
+        if (payoutMode == PayoutMode.Scheduled) {
+            recipient = payoutOrder[currentCycle];
+        } else {
+            (recipient, amount) = _settleAuction();
+        }
+        paidOut[recipient] = true;
+
+        /* --- credit pot (claimed via withdraw) --- */
         currentCycle += 1;
-        if (currentCycle == participants.length) {
+        if (currentCycle == totalCycles()) {
             finished = true;
             emit GroupFinished(block.timestamp);
+            _reportState(GroupState.Finished);
         } else {
             nextPayoutTime = block.timestamp + interval;
             emit CycleAdvanced(currentCycle);
         }
 
-        payable(recipient).sendValue(payoutSize);
-        emit Payout(recipient, currentCycle - 1, payoutSize);
+        /* fees come off the full pot in every mode; a winning bid then
+           takes its share of the rest and the discount is shared out */
+        uint256 net = _takeFees(payoutSize);
+        if (amount < payoutSize) {
+            uint256 won = amount * net / payoutSize;
+            _shareSurplus(recipient, net - won);
+            amount = won;
+        } else {
+            amount = net;
+        }
+        if (memberInfo[recipient].expelled) {
+            _forfeitPot(recipient, amount);
+        } else {
+            withdrawable[recipient] += amount;
+            emit Payout(recipient, currentCycle - 1, amount);
+        }
+
+        if (finished && forfeitPool > 0) {
+            uint256 held = forfeitPool;
+            forfeitPool = 0;
+            _shareForfeit(recipient, held);
+        }
     }
 
     /**
-     * Iterate participants once:
-     *   • if not paid, either cover via collateral+expel or revert (no‑collateral mode)
-     *   • clear `hasContributed[..]` bitmap for next cycle
+     * Walk the clear bits of this cycle's bitmap (skipped when everyone paid):
+     *   • pay from the member's prepaid balance if it covers the contribution
+     *   • otherwise cover the defaulter via collateral+expel (reported to the
+     *     factory's reputation registry), or revert (no‑collateral mode –
+     *     members then vote on a remedy, see `ROSCAExtension`)
+     *   • members already voted out are no longer expected to pay
+     * Nothing is reset – the next cycle simply starts on a fresh bitmap word.
      */
     function _coverOrExpelDefaulters() internal {
-        for (uint i = 0; i < participants.length; ++i) {
+        uint256 n = participants.length;
+        if (contributedCount == activeMembers()) return;
+
+        uint256 paid = contributedBits[currentCycle];
+        for (uint i = 0; i < n; ++i) {
             address p = participants[i];
-            if (!hasContributed[p]) {
-                if (collateralEnabled) {
-                    if (!memberInfo[p].expelled) {
-                        memberInfo[p].expelled = true;
-                    }
-                    deductFromCollateral(p ,contributionAmount);
-                    contributedCount += 1;
-                } else {
-                    revert("ROSCA: unpaid member");
-                }
+            if (paid & (1 << i) != 0 || votedOut[p] || _usePrepaid(p, 1 << i)) continue;
+            if (!collateralEnabled) revert("ROSCA: unpaid member");
+
+            if (!memberInfo[p].expelled) {
+                memberInfo[p].expelled = true;
+                emit MemberExpelled(p, currentCycle, paidOut[p]);
+                _reportExpelled(p);
             }
-            hasContributed[p] = false;   // reset bitmap
+            deductFromCollateral(p ,contributionAmount);
+            contributedCount += 1;
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                       UPKEEP
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /**
+     * Keeper entry point (Chainlink Automation style, see `checkUpkeep`):
+     * runs the due payout and credits the keeper `upkeepBounty` from the
+     * pool while it lasts.  The factory's batch passes its own caller on
+     * as `performData`; anyone else is credited themselves.
+     */
+    function performUpkeep(bytes calldata performData) external {
+        triggerPayout();
+        address keeper = msg.sender == factory ? abi.decode(performData, (address)) : _msgSender();
+        uint256 bounty = upkeepBounty < bountyPool ? upkeepBounty : bountyPool;
+        if (bounty > 0) {
+            bountyPool -= bounty;
+            withdrawable[keeper] += bounty;
+        }
+        emit UpkeepPerformed(keeper, currentCycle - 1, bounty);
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                   BIDDING (AUCTION)
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /// Bids are placed through `ROSCAExtension`; the core only settles them.
+
+    /**
+     * Winner = lowest bid; with no bids the first unpaid member (join order)
+     * takes the full pot.  Resets the per‑cycle auction state.
+     */
+    function _settleAuction() internal returns (address winner, uint256 amount) {
+        winner = bestBidder;
+        amount = bestBid;
+        if (winner == address(0)) {
+            for (uint i = 0; i < participants.length; ++i) {
+                address p = participants[i];
+                if (!paidOut[p] && !votedOut[p]) { winner = p; break; }
+            }
+            amount = payoutSize;
+        }
+        delete bestBidder;
+        delete bestBid;
+
+        payoutOrder.push(winner);
+        emit AuctionSettled(currentCycle, winner, amount, payoutSize - amount);
+    }
+
+    /// Split the winner's discount evenly among all other active members;
+    /// rounding dust goes back to the winner's side so totals stay exact.
+    function _shareSurplus(address winner, uint256 surplus) internal {
+        uint256 others = activeMembers() - 1;
+        uint256 share  = others == 0 ? 0 : surplus / others;
+        uint256 cycle  = currentCycle - 1;
+        for (uint i = 0; i < participants.length; ++i) {
+            address p = participants[i];
+            if (p == winner || votedOut[p]) continue;
+            withdrawable[p] += share;
+            emit SurplusShared(p, cycle, share);
+        }
+        withdrawable[winner] += surplus - share * others;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                  DEFAULTER POLICY
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /**
+     * An expelled member's slot came up.  Their pot is not paid out:
+     *   1. contributions for every cycle still to come are reserved on top
+     *      of their collateral, so nobody else ends up funding them;
+     *   2. the rest is shared with honest members (or pooled until the end).
+     * Collateral that is never tapped is still refundable once finished.
+     */
+    function _forfeitPot(address defaulter, uint256 pot) internal {
+        uint256 reserved = (totalCycles() - currentCycle) * contributionAmount;
+        if (reserved > pot) reserved = pot;
+        uint256 leftover = pot - reserved;
+
+        memberInfo[defaulter].collateralRemaining += reserved;
+        emit PotForfeited(defaulter, currentCycle - 1, reserved, leftover);
+
+        if (leftover == 0) return;
+        if (forfeitPolicy == ForfeitPolicy.HoldUntilEnd && !finished) {
+            forfeitPool += leftover;
+        } else {
+            _shareForfeit(defaulter, leftover);
         }
     }
 
+    /// Split `amount` equally among non‑expelled members; dust to the first
+    /// of them.  With nobody left in good standing it falls back to `fallbackTo`.
+    function _shareForfeit(address fallbackTo, uint256 amount) internal {
+        uint256 n = participants.length;
+        uint256 honest;
+        address first;
+        for (uint i = 0; i < n; ++i) {
+            if (memberInfo[participants[i]].expelled) continue;
+            if (honest++ == 0) first = participants[i];
+        }
+        if (honest == 0) {
+            withdrawable[fallbackTo] += amount;
+            return;
+        }
+
+        uint256 share = amount / honest;
+        uint256 cycle = currentCycle - 1;
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (memberInfo[p].expelled) continue;
+            withdrawable[p] += share;
+            emit ForfeitShared(p, cycle, share);
+        }
+        withdrawable[first] += amount - share * honest;
+    }
+
     /*//////////////////////////////////////////////////////////////////////////
                                  COLLATERAL MANAGEMENT
     //////////////////////////////////////////////////////////////////////////*/
@@ -339,33 +491,73 @@ contract ROSCA
 
     function refundCollateral() external nonReentrant whenNotPaused {
         require(collateralEnabled, "ROSCA: collateral off");
-        require(finished, "ROSCA: rounds ongoing");
+        require(finished || cancelled, "ROSCA: rounds ongoing");
 
-        uint256 amt = memberInfo[msg.sender].collateralRemaining;
+        address member = _msgSender();
+        uint256 amt = memberInfo[member].collateralRemaining;
         require(amt > 0, "ROSCA: none");
 
-        memberInfo[msg.sender].collateralRemaining = 0;
-        payable(msg.sender).sendValue(amt);
-        emit CollateralRefunded(msg.sender, amt);
+        memberInfo[member].collateralRemaining = 0;
+        withdrawable[member] += amt;
+        emit CollateralRefunded(member, amt);
     }
 
     /*//////////////////////////////////////////////////////////////////////////
-                                    VIEW HELPERS
+                                     WITHDRAWALS
     //////////////////////////////////////////////////////////////////////////*/
-    function isParticipant(address a) public view returns (bool) {
-        for (uint256 i = 0; i < participants.length; ++i) {
-            if (participants[i] == a) return true;
-        }
-        return false;
+    /// Claim everything credited to the caller.  Only the caller is affected
+    /// if the transfer fails, the group itself keeps running.  Once the group
+    /// is dissolved a pause no longer blocks it.
+    function withdraw() external nonReentrant {
+        if (!dissolved) _requireNotPaused();
+        address member = _msgSender();
+        uint256 amt = withdrawable[member];
+        require(amt > 0, "ROSCA: nothing to withdraw");
+
+        withdrawable[member] = 0;
+        _send(member, amt);
+        emit Withdrawn(member, amt);
     }
 
+    /*//////////////////////////////////////////////////////////////////////////
+                                    VIEW HELPERS
+    //////////////////////////////////////////////////////////////////////////*/
     function allContributed() external view returns (bool) {
-        return contributedCount == participants.length;
+        return contributedCount == activeMembers();
+    }
+
+    function isInviteOnly() public view returns (bool) {
+        return allowlistRoot != bytes32(0) || inviteSigner != address(0);
+    }
+
+    /// Paying now would be late (only meaningful when a grace period is set)
+    function isLate() public view returns (bool) {
+        return gracePeriod > 0 && started && block.timestamp >= payoutOpensAt();
+    }
+
+    /// What `contribute()` expects right now, late fee included
+    function contributionDue() external view returns (uint256) {
+        return isLate() ? contributionAmount + lateFee : contributionAmount;
     }
 
     /*//////////////////////////////////////////////////////////////////////////
                                    FALLBACK GUARDS
     //////////////////////////////////////////////////////////////////////////*/
     receive() external payable { revert("Use contribute()"); }
-    fallback() external payable { revert("Bad call"); }
+
+    /// Delegate to `extension`: it runs on this group's storage, so
+    /// governance, settlement and snapshot views live there without
+    /// pushing the core past the contract size limit.
+    fallback() external payable {
+        address ext = extension;
+        require(ext != address(0), "Bad call");
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), ext, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch ok
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
 }
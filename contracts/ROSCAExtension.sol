@@ -0,0 +1,508 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./ROSCAStorage.sol";
+
+/**
+ * @title ROSCAExtension
+ * @notice Second half of a ROSCA group.  Never called directly: the core's
+ *         fallback `delegatecall`s here, so everything below runs on the
+ *         group's own storage (see `ROSCAStorage`).  Holds the colder paths
+ *         – full‑state snapshots, auction bids, leaving and closing
+ *         enrollment, the random draw and what happens when a group gets
+ *         stuck –
+ *         and passes what it does not know on to `governance` in turn.
+ */
+contract ROSCAExtension is ROSCAStorage {
+
+    /// Next module in the chain (see fallback)
+    address public immutable governance;
+
+    constructor(address _governance, address _forwarder) ROSCAStorage(_forwarder) {
+        governance = _governance;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                  SNAPSHOT VIEWS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// One row per participant, in join order
+    struct MemberStatus {
+        address member;
+        bool    paid;               // contributed this cycle
+        bool    expelled;
+        bool    paidOut;            // already received a pot
+        uint256 collateral;         // collateral still held
+        uint256 earliestCycle;      // payout window given at join
+        uint256 latestCycle;
+        uint256 withdrawable;
+        uint256 prepaid;            // contributions deposited ahead
+    }
+
+    /// Everything a UI needs to render a group, in one call
+    struct Snapshot {
+        Config         config;      // creation rules (current size after a shrink)
+        address        owner;
+        bool           started;
+        bool           finished;
+        bool           cancelled;
+        bool           paused;
+        uint256        currentCycle;
+        uint256        nextPayoutTime;
+        uint256        payoutOpensAt;
+        uint256        payoutSize;
+        uint256        collateralRequirement;
+        uint256        contributedCount;
+        address[]      participants;
+        address[]      payoutOrder;
+        MemberStatus[] members;
+    }
+
+    function getParticipants() external view returns (address[] memory) {
+        return participants;
+    }
+
+    function getSnapshot() external view returns (Snapshot memory s) {
+        s.config = Config({
+            contribution:    contributionAmount,
+            interval:        interval,
+            maxParticipants: maxParticipants,
+            useCollateral:   collateralEnabled,
+            token:           address(token),
+            payoutMode:      payoutMode,
+            bidWindow:       bidWindow,
+            allowlistRoot:   allowlistRoot,
+            inviteSigner:    inviteSigner,
+            joinDeadline:    joinDeadline,
+            allowShrink:     shrinkAllowed,
+            forfeitPolicy:   forfeitPolicy,
+            gracePeriod:     gracePeriod,
+            lateFee:         lateFee,
+            revealWindow:    revealWindow,
+            quorumBps:       quorumBps,
+            thresholdBps:    thresholdBps,
+            organiser:       organiser,
+            organiserFeeBps: organiserFeeBps,
+            minReputation:   minReputation
+        });
+        s.owner                 = owner();
+        s.started               = started;
+        s.finished              = finished;
+        s.cancelled             = cancelled;
+        s.paused                = paused();
+        s.currentCycle          = currentCycle;
+        s.nextPayoutTime        = nextPayoutTime;
+        s.payoutOpensAt         = payoutOpensAt();
+        s.payoutSize            = payoutSize;
+        s.collateralRequirement = collateralRequirement;
+        s.contributedCount      = contributedCount;
+        s.participants          = participants;
+        s.payoutOrder           = payoutOrder;
+
+        uint256 paid = contributedBits[currentCycle];
+        s.members = new MemberStatus[](participants.length);
+        for (uint256 i = 0; i < participants.length; ++i) {
+            address p = participants[i];
+            s.members[i] = MemberStatus({
+                member:       p,
+                paid:         paid & (1 << i) != 0,
+                expelled:     memberInfo[p].expelled,
+                paidOut:      paidOut[p],
+                collateral:   memberInfo[p].collateralRemaining,
+                earliestCycle: earliestDesiredCycle[p],
+                latestCycle:  latestDesiredCycle[p],
+                withdrawable: withdrawable[p],
+                prepaid:      prepaid[p]
+            });
+        }
+    }
+
+    /// How a pot of `_pot` splits: organiser fee, protocol fee and what
+    /// the member is credited (see `FeesCharged`).  An auction winner is
+    /// credited `bid × net / _pot` of the full pot's net.
+    function feeSplit(uint256 _pot)
+        external view returns (uint256 toOrganiser, uint256 toProtocol, uint256 net)
+    {
+        toOrganiser = _pot * organiserFeeBps / BPS;
+        toProtocol  = _pot * protocolFeeBps / BPS;
+        net         = _pot - toOrganiser - toProtocol;
+    }
+
+    /// Did `a` pay in `cycle`?  Collateral‑covered defaults read as false.
+    function contributedIn(uint256 cycle, address a) external view returns (bool) {
+        return contributedBits[cycle] & _bit(a) != 0;
+    }
+
+    /// Everyone who paid in `cycle`, in join order
+    function contributorsIn(uint256 cycle) external view returns (address[] memory out) {
+        uint256 paid = contributedBits[cycle];
+        uint256 n    = participants.length;
+        uint256 k;
+        for (uint256 i = 0; i < n; ++i) if (paid & (1 << i) != 0) ++k;
+
+        out = new address[](k);
+        k = 0;
+        for (uint256 i = 0; i < n; ++i) {
+            if (paid & (1 << i) != 0) out[k++] = participants[i];
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                   AUCTION BIDS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Settled by the core in `triggerPayout` (`_settleAuction`).
+
+    /**
+     * Open auction: offer to take this cycle's pot for only `_amount`
+     * (≤ payoutSize).  The lowest standing bid wins; ties go to whoever
+     * bid first.  A bidder may undercut their own bid.
+     */
+    function placeBid(uint256 _amount) external whenNotPaused {
+        address bidder = _msgSender();
+        require(payoutMode == PayoutMode.OpenBid, "ROSCA: not open bidding");
+        _checkBidder(bidder);
+        require(block.timestamp >= nextPayoutTime - bidWindow &&
+                block.timestamp <  nextPayoutTime, "ROSCA: bidding closed");
+        _recordBid(bidder, _amount);
+    }
+
+    /// Sealed auction, phase 1: commit to `keccak256(abi.encodePacked(bidder, amount, salt))`.
+    function commitBid(bytes32 _commitment) external whenNotPaused {
+        address bidder = _msgSender();
+        require(payoutMode == PayoutMode.SealedBid, "ROSCA: not sealed bidding");
+        _checkBidder(bidder);
+        require(block.timestamp >= nextPayoutTime - bidWindow &&
+                block.timestamp <  nextPayoutTime, "ROSCA: bidding closed");
+
+        bidCommitments[currentCycle][bidder] = _commitment;
+        emit BidCommitted(bidder, currentCycle);
+    }
+
+    /// Sealed auction, phase 2: open the commitment during [nextPayoutTime, +bidWindow).
+    function revealBid(uint256 _amount, bytes32 _salt) external whenNotPaused {
+        address bidder = _msgSender();
+        require(payoutMode == PayoutMode.SealedBid, "ROSCA: not sealed bidding");
+        require(block.timestamp >= nextPayoutTime &&
+                block.timestamp <  nextPayoutTime + bidWindow, "ROSCA: not reveal phase");
+
+        bytes32 c = bidCommitments[currentCycle][bidder];
+        require(c != bytes32(0), "ROSCA: no commitment");
+        require(c == keccak256(abi.encodePacked(bidder, _amount, _salt)),
+                "ROSCA: bad reveal");
+
+        delete bidCommitments[currentCycle][bidder];
+        _recordBid(bidder, _amount);
+    }
+
+    /// Only members still waiting for a pot, in good standing, may bid.
+    function _checkBidder(address bidder) internal view {
+        require(started && !finished, "ROSCA: not running");
+        require(isParticipant(bidder), "ROSCA: not in group");
+        require(!memberInfo[bidder].expelled, "ROSCA: user expelled");
+        require(!paidOut[bidder], "ROSCA: already paid out");
+    }
+
+    function _recordBid(address bidder, uint256 _amount) internal {
+        require(_amount <= payoutSize, "ROSCA: bid above pot");
+        require(bestBidder == address(0) || _amount < bestBid, "ROSCA: bid too high");
+
+        bestBidder = bidder;
+        bestBid    = _amount;
+        emit BidPlaced(bidder, currentCycle, _amount);
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                    ENROLLMENT
+    //////////////////////////////////////////////////////////////////////////*/
+    /**
+     * Leave before the roster fills: frees the slot, forgets the payout
+     * wish and credits back any collateral, prepaid contributions and seed
+     * bond.  Join
+     * order of the others is kept, so the FCFS part of the scheduler is
+     * unaffected.
+     */
+    function leave() external nonReentrant whenNotPaused {
+        address member = _msgSender();
+        require(!started, "ROSCA: already started");
+        require(revealDeadline == 0, "ROSCA: drawing order");
+        require(isParticipant(member), "ROSCA: not in group");
+
+        uint256 n = participants.length;
+        for (uint256 i = memberIndex[member]; i < n; ++i) {
+            address next = participants[i];
+            participants[i - 1] = next;
+            memberIndex[next] = i;
+        }
+        participants.pop();
+        delete memberIndex[member];
+
+        uint256 refund = memberInfo[member].collateralRemaining + prepaid[member];
+        delete memberInfo[member];
+        delete prepaid[member];
+        delete latestDesiredCycle[member];
+        delete earliestDesiredCycle[member];
+        if (seedCommitment[member] != 0) {
+            delete seedCommitment[member];
+            seedCommits -= 1;
+            refund += contributionAmount;
+        }
+
+        withdrawable[member] += refund;
+        emit ParticipantLeft(member, refund);
+    }
+
+    /**
+     * Anyone may settle an unfilled group once `joinDeadline` has passed:
+     *   • shrinkAllowed and ≥2 members → resize to the current roster and
+     *     start; surplus collateral is credited back to every member.
+     *   • otherwise → cancel; members reclaim collateral via
+     *     `refundCollateral()` (or `leave()`).
+     */
+    function closeEnrollment() external nonReentrant whenNotPaused {
+        require(!started && !cancelled && revealDeadline == 0, "ROSCA: not enrolling");
+        require(joinDeadline != 0 && block.timestamp > joinDeadline, "ROSCA: enrollment open");
+
+        uint256 n = participants.length;
+        if (!shrinkAllowed || n < 2) {
+            cancelled = true;
+            _returnSeedBonds();
+            emit GroupCancelled(block.timestamp);
+            _reportState(GroupState.Finished);
+            return;
+        }
+
+        emit GroupShrunk(maxParticipants, n);
+        uint256 oldRequirement = collateralRequirement;
+        maxParticipants        = n;
+        payoutSize             = contributionAmount * n;
+        collateralRequirement  = collateralEnabled ? payoutSize : 0;
+        _rosterComplete();
+
+        uint256 excess = oldRequirement - collateralRequirement;
+        if (excess > 0) {
+            for (uint i = 0; i < n; ++i) {
+                address p = participants[i];
+                memberInfo[p].collateralRemaining -= excess;
+                withdrawable[p] += excess;
+                emit CollateralRefunded(p, excess);
+            }
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                  PAYOUT WINDOWS
+    //////////////////////////////////////////////////////////////////////////*/
+    /**
+     * Would someone joining now with this window still be paid inside it –
+     * without pushing any current member out of theirs?  Later joiners are
+     * assumed to have no preference.  False when joining is no longer
+     * possible and in bidding mode, where there is no fixed schedule.
+     */
+    function windowAvailable(uint256 _earliestCycle, uint256 _latestCycle)
+        external view returns (bool)
+    {
+        if (started || cancelled || payoutMode != PayoutMode.Scheduled) return false;
+        if (_earliestCycle != 0 && _latestCycle != 0 && _earliestCycle > _latestCycle) return false;
+        uint256 n     = participants.length;
+        uint256 slots = maxParticipants;
+        if (n == slots) return false;
+
+        uint256[] memory lo = new uint256[](n + 1);
+        uint256[] memory hi = new uint256[](n + 1);
+        for (uint256 i = 0; i < n; ++i) {
+            address p = participants[i];
+            (lo[i], hi[i]) = _window(earliestDesiredCycle[p], latestDesiredCycle[p], slots);
+        }
+        (lo[n], hi[n]) = _window(_earliestCycle, _latestCycle, slots);
+
+        /* without `fill` only in‑window placements happen; ties cannot
+           change whether everyone fits, so join order serves as rank */
+        uint256[] memory rank = new uint256[](n + 1);
+        for (uint256 i = 0; i <= n; ++i) rank[i] = i;
+        uint256[] memory order = _edf(lo, hi, rank, slots, false);
+        uint256 placed;
+        for (uint256 t = 0; t < slots; ++t) if (order[t] != NO_SLOT) ++placed;
+        return placed == n + 1;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                   RANDOM ORDER
+    //////////////////////////////////////////////////////////////////////////*/
+    /**
+     * Commit to a secret while enrolling: `keccak256(abi.encode(member,
+     * secret))`.  May be replaced until the roster is full.  Only members
+     * who commit can reveal, and only those who reveal are drawn ahead of
+     * the rest.  The first commit posts a bond of one contribution, so a
+     * member cannot watch the others' reveals and withhold theirs for free.
+     */
+    function commitSeed(bytes32 _commitment) external payable nonReentrant whenNotPaused {
+        address member = _msgSender();
+        require(revealWindow != 0, "ROSCA: not random order");
+        require(!started && revealDeadline == 0, "ROSCA: enrollment over");
+        require(isParticipant(member), "ROSCA: not in group");
+        require(_commitment != bytes32(0), "ROSCA: empty commitment");
+
+        if (seedCommitment[member] == 0) {
+            _collect(contributionAmount, "ROSCA: bad bond");
+            seedCommits += 1;
+        } else {
+            require(msg.value == 0, "ROSCA: bond posted");
+        }
+        seedCommitment[member] = _commitment;
+        emit SeedCommitted(member);
+    }
+
+    /// Reveal during the reveal window and get the bond back; the last
+    /// outstanding reveal starts the group right away.
+    function revealSeed(bytes32 _secret) external nonReentrant whenNotPaused {
+        address member = _msgSender();
+        require(revealDeadline != 0 && !started, "ROSCA: not reveal phase");
+        require(block.timestamp <= revealDeadline, "ROSCA: reveal closed");
+        bytes32 c = seedCommitment[member];
+        require(c != 0, "ROSCA: no commitment");
+        require(revealedBits & _bit(member) == 0, "ROSCA: already revealed");
+        require(keccak256(abi.encode(member, _secret)) == c, "ROSCA: bad reveal");
+
+        revealedBits |= _bit(member);
+        seed ^= _secret;
+        withdrawable[member] += contributionAmount;
+        emit SeedRevealed(member, _secret);
+        emit SeedBondReturned(member, contributionAmount);
+        if (++seedReveals == seedCommits) _start();
+    }
+
+    /// After the reveal window anyone may draw with whatever was revealed.
+    function drawOrder() external nonReentrant whenNotPaused {
+        require(revealDeadline != 0 && !started, "ROSCA: not reveal phase");
+        require(block.timestamp > revealDeadline, "ROSCA: reveal open");
+        _forfeitSeedBonds();
+        _start();
+    }
+
+    /// Bonds of members who committed but never revealed are shared evenly
+    /// by everyone else, dust to the first.  If nobody is left to share
+    /// them, each goes back to its member: no draw happens then anyway.
+    function _forfeitSeedBonds() private {
+        uint256 n = participants.length;
+        uint256 withheld;
+        uint256 k;
+        address first;
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (seedCommitment[p] != 0 && revealedBits & (1 << i) == 0) {
+                withheld |= 1 << i;
+            } else if (k++ == 0) {
+                first = p;
+            }
+        }
+        if (withheld == 0) return;
+        if (k == 0) { _returnSeedBonds(); return; }
+
+        uint256 total = (n - k) * contributionAmount;
+        uint256 share = total / k;
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (withheld & (1 << i) != 0) {
+                emit SeedBondForfeited(p, contributionAmount);
+            } else {
+                withdrawable[p] += share;
+                emit SeedBondShared(p, share);
+            }
+        }
+        withdrawable[first] += total - share * k;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                  STALLED GROUPS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Voting on a remedy opens one full interval after the grace window closed
+    function remedyOpensAt() public view returns (uint256) {
+        return payoutOpensAt() + gracePeriod + interval;
+    }
+
+    /**
+     * A no‑collateral group cannot pay out while someone is silent.  Members
+     * who paid this cycle vote (and may change their vote); a remedy runs as
+     * soon as it holds a strict majority of them:
+     *   • DropDefaulters – every unpaid member whose prepaid balance does
+     *     not cover them is voted out for good, and reported to the
+     *     factory's reputation registry as expelled; pots shrink to the
+     *     remaining members and, for each dropped member who had not had
+     *     their turn yet, the schedule loses one cycle.  What a dropped
+     *     member paid in stays in the pots.
+     *   • WindDown – the group finishes now and this cycle's contributions
+     *     are settled, see `_windDown`.
+     */
+    function voteRemedy(Remedy _remedy) external nonReentrant whenNotPaused {
+        address voter = _msgSender();
+        require(!collateralEnabled, "ROSCA: collateral covers defaults");
+        require(started && !finished, "ROSCA: not running");
+        require(_remedy != Remedy.None, "ROSCA: no remedy");
+        require(hasContributed(voter), "ROSCA: pay first");
+        require(_awaitingPayment(), "ROSCA: nobody in default");
+        require(block.timestamp >= remedyOpensAt(), "ROSCA: too early");
+
+        uint256 cycle = currentCycle;
+        Remedy prev = remedyVote[cycle][voter];
+        require(prev != _remedy, "ROSCA: already voted");
+        if (prev != Remedy.None) remedyVotes[cycle][prev] -= 1;
+        remedyVote[cycle][voter] = _remedy;
+        uint256 votes = ++remedyVotes[cycle][_remedy];
+        emit RemedyVoted(voter, cycle, _remedy);
+
+        if (votes * 2 <= contributedCount) return;
+        if (_remedy == Remedy.DropDefaulters) _dropDefaulters();
+        else _windDown();
+    }
+
+    /// A dropped member's standing bid goes with them, as on `_expel`.
+    function _dropDefaulters() internal {
+        uint256 n    = participants.length;
+        uint256 paid = contributedBits[currentCycle];
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (paid & (1 << i) == 0 && !votedOut[p] && !_usePrepaid(p, 1 << i)) {
+                _voteOut(p);
+                _reportExpelled(p);
+            }
+        }
+        if (votedOut[bestBidder]) {
+            delete bestBidder;
+            delete bestBid;
+        }
+        _closeGaps();
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                FACTORY ENROLMENT
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Factory only: enrol the group's creator right after creation, the
+    /// factory passing on their collateral.  Invite gating does not apply –
+    /// the creator set it.  See `ROSCAFactory.createGroupAndJoin`.
+    function joinFor(address _member, uint256 _earliestCycle, uint256 _latestCycle)
+        external payable whenNotPaused
+    {
+        require(msg.sender == factory, "ROSCA: not factory");
+        _join(_member, _earliestCycle, _latestCycle);
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                   FALLBACK GUARDS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Plain transfers stop at the core's `receive`; never reached
+    receive() external payable { revert("Bad call"); }
+
+    /// Same hand‑off as the core's: still on the group's storage, one
+    /// module further down – ETH included (prepay, side payments, bounty).
+    fallback() external payable {
+        address next = governance;
+        require(next != address(0), "Bad call");
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), next, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch ok
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -3,11 +3,34 @@ pragma solidity ^0.8.22;
 
 import "@openzeppelin/contracts/proxy/Clones.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ROSCA.sol";
 
 interface IROSCAInit {
-    function initialize(
-        uint256, uint256, uint256, bool, address
-    ) external;
+    function initialize(ROSCA.Config calldata, address) external;
+    function joinFor(address, uint256, uint256) external payable;
+    function collateralRequirement() external view returns (uint256);
+}
+
+/// Keeper interface every group since v2.22 answers (see `ROSCA.performUpkeep`)
+interface IROSCAUpkeep {
+    function checkUpkeep(bytes calldata) external view returns (bool, bytes memory);
+    function performUpkeep(bytes calldata) external;
+}
+
+/// Live lifecycle state of a group (see `ROSCAFactory.syncState`)
+interface IROSCAState {
+    function groupState() external view returns (ROSCAStorage.GroupState);
+}
+
+/// Members' records a finished group hands over (see `ROSCAGovernance`),
+/// and what decides whether they count
+interface IROSCAReputation {
+    function reputationReport()
+        external view returns (address[] memory, uint256[] memory, uint256);
+    function token() external view returns (address);
+    function contributionAmount() external view returns (uint256);
 }
 /*
  *  ┌────────────────────────────────────────────────────────────┐
@@ -15,17 +38,65 @@ interface IROSCAInit {
  *  └────────────────────────────────────────────────────────────┘
  *  Factory contract to deploy new ROSCA groups.
  *  ─────────────────────────────────────────────────────────────
- *  • Clones the ROSCA implementation for each new group.
- *  • Allows setting a new implementation for future groups.
+ *  • Keeps a registry of named, versioned templates (implementations);
+ *    each new group clones the one it picks – optionally at an address
+ *    known in advance (salted CREATE2).
+ *  • New template versions only affect future groups; a deprecated
+ *    template takes no new groups.
+ *  • Keeps each group's name, description and metadata URI.
+ *  • Can enrol the creator in the same transaction.
+ *  • Sets the protocol fee (capped) new groups pay to the treasury.
+ *  • Accepts creation calls relayed by a trusted EIP‑2771 forwarder, on
+ *    behalf of the creator who signed them.
+ *  • Lists groups by lifecycle state (open / running / finished), page by
+ *    page; groups report their own state changes, and anyone can resync
+ *    a group whose report was lost.
+ *  • Lets keepers find and run the due payouts of its running groups in
+ *    one batch (Chainlink Automation compatible).
+ *  • Keeps every member's record across its groups – cycles completed,
+ *    contributions on time, expulsions; a new group may require a
+ *    minimum score to join.  Only groups of real size and pace count
+ *    (see `_recordReputation`), so scores cannot be farmed cheaply.
  */
-contract ROSCAFactory is Ownable {
+contract ROSCAFactory is Ownable, ERC2771Context {
     using Clones for address;
+    using SafeERC20 for IERC20;
+
+    /// Off‑chain facing description of a group; `metadataURI` may point
+    /// to anything richer (IPFS JSON, image…)
+    struct GroupMetadata {
+        string name;
+        string description;
+        string metadataURI;
+    }
+
+    /// A ROSCA implementation groups can be cloned from
+    struct Template {
+        address implementation;
+        string  name;               // "basic", "collateral", "bidding"…
+        uint256 version;            // 1, 2, … per name
+        bool    enabled;            // false ⇒ deprecated: no new groups
+    }
+
+    /// A member's record, written by the groups they were in
+    struct Reputation {
+        uint64 groupsCompleted;     // finished in good standing
+        uint64 cyclesCompleted;     // cycles those groups ran
+        uint64 onTimeContributions; // of which paid without a late fee
+        uint64 expulsions;          // expelled or voted out for not paying
+    }
 
     /* ─────────────────────────────────────────
        STORAGE
     ───────────────────────────────────────── */
-    /// Current implementation that new groups will clone
-    address public implementation;
+    /// Template id (index) ⇒ template
+    Template[] internal templates;
+
+    /// keccak256(name) ⇒ latest version registered under that name
+    mapping(bytes32 => uint256) public latestVersion;
+
+    /// Group ⇒ id of the template it was cloned from
+    mapping(address => uint256) public templateOf;
 
     /// List of every group ever created
     address[] public allGroups;
@@ -33,65 +104,406 @@ contract ROSCAFactory is Ownable {
     /// Creator ⇒ their groups
     mapping(address => address[]) public groupsByCreator;
 
+    /// Member ⇒ record across every group created here (see `reputationScore`)
+    mapping(address => Reputation) internal reputation;
+
+    /// Group ⇒ its metadata (see `metadataOf`)
+    mapping(address => GroupMetadata) internal metadata;
+
+    /// Clones created here – the only callers of `groupStateChanged`
+    mapping(address => bool) public isGroup;
+
+    /// Group ⇒ lifecycle state, as last reported by the group
+    mapping(address => ROSCAStorage.GroupState) public stateOf;
+
+    /// State ⇒ groups currently in it; group ⇒ 1‑based position there.
+    /// Swap‑and‑pop, so order within a state is not creation order.
+    address[][3] internal groupsInState;
+    mapping(address => uint256) internal stateSlot;
+
+    /// Creator‑scoped salts already spent on a deterministic group
+    mapping(bytes32 => bool) internal saltUsed;
+
+    /// Hard cap on the protocol fee (5 % of each pot)
+    uint16 public constant MAX_PROTOCOL_FEE_BPS = 500;
+
+    /// Protocol fee new groups adopt at creation, in bps of each pot, and
+    /// where it is credited; existing groups keep theirs
+    address public treasury;
+    uint16  public protocolFeeBps;
+
+    /// On‑time contributions an expulsion costs a member's score.  Starts
+    /// at 12: one default wipes out a year of monthly payments on time.
+    uint256 public expulsionPenalty = 12;
+
+    /// Least average cycle length, in seconds, for a finished group to
+    /// earn its members reputation
+    uint256 public reputationMinInterval = 1 weeks;
+
+    /// Asset (address(0) ⇒ ETH) ⇒ least contribution for a group in it to
+    /// earn its members reputation; 0 ⇒ groups in that asset never do
+    mapping(address => uint256) public reputationMinContribution;
+
+    /// Group ⇒ its enrollment deadline (0 ⇒ none); open groups past it
+    /// are left out of the open listing
+    mapping(address => uint256) public joinDeadlineOf;
+
+    /// Group ⇒ when it was listed as running (0 ⇒ not yet)
+    mapping(address => uint256) public runningSince;
+
     /* ─────────────────────────────────────────
        EVENTS
     ───────────────────────────────────────── */
     event GroupCreated(address indexed group, address indexed creator);
-    event ImplementationUpdated(address indexed oldImpl, address indexed newImpl);
+    event GroupStateChanged(address indexed group, ROSCAStorage.GroupState state);
+    event GroupMetadataSet(address indexed group, string name, string description, string metadataURI);
+    event TemplateAdded(uint256 indexed id, string name, uint256 version, address implementation);
+    event TemplateEnabled(uint256 indexed id, bool enabled);
+    event ProtocolFeeUpdated(address indexed treasury, uint16 bps);
+    event ReputationRecorded(address indexed group, uint256 members, uint256 cycles);
+    event ExpulsionRecorded(address indexed group, address indexed member);
+    event ReputationRulesUpdated(uint256 minInterval, uint256 expulsionPenalty);
+    event ReputationMinContributionSet(address indexed asset, uint256 amount);
 
     /* ─────────────────────────────────────────
        CONSTRUCTOR
     ───────────────────────────────────────── */
-    constructor(address _implementation) Ownable(msg.sender) {
-        require(_implementation != address(0), "impl = 0");
-        implementation = _implementation;
+    /// `_implementation` becomes template 0, "basic" v1.  `_forwarder`
+    /// relays gasless calls (address(0) ⇒ none).
+    constructor(address _implementation, address _forwarder)
+        Ownable(msg.sender) ERC2771Context(_forwarder)
+    {
+        _addTemplate("basic", _implementation);
     }
 
     /* ─────────────────────────────────────────
-       ADMIN – update logic for **future** groups
+       ADMIN – templates for **future** groups
     ───────────────────────────────────────── */
-    /// @notice Change the template all *new* groups will clone.
-    ///         Has no effect on groups that already exist.
-    function setImplementation(address _newImpl) external onlyOwner {
-        require(_newImpl != address(0), "impl = 0");
-        address old = implementation;
-        implementation = _newImpl;
-        emit ImplementationUpdated(old, _newImpl);
+    /// @notice Register `_implementation` as the next version of `_name`.
+    ///         Existing groups keep the logic they were cloned from.
+    function addTemplate(string calldata _name, address _implementation)
+        external onlyOwner returns (uint256 id)
+    {
+        id = _addTemplate(_name, _implementation);
+    }
+
+    /// @notice Re‑enable a template, or deprecate it (`_enabled = false`):
+    ///         no new groups, existing ones carry on.
+    function setTemplateEnabled(uint256 _id, bool _enabled) external onlyOwner {
+        require(_id < templates.length, "no template");
+        templates[_id].enabled = _enabled;
+        emit TemplateEnabled(_id, _enabled);
+    }
+
+    /// @notice Protocol fee for groups created from now on; 0 ⇒ none.
+    function setProtocolFee(address _treasury, uint16 _bps) external onlyOwner {
+        require(_bps <= MAX_PROTOCOL_FEE_BPS, "fee too high");
+        require(_bps == 0 || _treasury != address(0), "treasury = 0");
+        treasury       = _treasury;
+        protocolFeeBps = _bps;
+        emit ProtocolFeeUpdated(_treasury, _bps);
+    }
+
+    /// @notice What a finished group must have been to earn reputation
+    ///         from now on, and what an expulsion costs.  Records already
+    ///         written stay; the penalty applies to every score at once.
+    function setReputationRules(uint256 _minInterval, uint256 _expulsionPenalty)
+        external onlyOwner
+    {
+        reputationMinInterval = _minInterval;
+        expulsionPenalty      = _expulsionPenalty;
+        emit ReputationRulesUpdated(_minInterval, _expulsionPenalty);
+    }
+
+    /// @notice Least contribution in `_asset` (address(0) ⇒ ETH) for a
+    ///         group to earn reputation; 0 ⇒ none in that asset does.
+    function setReputationMinContribution(address _asset, uint256 _amount) external onlyOwner {
+        reputationMinContribution[_asset] = _amount;
+        emit ReputationMinContributionSet(_asset, _amount);
+    }
+
+    function _addTemplate(string memory _name, address _implementation)
+        internal returns (uint256 id)
+    {
+        require(_implementation != address(0), "impl = 0");
+        require(bytes(_name).length > 0, "no name");
+        uint256 version = ++latestVersion[keccak256(bytes(_name))];
+        id = templates.length;
+        templates.push(Template(_implementation, _name, version, true));
+        emit TemplateAdded(id, _name, version, _implementation);
+    }
+
+    /// Implementation of an enabled template
+    function _templateImpl(uint256 _id) internal view returns (address) {
+        require(_id < templates.length, "no template");
+        require(templates[_id].enabled, "template deprecated");
+        return templates[_id].implementation;
     }
 
     /* ─────────────────────────────────────────
        EXTERNAL API
     ───────────────────────────────────────── */
     /**
-     * @param _amount      Contribution per round (wei)
-     * @param _interval    Minimum seconds between payouts
-     * @param _maxMembers  Maximum number of members in the group
-     * @param _useCollateral Whether collateral is enforced
+     * @param _template  Id of an enabled template to clone
+     * @param _cfg       Group rules (contribution, interval, size, collateral,
+     *                   token, payout mode, invites, enrollment deadline…)
+     * @param _multisig  Group owner (pause/unpause)
+     * @param _meta      Name, description and metadata URI
      */
     function createGroup(
-        uint256 _amount,
-        uint256 _interval,
-        uint256 _maxMembers,
-        bool    _useCollateral,
-        address _multisig
+        uint256 _template,
+        ROSCA.Config calldata _cfg,
+        address _multisig,
+        GroupMetadata calldata _meta
     ) external returns (address group) {
-        // 1. Clone the current implementation
-        group = implementation.clone();
-
-        // 2. Initialise proxy state
-        IROSCAInit(payable(group)).initialize(
-            _amount,
-            _interval,
-            _maxMembers,
-            _useCollateral,
-            _multisig
-        );
-
-        // 3. Book-keeping
+        group = _create(_template, _templateImpl(_template).clone(), _cfg, _multisig, _meta);
+    }
+
+    /**
+     * Create a group and join it as its first member, atomically.  The
+     * collateral comes with the call – as ETH, or pulled from the caller
+     * in ERC‑20 mode (approve this factory first) – and is passed on.
+     * `_earliestCycle` / `_latestCycle` are the creator's payout window,
+     * as for `ROSCA.join`.
+     */
+    function createGroupAndJoin(
+        uint256 _template,
+        ROSCA.Config calldata _cfg,
+        address _multisig,
+        GroupMetadata calldata _meta,
+        uint256 _earliestCycle,
+        uint256 _latestCycle
+    ) external payable returns (address group) {
+        group = _create(_template, _templateImpl(_template).clone(), _cfg, _multisig, _meta);
+        _joinCreator(group, _cfg.token, _earliestCycle, _latestCycle);
+    }
+
+    /// `createGroup` at the address `predictGroupAddress(_template,
+    /// creator, _salt)` – links to the group can go out before it
+    /// exists.  Each creator can use a salt once.
+    function createGroupDeterministic(
+        uint256 _template,
+        ROSCA.Config calldata _cfg,
+        address _multisig,
+        GroupMetadata calldata _meta,
+        bytes32 _salt
+    ) external returns (address group) {
+        group = _create(_template, _cloneSalted(_template, _salt), _cfg, _multisig, _meta);
+    }
+
+    /// `createGroupAndJoin` at `predictGroupAddress(_template, creator, _salt)`
+    function createGroupAndJoinDeterministic(
+        uint256 _template,
+        ROSCA.Config calldata _cfg,
+        address _multisig,
+        GroupMetadata calldata _meta,
+        bytes32 _salt,
+        uint256 _earliestCycle,
+        uint256 _latestCycle
+    ) external payable returns (address group) {
+        group = _create(_template, _cloneSalted(_template, _salt), _cfg, _multisig, _meta);
+        _joinCreator(group, _cfg.token, _earliestCycle, _latestCycle);
+    }
+
+    /// Where `_creator`'s group from `_template` with `_salt` lands
+    function predictGroupAddress(uint256 _template, address _creator, bytes32 _salt)
+        external view returns (address)
+    {
+        require(_template < templates.length, "no template");
+        return templates[_template].implementation
+            .predictDeterministicAddress(_saltOf(_creator, _salt));
+    }
+
+    function isSaltUsed(address _creator, bytes32 _salt) external view returns (bool) {
+        return saltUsed[_saltOf(_creator, _salt)];
+    }
+
+    /// Salts are per creator, so nobody can take another's address first
+    function _saltOf(address _creator, bytes32 _salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_creator, _salt));
+    }
+
+    function _cloneSalted(uint256 _template, bytes32 _salt) internal returns (address) {
+        bytes32 salt = _saltOf(_msgSender(), _salt);
+        require(!saltUsed[salt], "salt used");
+        saltUsed[salt] = true;
+        return _templateImpl(_template).cloneDeterministic(salt);
+    }
+
+    function _create(
+        uint256 _template,
+        address group,
+        ROSCA.Config calldata _cfg,
+        address _multisig,
+        GroupMetadata calldata _meta
+    ) internal returns (address) {
+        require(_cfg.contribution > 0, "contribution = 0");
+        require(_cfg.interval > 0,     "interval = 0");
+        require(_multisig != address(0), "multisig = 0");
+
+        // 1. Initialise the fresh clone of the template
+        IROSCAInit(payable(group)).initialize(_cfg, _multisig);
+
+        // 2. Book-keeping
+        address creator = _msgSender();
         allGroups.push(group);
-        groupsByCreator[msg.sender].push(group);
+        groupsByCreator[creator].push(group);
+        metadata[group]       = _meta;
+        templateOf[group]     = _template;
+        isGroup[group]        = true;
+        joinDeadlineOf[group] = _cfg.joinDeadline;
+        _list(group, ROSCAStorage.GroupState.Open);
 
-        emit GroupCreated(group, msg.sender);
+        emit GroupCreated(group, creator);
+        emit GroupMetadataSet(group, _meta.name, _meta.description, _meta.metadataURI);
+        return group;
+    }
+
+    /// Enrol the creator in `_group`, passing on their collateral
+    function _joinCreator(address _group, address _token, uint256 _earliestCycle, uint256 _latestCycle)
+        internal
+    {
+        IROSCAInit g = IROSCAInit(payable(_group));
+        address creator = _msgSender();
+        if (_token != address(0)) {
+            require(msg.value == 0, "ETH sent");
+            uint256 stake = g.collateralRequirement();
+            if (stake > 0) {
+                IERC20(_token).safeTransferFrom(creator, address(this), stake);
+                IERC20(_token).forceApprove(_group, stake);
+            }
+        }
+        g.joinFor{value: msg.value}(creator, _earliestCycle, _latestCycle);
+    }
+
+    /* ─────────────────────────────────────────
+       LIFECYCLE REPORTS (called by groups)
+    ───────────────────────────────────────── */
+    /// A group moved on: Open → Running once its roster is complete,
+    /// → Finished when it ends, is cancelled, wound down or dissolved –
+    /// its members' records are then read back (`_recordReputation`).
+    /// States only move forward; a repeat report is ignored.  Groups call
+    /// directly, so this reads `msg.sender`, never a relayed sender.
+    function groupStateChanged(ROSCAStorage.GroupState _state) external {
+        require(isGroup[msg.sender], "not a group");
+        _move(msg.sender, _state);
+    }
+
+    /// Groups never let a failing report hold them up, so one can be lost
+    /// (run out of gas, say).  Anyone may then list `_group` under the
+    /// state it reports now; returns the state it is listed under.
+    function syncState(address _group) external returns (ROSCAStorage.GroupState) {
+        require(isGroup[_group], "not a group");
+        _move(_group, IROSCAState(_group).groupState());
+        return stateOf[_group];
+    }
+
+    function _move(address _group, ROSCAStorage.GroupState _state) internal {
+        ROSCAStorage.GroupState old = stateOf[_group];
+        if (_state <= old) return;
+
+        _unlist(_group, old);
+        _list(_group, _state);
+        emit GroupStateChanged(_group, _state);
+        if (_state == ROSCAStorage.GroupState.Running) runningSince[_group] = block.timestamp;
+        if (_state == ROSCAStorage.GroupState.Finished) _recordReputation(_group);
+    }
+
+    /// A group expelled `_member` for not paying
+    function memberExpelled(address _member) external {
+        require(isGroup[msg.sender], "not a group");
+        reputation[_member].expulsions += 1;
+        emit ExpulsionRecorded(msg.sender, _member);
+    }
+
+    /// Credit each member a finished group reports in good standing with
+    /// the cycles it ran and their on‑time payments – if the group counts
+    /// (`_earnsReputation`).  A group on a template without the report is
+    /// simply not recorded.
+    function _recordReputation(address _group) internal {
+        try IROSCAReputation(_group).reputationReport()
+            returns (address[] memory members, uint256[] memory onTime, uint256 cycles)
+        {
+            if (cycles == 0) return;                    // cancelled before it started
+            if (!_earnsReputation(_group, cycles)) return;
+            for (uint256 i = 0; i < members.length; ++i) {
+                Reputation storage r = reputation[members[i]];
+                r.groupsCompleted     += 1;
+                r.cyclesCompleted     += uint64(cycles);
+                r.onTimeContributions += uint64(onTime[i]);
+            }
+            emit ReputationRecorded(_group, members.length, cycles);
+        } catch {}
+    }
+
+    /// Points must cost something to farm: the contribution meets the
+    /// minimum for its asset, and the cycles took `reputationMinInterval`
+    /// each on average since the group was listed as running.  A 1‑wei or
+    /// 1‑second group of sybils earns nothing; one whose running report
+    /// was lost cannot show its pace and earns nothing either.
+    function _earnsReputation(address _group, uint256 _cycles) internal view returns (bool) {
+        IROSCAReputation g = IROSCAReputation(_group);
+        uint256 least = reputationMinContribution[g.token()];
+        uint256 since = runningSince[_group];
+        return least != 0 && g.contributionAmount() >= least
+            && since != 0 && block.timestamp - since >= _cycles * reputationMinInterval;
+    }
+
+    function _list(address _group, ROSCAStorage.GroupState _state) internal {
+        address[] storage list = groupsInState[uint256(_state)];
+        list.push(_group);
+        stateSlot[_group] = list.length;
+        stateOf[_group]   = _state;
+    }
+
+    function _unlist(address _group, ROSCAStorage.GroupState _state) internal {
+        address[] storage list = groupsInState[uint256(_state)];
+        uint256 i    = stateSlot[_group] - 1;
+        address last = list[list.length - 1];
+        list[i] = last;
+        stateSlot[last] = i + 1;
+        list.pop();
+    }
+
+    /* ─────────────────────────────────────────
+       UPKEEP (keepers)
+    ───────────────────────────────────────── */
+    /// Scan the running groups for due payouts.  `checkData` is
+    /// `abi.encode(offset, limit)` into that list (empty ⇒ all of it);
+    /// `performData` is the due groups, `abi.encode(address[])`.  Groups on
+    /// templates without upkeep are skipped.
+    function checkUpkeep(bytes calldata checkData)
+        external view returns (bool upkeepNeeded, bytes memory performData)
+    {
+        address[] storage running = groupsInState[uint256(ROSCAStorage.GroupState.Running)];
+        (uint256 offset, uint256 limit) = checkData.length == 0
+            ? (0, running.length)
+            : abi.decode(checkData, (uint256, uint256));
+        address[] memory page = _page(running, offset, limit);
+
+        bool[] memory due = new bool[](page.length);
+        uint256 k;
+        for (uint256 i = 0; i < page.length; ++i) {
+            try IROSCAUpkeep(page[i]).checkUpkeep("") returns (bool needed, bytes memory) {
+                if (needed) { due[i] = true; ++k; }
+            } catch {}
+        }
+        address[] memory groups = new address[](k);
+        k = 0;
+        for (uint256 i = 0; i < page.length; ++i) if (due[i]) groups[k++] = page[i];
+        return (k > 0, abi.encode(groups));
+    }
+
+    /// Run the payout of every group in `performData` (see `checkUpkeep`);
+    /// each credits its bounty to the caller.  A group no longer due – a
+    /// keeper got there first – is skipped rather than failing the batch.
+    function performUpkeep(bytes calldata performData) external {
+        address[] memory groups = abi.decode(performData, (address[]));
+        bytes memory keeper = abi.encode(_msgSender());
+        for (uint256 i = 0; i < groups.length; ++i) {
+            require(isGroup[groups[i]], "not a group");
+            try IROSCAUpkeep(groups[i]).performUpkeep(keeper) {} catch {}
+        }
     }
 
     /* ─────────────────────────────────────────
@@ -105,7 +517,103 @@ contract ROSCAFactory is Ownable {
         return groupsByCreator[creator];
     }
 
+    /// Unbounded – prefer `getGroups` once there are many groups
     function getAllGroups() external view returns (address[] memory) {
         return allGroups;
     }
+
+    /// `_limit` groups from `_offset` on, in creation order
+    function getGroups(uint256 _offset, uint256 _limit)
+        external view returns (address[] memory)
+    {
+        return _page(allGroups, _offset, _limit);
+    }
+
+    /// Number of groups currently listed under `_state` – open ones past
+    /// their enrollment deadline included
+    function groupCount(ROSCAStorage.GroupState _state) external view returns (uint256) {
+        return groupsInState[uint256(_state)].length;
+    }
+
+    /// `_limit` groups in `_state` from `_offset` on.  Open groups whose
+    /// enrollment deadline has passed can no longer be joined and are left
+    /// out, so such a page can come back short: page on by `_limit` up to
+    /// `groupCount`.
+    function getGroupsByState(ROSCAStorage.GroupState _state, uint256 _offset, uint256 _limit)
+        external view returns (address[] memory page)
+    {
+        page = _page(groupsInState[uint256(_state)], _offset, _limit);
+        if (_state != ROSCAStorage.GroupState.Open) return page;
+
+        uint256 k;
+        for (uint256 i = 0; i < page.length; ++i) if (_enrolling(page[i])) page[k++] = page[i];
+        address[] memory open = new address[](k);
+        for (uint256 i = 0; i < k; ++i) open[i] = page[i];
+        return open;
+    }
+
+    function _enrolling(address _group) internal view returns (bool) {
+        uint256 deadline = joinDeadlineOf[_group];
+        return deadline == 0 || block.timestamp <= deadline;
+    }
+
+    function _page(address[] storage _groups, uint256 _offset, uint256 _limit)
+        internal view returns (address[] memory page)
+    {
+        if (_offset >= _groups.length) return page;
+        uint256 n = _groups.length - _offset;
+        if (_limit < n) n = _limit;
+        page = new address[](n);
+        for (uint256 i = 0; i < n; ++i) page[i] = _groups[_offset + i];
+    }
+
+    function reputationOf(address member) external view returns (Reputation memory) {
+        return reputation[member];
+    }
+
+    /// One point per on‑time contribution, less `expulsionPenalty` per
+    /// expulsion, never below 0 – what a group's `minReputation` is set in
+    function reputationScore(address member) public view returns (uint256) {
+        Reputation memory r = reputation[member];
+        uint256 penalty = uint256(r.expulsions) * expulsionPenalty;
+        return r.onTimeContributions > penalty ? r.onTimeContributions - penalty : 0;
+    }
+
+    function metadataOf(address group) external view returns (GroupMetadata memory) {
+        return metadata[group];
+    }
+
+    /// Read by each group as it is initialised
+    function protocolFee() external view returns (address, uint16) {
+        return (treasury, protocolFeeBps);
+    }
+
+    function templateCount() external view returns (uint256) {
+        return templates.length;
+    }
+
+    function getTemplate(uint256 id) external view returns (Template memory) {
+        return templates[id];
+    }
+
+    /// Template – name, version, implementation – `group` was cloned from
+    function groupTemplate(address group) external view returns (Template memory) {
+        require(isGroup[group], "not a group");
+        return templates[templateOf[group]];
+    }
+
+    /* ─────────────────────────────────────────
+       META‑TRANSACTIONS (EIP‑2771)
+    ───────────────────────────────────────── */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
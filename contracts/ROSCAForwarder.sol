@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title ROSCAForwarder
+ * @notice EIP‑2771 forwarder the factory and group implementations trust.
+ *         A relayer submits requests members signed (EIP‑712, per‑signer
+ *         nonces, deadline) and pays their gas; see `scripts/relayer.js`.
+ */
+contract ROSCAForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("ROSCAForwarder") {}
+}
@@ -0,0 +1,545 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./ROSCAStorage.sol";
+
+/**
+ * @title ROSCAGovernance
+ * @notice Third module of a ROSCA group, reached through the extension's
+ *         fallback and – like it – running on the group's own storage.
+ *         Lets members decide on the group's course by vote, winds up
+ *         groups that were left paused or idle, trades payout slots,
+ *         holds prepaid contributions, tells keepers when a payout is due
+ *         (and pays them), and sums up members' records for the factory's
+ *         reputation registry.
+ */
+contract ROSCAGovernance is ROSCAStorage {
+
+    /// How long a group must sit paused, or idle past its payout, before
+    /// a member or the owner may dissolve it
+    uint256 public constant DISSOLVE_DELAY = 30 days;
+
+    constructor(address _forwarder) ROSCAStorage(_forwarder) {}
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                    GOVERNANCE
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /**
+     * Any member in good standing may put forward:
+     *   • Expel(target)        – remove a member, see `_expel`;
+     *   • Dissolve             – finish now and settle, see `_dissolve`;
+     *   • SetInterval(value)   – new interval from the next cycle on.
+     * Voting runs for one interval.  The electorate is every member in good
+     * standing at proposal time, the target of an expulsion excepted.
+     */
+    function propose(ProposalKind _kind, address _target, uint256 _value)
+        external whenNotPaused returns (uint256 id)
+    {
+        address proposer = _msgSender();
+        require(quorumBps > 0, "ROSCA: governance off");
+        require(started && !finished, "ROSCA: not running");
+        _checkVoter(proposer);
+
+        if (_kind == ProposalKind.Expel) {
+            require(_target != proposer && isParticipant(_target)
+                    && !memberInfo[_target].expelled, "ROSCA: cannot expel");
+        } else {
+            require(_target == address(0), "ROSCA: no target");
+        }
+        if (_kind == ProposalKind.SetInterval) {
+            require(_value > 0 && (payoutMode == PayoutMode.Scheduled || _value >= bidWindow),
+                    "ROSCA: bad interval");
+        } else {
+            require(_value == 0, "ROSCA: no value");
+        }
+
+        uint256 electorate;
+        for (uint i = 0; i < participants.length; ++i) {
+            address p = participants[i];
+            if (!memberInfo[p].expelled && p != _target) ++electorate;
+        }
+
+        id = ++proposalCount;
+        proposals[id] = Proposal({
+            kind:       _kind,
+            closed:     false,
+            proposer:   proposer,
+            target:     _target,
+            value:      _value,
+            deadline:   block.timestamp + interval,
+            electorate: electorate,
+            yes:        0,
+            no:         0
+        });
+        emit ProposalCreated(id, proposer, _kind, _target, _value, block.timestamp + interval);
+    }
+
+    /// One vote per member.  A proposal executes on the vote that carries
+    /// it for certain – quorum reached and "yes" above threshold even if
+    /// everyone still silent voted "no"; otherwise see `closeProposal`.
+    function vote(uint256 _id, bool _support) external nonReentrant whenNotPaused {
+        address voter = _msgSender();
+        Proposal storage p = _open(_id);
+        require(block.timestamp < p.deadline, "ROSCA: voting over");
+        require(started && !finished, "ROSCA: not running");
+        _checkVoter(voter);
+        require(voter != p.target, "ROSCA: cannot vote");
+        require(!voted[_id][voter], "ROSCA: already voted");
+        require(p.kind != ProposalKind.Expel || !memberInfo[p.target].expelled,
+                "ROSCA: already expelled");
+
+        voted[_id][voter] = true;
+        if (_support) p.yes += 1;
+        else          p.no  += 1;
+        emit ProposalVoted(_id, voter, _support);
+
+        if (_support && _carried(p, p.electorate)) _execute(_id, p);
+    }
+
+    /// After the deadline anyone may close a proposal: it executes if the
+    /// votes cast meet quorum and threshold (and it still applies), or is
+    /// rejected.
+    function closeProposal(uint256 _id) external nonReentrant whenNotPaused {
+        Proposal storage p = _open(_id);
+        require(block.timestamp >= p.deadline, "ROSCA: voting open");
+
+        if (started && !finished && _carried(p, p.yes + p.no)
+            && (p.kind != ProposalKind.Expel || !memberInfo[p.target].expelled)) {
+            _execute(_id, p);
+        } else {
+            p.closed = true;
+            emit ProposalRejected(_id);
+        }
+    }
+
+    function getProposal(uint256 _id) external view returns (Proposal memory) {
+        return proposals[_id];
+    }
+
+    function hasVoted(uint256 _id, address _member) external view returns (bool) {
+        return voted[_id][_member];
+    }
+
+    /// Ids of proposals still open for voting or closing
+    function openProposals() external view returns (uint256[] memory ids) {
+        uint256 k;
+        for (uint256 id = 1; id <= proposalCount; ++id) if (!proposals[id].closed) ++k;
+        ids = new uint256[](k);
+        k = 0;
+        for (uint256 id = 1; id <= proposalCount; ++id) if (!proposals[id].closed) ids[k++] = id;
+    }
+
+    function _checkVoter(address voter) internal view {
+        require(isParticipant(voter), "ROSCA: not in group");
+        require(!memberInfo[voter].expelled, "ROSCA: user expelled");
+    }
+
+    function _open(uint256 _id) internal view returns (Proposal storage p) {
+        p = proposals[_id];
+        require(p.deadline != 0, "ROSCA: no proposal");
+        require(!p.closed, "ROSCA: proposal closed");
+    }
+
+    /// Quorum met by the votes cast and "yes" ≥ threshold of `base` votes
+    function _carried(Proposal storage p, uint256 base) internal view returns (bool) {
+        return (p.yes + p.no) * BPS >= quorumBps * p.electorate
+            && p.yes * BPS >= thresholdBps * base;
+    }
+
+    function _execute(uint256 _id, Proposal storage p) internal {
+        p.closed = true;
+        emit ProposalExecuted(_id);
+
+        if (p.kind == ProposalKind.Expel) {
+            _expel(p.target);
+        } else if (p.kind == ProposalKind.Dissolve) {
+            _dissolve();
+        } else {
+            emit IntervalChanged(interval, p.value);
+            interval = p.value;
+        }
+    }
+
+    /**
+     * With collateral the member is expelled exactly as a defaulter: their
+     * stake covers every payment still due and their pot is forfeited.
+     * Without, they are voted out; a payment they made this cycle (late fee
+     * included) is credited back, so the pot matches the smaller roster.
+     */
+    function _expel(address _member) internal {
+        if (bestBidder == _member) {
+            delete bestBidder;
+            delete bestBid;
+        }
+        if (collateralEnabled) {
+            memberInfo[_member].expelled = true;
+            emit MemberExpelled(_member, currentCycle, paidOut[_member]);
+            return;
+        }
+
+        uint256 bit = _bit(_member);
+        if (contributedBits[currentCycle] & bit != 0) {
+            uint256 refund = contributionAmount;
+            contributedBits[currentCycle] &= ~bit;
+            contributedCount -= 1;
+            if (lateBits[currentCycle] & bit != 0) {
+                lateBits[currentCycle] &= ~bit;
+                lateFeesPending -= lateFee;
+                refund += lateFee;
+            }
+            withdrawable[_member] += refund;
+        }
+        _voteOut(_member);
+        _closeGaps();
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                    DISSOLUTION
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /// Earliest time `dissolve()` is open: `DISSOLVE_DELAY` after the pause
+    /// or, for a running group, after its payout (and grace) window opened.
+    /// 0 ⇒ neither applies, or the group already finished (dissolving
+    /// finishes it too): its members claim their stakes as usual.
+    function dissolvableAt() public view returns (uint256) {
+        if (finished) return 0;
+        if (paused()) return pausedAt + DISSOLVE_DELAY;
+        if (started) return payoutOpensAt() + gracePeriod + DISSOLVE_DELAY;
+        return 0;
+    }
+
+    /// Owner or any member may wind up a group that was paused and never
+    /// resumed, or that nobody moved on for `DISSOLVE_DELAY`.  Works while
+    /// paused; so does `withdraw()` afterwards.
+    function dissolve() external nonReentrant {
+        address by = _msgSender();
+        require(by == owner() || isParticipant(by), "ROSCA: not in group");
+        uint256 at = dissolvableAt();
+        require(at != 0 && block.timestamp >= at, "ROSCA: too early");
+        _dissolve();
+    }
+
+    /**
+     * Split everything the group still holds – collateral, this cycle's
+     * contributions, a held forfeit pool – by net position:
+     *     collateral left + contributions paid − pots drawn.
+     * A cycle covered from collateral counts as paid, and every pot counts
+     * in full against the member whose slot it was: a forfeited pot or an
+     * auction discount was already shared out, so earlier penalties and
+     * interest stand.  Negative positions (and members voted out) get
+     * nothing; the rest share pro rata, dust to the first.  Credits made
+     * before (pots, shares, refunds) are untouched; open swap payments,
+     * unused prepaid contributions and unrevealed seed bonds go back in
+     * full.  Reports the amount split in `GroupDissolved` – for a vote as
+     * for `dissolve()` – credited to whoever made the call.
+     */
+    function _dissolve() internal {
+        uint256 held;
+        bool running = started && !finished;
+        if (running && lateFeesPending > 0) _shareLateFees();
+        if (!started) _returnSeedBonds();
+
+        uint256 n = participants.length;
+        uint256 c = contributionAmount;
+        int256[] memory pos = new int256[](n);
+
+        uint256 last = running ? currentCycle + 1 : currentCycle;
+        for (uint256 t = 0; t < last; ++t) {
+            uint256 bits = contributedBits[t];
+            uint256 payers;
+            for (uint i = 0; i < n; ++i) {
+                if (bits & (1 << i) != 0 || (collateralEnabled && t < currentCycle)) {
+                    pos[i] += int256(c);
+                    ++payers;
+                }
+            }
+            if (t == currentCycle) {
+                held += payers * c;                         // this cycle's pool
+            } else {
+                pos[memberIndex[payoutOrder[t]] - 1] -= int256(payers * c);
+            }
+        }
+
+        uint256 total;
+        for (uint i = 0; i < n; ++i) {
+            MemberInfo storage m = memberInfo[participants[i]];
+            held   += m.collateralRemaining;
+            pos[i] += int256(m.collateralRemaining);
+            m.collateralRemaining = 0;
+            if (pos[i] < 0 || votedOut[participants[i]]) pos[i] = 0;
+            total += uint256(pos[i]);
+        }
+        held += forfeitPool;
+
+        /* nobody has a claim left: whatever is held goes out evenly */
+        if (total == 0) {
+            for (uint i = 0; i < n; ++i) {
+                if (!votedOut[participants[i]]) { pos[i] = 1; ++total; }
+            }
+        }
+
+        uint256 left = held;
+        address first;
+        for (uint i = 0; i < n; ++i) {
+            if (pos[i] == 0) continue;
+            address p = participants[i];
+            if (first == address(0)) first = p;
+            uint256 share = held * uint256(pos[i]) / total;
+            left -= share;
+            withdrawable[p] += share;
+            emit SettlementCredited(p, share);
+        }
+        if (first != address(0)) withdrawable[first] += left;
+
+        /* prepaid contributions nobody used are refunded */
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            uint256 amt = prepaid[p];
+            if (amt == 0) continue;
+            prepaid[p] = 0;
+            withdrawable[p] += amt;
+            emit PrepaidRefunded(p, amt);
+        }
+
+        /* open swap offers are refunded to their proposers */
+        for (uint256 id = 1; id <= swapCount; ++id) {
+            SlotSwap memory w = swaps[id];
+            if (w.proposer == address(0)) continue;
+            delete swaps[id];
+            withdrawable[w.proposer] += w.sidePayment;
+            emit SwapCancelled(id);
+        }
+
+        forfeitPool      = 0;
+        contributedCount = 0;
+        dissolved        = true;
+        emit GroupDissolved(_msgSender(), held);
+        if (!finished) {
+            finished = true;
+            emit GroupFinished(block.timestamp);
+            _reportState(GroupState.Finished);
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                    SLOT SWAPS
+    //////////////////////////////////////////////////////////////////////////*/
+    /**
+     * Offer `_counterparty` to trade payout slots.  Both must still be
+     * waiting for their pot.  A side payment (in the group's asset) is taken
+     * now and goes to the counterparty on accept, back to the proposer
+     * otherwise.
+     */
+    function proposeSwap(address _counterparty, uint256 _sidePayment, uint256 _deadline)
+        external payable nonReentrant whenNotPaused returns (uint256 id)
+    {
+        address proposer = _msgSender();
+        require(payoutMode == PayoutMode.Scheduled, "ROSCA: no fixed schedule");
+        require(started && !finished, "ROSCA: not running");
+        require(_counterparty != proposer, "ROSCA: swap with self");
+        require(_deadline > block.timestamp, "ROSCA: deadline passed");
+        _slotOf(proposer);
+        _slotOf(_counterparty);
+
+        _collect(_sidePayment, "ROSCA: wrong side payment");
+        id = ++swapCount;
+        swaps[id] = SlotSwap(proposer, _counterparty, _sidePayment, _deadline);
+        emit SwapProposed(id, proposer, _counterparty, _sidePayment, _deadline);
+    }
+
+    /// Counterparty agrees: slots are exchanged and the side payment credited.
+    function acceptSwap(uint256 _id) external nonReentrant whenNotPaused {
+        SlotSwap memory w = swaps[_id];
+        require(w.proposer != address(0), "ROSCA: no such swap");
+        require(_msgSender() == w.counterparty, "ROSCA: not counterparty");
+        require(block.timestamp <= w.deadline, "ROSCA: swap expired");
+        require(!finished, "ROSCA: not running");
+
+        uint256 a = _slotOf(w.proposer);
+        uint256 b = _slotOf(w.counterparty);
+        (payoutOrder[a], payoutOrder[b]) = (payoutOrder[b], payoutOrder[a]);
+
+        delete swaps[_id];
+        withdrawable[w.counterparty] += w.sidePayment;
+        emit SwapAccepted(_id, a, b);
+    }
+
+    /// Counterparty declines; the side payment goes back to the proposer.
+    function rejectSwap(uint256 _id) external whenNotPaused {
+        SlotSwap memory w = swaps[_id];
+        require(w.proposer != address(0), "ROSCA: no such swap");
+        require(_msgSender() == w.counterparty, "ROSCA: not counterparty");
+        _closeSwap(_id, w);
+        emit SwapRejected(_id);
+    }
+
+    /// Proposer withdraws the offer – or anyone clears it once expired.
+    function cancelSwap(uint256 _id) external whenNotPaused {
+        SlotSwap memory w = swaps[_id];
+        require(w.proposer != address(0), "ROSCA: no such swap");
+        require(_msgSender() == w.proposer || block.timestamp > w.deadline,
+                "ROSCA: not proposer");
+        _closeSwap(_id, w);
+        emit SwapCancelled(_id);
+    }
+
+    /// Ids of every proposal not yet accepted, rejected or cancelled
+    function openSwaps() external view returns (uint256[] memory ids) {
+        uint256 k;
+        for (uint256 id = 1; id <= swapCount; ++id) if (swaps[id].proposer != address(0)) ++k;
+        ids = new uint256[](k);
+        k = 0;
+        for (uint256 id = 1; id <= swapCount; ++id) {
+            if (swaps[id].proposer != address(0)) ids[k++] = id;
+        }
+    }
+
+    function _closeSwap(uint256 _id, SlotSwap memory w) internal {
+        delete swaps[_id];
+        withdrawable[w.proposer] += w.sidePayment;
+    }
+
+    /// Position of `a` in the rest of the schedule; reverts unless `a` is
+    /// a member in good standing still waiting for a pot.
+    function _slotOf(address a) internal view returns (uint256) {
+        require(isParticipant(a), "ROSCA: not in group");
+        require(!memberInfo[a].expelled, "ROSCA: user expelled");
+        require(!paidOut[a], "ROSCA: already paid out");
+        for (uint256 i = currentCycle; i < payoutOrder.length; ++i) {
+            if (payoutOrder[i] == a) return i;
+        }
+        revert("ROSCA: no slot");
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                               PREPAID CONTRIBUTIONS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Deposit `_cycles` contributions ahead (or top up).  Every payout pays
+    /// a contribution the member has not made by hand out of this balance,
+    /// before anyone is treated as a defaulter – see `_usePrepaid`.
+    function prepay(uint256 _cycles) external payable nonReentrant whenNotPaused {
+        address member = _msgSender();
+        require(_cycles > 0, "ROSCA: no cycles");
+        require(isParticipant(member), "ROSCA: not in group");
+        require(!memberInfo[member].expelled, "ROSCA: user expelled");
+        require(!finished && !cancelled, "ROSCA: finished");
+
+        uint256 amount = _cycles * contributionAmount;
+        prepaid[member] += amount;
+        _collect(amount, "ROSCA: wrong amount");
+        emit Prepaid(member, amount);
+    }
+
+    /// Take back `_amount` of the unused balance; claim it with `withdraw()`.
+    function refundPrepaid(uint256 _amount) external nonReentrant whenNotPaused {
+        address member = _msgSender();
+        require(_amount > 0 && _amount <= prepaid[member], "ROSCA: not prepaid");
+        prepaid[member] -= _amount;
+        withdrawable[member] += _amount;
+        emit PrepaidRefunded(member, _amount);
+    }
+
+    /// Whole cycles `_member`'s prepaid balance still covers
+    function prepaidCycles(address _member) external view returns (uint256) {
+        return prepaid[_member] / contributionAmount;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                       UPKEEP
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /// Chainlink Automation style check paired with the core's
+    /// `performUpkeep`; `checkData` and `performData` are unused.
+    function checkUpkeep(bytes calldata)
+        external view returns (bool upkeepNeeded, bytes memory performData)
+    {
+        return (payoutDue(), "");
+    }
+
+    /// True once `triggerPayout()` would go through: the interval is over
+    /// and everyone paid (or prepaid), or – with collateral to cover the
+    /// rest – the grace period is over too.
+    function payoutDue() public view returns (bool) {
+        if (!started || finished || paused()) return false;
+        uint256 opens = payoutOpensAt();
+        if (block.timestamp < opens) return false;
+        if (!_awaitingPayment()) return true;
+        return collateralEnabled && block.timestamp >= opens + gracePeriod;
+    }
+
+    /// Anyone may top up the pool keepers are paid from (`performUpkeep`);
+    /// the owner sets the bounty and takes back what is left at the end.
+    function fundUpkeep(uint256 _amount) external payable nonReentrant whenNotPaused {
+        require(_amount > 0, "ROSCA: no amount");
+        require(!finished && !cancelled, "ROSCA: finished");
+        bountyPool += _amount;
+        _collect(_amount, "ROSCA: wrong amount");
+        emit UpkeepFunded(_msgSender(), _amount);
+    }
+
+    /// Paid to the keeper of each payout while `bountyPool` lasts; 0 ⇒ none
+    function setUpkeepBounty(uint256 _bounty) external onlyOwner {
+        upkeepBounty = _bounty;
+        emit UpkeepBountySet(_bounty);
+    }
+
+    /// Once the group is over, what is left in the pool goes to the owner
+    function reclaimBountyPool() external onlyOwner {
+        require(finished || cancelled, "ROSCA: rounds ongoing");
+        uint256 amt = bountyPool;
+        require(amt > 0, "ROSCA: nothing to reclaim");
+        bountyPool = 0;
+        withdrawable[_msgSender()] += amt;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                     REPUTATION
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /// Lifecycle state as the group sees it now – the same states it
+    /// reports to the factory, which reads this in `syncState` should a
+    /// report have been lost.
+    function groupState() external view returns (GroupState) {
+        if (finished || cancelled) return GroupState.Finished;
+        if (started || revealDeadline != 0) return GroupState.Running;
+        return GroupState.Open;
+    }
+
+    /**
+     * Read by the factory once the group has finished: every member still
+     * in good standing and how many of the `cycles` the group ran each paid
+     * on time – a late fee marks the rest.  Expelled and voted‑out members
+     * are left out; their expulsion was reported when it happened.
+     */
+    function reputationReport()
+        external view returns (address[] memory members, uint256[] memory onTime, uint256 cycles)
+    {
+        uint256 n = participants.length;
+        cycles = currentCycle;
+
+        uint256[] memory late = new uint256[](n);
+        for (uint256 t = 0; t < cycles; ++t) {
+            uint256 bits = lateBits[t];
+            if (bits == 0) continue;
+            for (uint i = 0; i < n; ++i) if (bits & (1 << i) != 0) ++late[i];
+        }
+
+        uint256 k;
+        for (uint i = 0; i < n; ++i) if (!memberInfo[participants[i]].expelled) ++k;
+        members = new address[](k);
+        onTime  = new uint256[](k);
+        k = 0;
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (memberInfo[p].expelled) continue;
+            members[k]  = p;
+            onTime[k++] = cycles - late[i];
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                   FALLBACK GUARDS
+    //////////////////////////////////////////////////////////////////////////*/
+    fallback() external { revert("Bad call"); }
+}
@@ -0,0 +1,828 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// What a group tells the factory that created it (see `_reportState`),
+/// and asks it – the protocol fee at creation, reputation at join
+interface IGroupRegistry {
+    function groupStateChanged(ROSCAStorage.GroupState) external;
+    function memberExpelled(address member) external;
+    function protocolFee() external view returns (address treasury, uint16 bps);
+    function reputationScore(address member) external view returns (uint256);
+}
+
+/**
+ * @title ROSCAStorage
+ * @notice State, events and helpers shared by `ROSCA` (the core every
+ *         clone points at) and the modules behind it – `ROSCAExtension`,
+ *         which the core delegates unknown calls to, and `ROSCAGovernance`
+ *         after it.  None declares state of its own, so all see the exact
+ *         same slots; the OZ v5 bases keep theirs in ERC‑7201 namespaces.
+ *
+ *         Why three contracts: a group's code outgrew the 24 KiB EIP‑170
+ *         limit, and clones can only point at one implementation.  The
+ *         core keeps the hot path – join, contribute, payout, withdraw –
+ *         so it pays no extra hop; a call it has no function for falls
+ *         through to the extension, then to governance (~2.6k gas per hop).
+ *         `rosca.size.test.js` fails the build before any of them reaches
+ *         the limit.
+ *
+ *         Rules that keep the shared layout safe:
+ *           • state is declared here only – modules may add constants and
+ *             immutables (they live in code), never storage variables;
+ *           • append‑only: new vars go at the bottom, or into the unused
+ *             bytes of a slot they are read with; nothing moves or changes
+ *             type, and structs kept in mappings only grow at the end;
+ *           • a selector is served by the first module that has it, so a
+ *             module must not repeat a function of the one before it –
+ *             its copy would never run.
+ */
+abstract contract ROSCAStorage
+    is Initializable, OwnableUpgradeable,
+       ReentrancyGuardUpgradeable, PausableUpgradeable, ERC2771ContextUpgradeable
+{
+    using Address for address payable;
+    using SafeERC20 for IERC20;
+
+    /// Every contract of a group is built with the same EIP‑2771 forwarder
+    /// (address(0) ⇒ none); being immutable it lives in each one's code.
+    constructor(address _forwarder) ERC2771ContextUpgradeable(_forwarder) {}
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                  CONFIG CONSTANTS
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /// Hard cap so any `for` loop is ≤100 iterations → safe on main‑net gas
+    uint256 public constant MAX_PARTICIPANTS = 100;
+
+    /// Denominator for every rate given in basis points
+    uint256 internal constant BPS = 10_000;
+
+    /// Most an organiser may take of each pot (10 %)
+    uint16 public constant MAX_ORGANISER_FEE_BPS = 1_000;
+
+    /*//////////////////////////////////////////////////////////////////////////
+                               IMMUTABLE‑AFTER‑INIT
+    //////////////////////////////////////////////////////////////////////////*/
+
+    uint256 public contributionAmount;      // ETH (or token units) each member pays per round
+    uint256 public interval;                // min seconds between payouts
+    uint256 public maxParticipants;         // == number of rounds
+    bool    public collateralEnabled;       // true → members post a bond
+
+    // Once group starts `participants` never changes length or order.
+    // join() pushes addresses here, leave() removes them (order preserved);
+    // _finaliseSchedule() copies into payoutOrder
+    address[] public participants;
+
+    // Final payout schedule length == maxParticipants.  Only shortened after start,
+    // when members are voted out before their slot (see `totalCycles()`).
+    address[] public payoutOrder;
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                  STATE MACHINE
+    //////////////////////////////////////////////////////////////////////////*/
+
+    bool public started;                    // becomes true when roster full
+    bool public finished;                   // true after last payout
+
+    /// Least `reputationScore` the factory must give a member to join
+    /// (v2.23); 0 ⇒ anyone.  Declared here to share the slot of `started`
+    /// and `finished`, which every join reads anyway; no existing slot moves.
+    uint32 public minReputation;
+
+    uint256 public payoutSize;              // == contribution * maxParticipants
+    uint256 public collateralRequirement;   // == payoutSize when collateral on
+
+    /* Current‑cycle bookkeeping */
+    uint256 public currentCycle;            // 0‑indexed
+    uint256 public nextPayoutTime;          // unix timestamp
+    mapping(address => bool) private __legacyContributed;  // pre‑v2.10 slot, unused
+    uint256 public contributedCount;
+
+    /* Collateral / expulsion */
+    struct MemberInfo { uint256 collateralRemaining; bool expelled; }
+    mapping(address => MemberInfo) public memberInfo;
+
+    /*──────────────────────────── Preference feature (v2.4) ───────────────────*/
+    /// latestDesiredCycle: 1‑indexed deadline; 0 or >maxParticipants ⇒ no pref
+    mapping(address => uint256) public latestDesiredCycle;
+
+    /*──────────────────────────── ERC‑20 feature (v2.5) ───────────────────────*/
+    /// Token every amount is denominated in; address(0) ⇒ native ETH.
+    /// Only plain ERC‑20s are supported (no fee‑on‑transfer / rebasing).
+    IERC20 public token;
+
+    /*──────────────────────────── Bidding feature (v2.6) ──────────────────────*/
+    /// Scheduled ⇒ `payoutOrder` fixed at start (EDF scheduler).
+    /// OpenBid / SealedBid ⇒ each cycle's pot is auctioned among unpaid members.
+    enum PayoutMode { Scheduled, OpenBid, SealedBid }
+    PayoutMode public payoutMode;
+
+    /// Fee rates (v2.20, see "Fees" below), in bps of each pot.  Declared
+    /// here to share the slot of `token` and `payoutMode`, which every
+    /// payout reads anyway; no existing slot moves.
+    uint16 public organiserFeeBps;          // set by the creator
+    uint16 public protocolFeeBps;           // factory's rate when the group was created
+
+    /// Bids (or commitments) are accepted in [nextPayoutTime - bidWindow, nextPayoutTime).
+    /// Sealed mode adds a reveal phase of the same length after `nextPayoutTime`.
+    uint256 public bidWindow;
+
+    /// true once a member has received a pot (both modes)
+    mapping(address => bool) public paidOut;
+
+    /// Lowest bid of the current cycle = smallest pot its bidder accepts
+    address public bestBidder;
+    uint256 public bestBid;
+
+    /// cycle ⇒ member ⇒ keccak256(abi.encodePacked(member, amount, salt))
+    mapping(uint256 => mapping(address => bytes32)) public bidCommitments;
+
+    /*──────────────────────────── Invite‑only feature (v2.7) ──────────────────*/
+    /// Merkle root over leaves keccak256(bytes.concat(keccak256(abi.encode(member))))
+    /// (OpenZeppelin StandardMerkleTree format); 0 ⇒ no allowlist.
+    bytes32 public allowlistRoot;
+
+    /// Signs EIP‑712 `Invite(address invitee,uint256 deadline)` vouchers; 0 ⇒ none.
+    address public inviteSigner;
+
+    bytes32 public constant INVITE_TYPEHASH =
+        keccak256("Invite(address invitee,uint256 deadline)");
+
+    /*──────────────────────────── Enrollment deadline (v2.8) ──────────────────*/
+    uint256 public joinDeadline;            // unix timestamp; 0 ⇒ wait forever
+    bool    public shrinkAllowed;           // true → start smaller instead of cancelling
+    bool    public cancelled;               // true → never started, collateral reclaimable
+
+    /*──────────────────────────── Pull payments (v2.9) ────────────────────────*/
+    /// Credited but not yet withdrawn funds (pots, surplus shares, refunds)
+    mapping(address => uint256) public withdrawable;
+
+    /*──────────────────────────── Membership index (v2.10) ────────────────────*/
+    /// 1‑based position in `participants`; 0 ⇒ not a member.  Makes
+    /// `isParticipant` O(1) for one fresh SSTORE (~22k gas) per `join`, so
+    /// small groups join dearer than with the v2.9 roster scan (~100k vs
+    /// 80,650 gas at 3 members) and large ones cheaper (~92k vs 130,893 at
+    /// 50).  Both sets of figures: test/rosca.gas.test.js.
+    mapping(address => uint256) internal memberIndex;
+    /// cycle ⇒ bit i set when participants[i] paid that cycle (≤100 bits)
+    mapping(uint256 => uint256) internal contributedBits;
+
+    /*──────────────────────────── Defaulter policy (v2.11) ────────────────────*/
+    /// An expelled member's pot first reserves their remaining contributions;
+    /// the leftover is shared with honest members now or after the last payout.
+    enum ForfeitPolicy { Redistribute, HoldUntilEnd }
+    ForfeitPolicy public forfeitPolicy;
+    uint256 public forfeitPool;             // HoldUntilEnd: leftovers awaiting the end
+
+    /*──────────────────────────── Grace period (v2.12) ────────────────────────*/
+    /// Payments after `payoutOpensAt()` are late and cost `lateFee` extra;
+    /// defaulters are only covered/expelled once the grace window has closed.
+    uint256 public gracePeriod;             // seconds; 0 ⇒ no grace, no late fees
+    uint256 public lateFee;                 // same units as contributionAmount
+    uint256 public lateFeesPending;         // collected in the current cycle
+    /// cycle ⇒ bit i set when participants[i] paid late that cycle
+    mapping(uint256 => uint256) internal lateBits;
+
+    /*──────────────────────────── Stalled groups (v2.13) ──────────────────────*/
+    /// Without collateral nobody can cover a silent member, so once the
+    /// grace window plus one interval has passed this cycle's payers vote on
+    /// a remedy: drop the defaulters and go on smaller, or wind down.
+    enum Remedy { None, DropDefaulters, WindDown }
+    mapping(uint256 => mapping(address => Remedy)) public remedyVote;   // cycle ⇒ voter
+    mapping(uint256 => mapping(Remedy => uint256)) public remedyVotes;  // cycle ⇒ tally
+    mapping(address => bool) public votedOut;
+    /// Packed into one slot: every payout reads both
+    uint128 public votedOutCount;           // members no longer expected to pay
+    uint128 public cyclesDropped;           // pots cancelled by voting out unpaid members
+    bool    public woundDown;               // finished early, this cycle's pool settled
+
+    /*──────────────────────────── Payout windows (v2.14) ──────────────────────*/
+    /// earliestDesiredCycle: 1‑indexed "not before"; 0 or >maxParticipants ⇒ no pref.
+    /// Together with `latestDesiredCycle` it forms the member's payout window.
+    mapping(address => uint256) public earliestDesiredCycle;
+
+    /*──────────────────────────── Random order (v2.15) ────────────────────────*/
+    /// revealWindow > 0 ⇒ members without a preference are not placed FCFS
+    /// but in an order drawn from secrets they commit to while enrolling and
+    /// reveal once the roster is full.  seed == XOR of every revealed secret.
+    /// Committing holds a bond of one contribution: returned on reveal (or
+    /// if the group never starts), forfeited to the others if withheld.
+    uint256 public revealWindow;            // seconds; 0 ⇒ join order
+    uint256 public revealDeadline;          // set when the roster fills; 0 ⇒ no draw pending
+    mapping(address => bytes32) public seedCommitment;  // keccak256(abi.encode(member, secret))
+    uint256 public seedCommits;
+    uint256 public seedReveals;
+    uint256 internal revealedBits;          // bit i set once participants[i] revealed
+    bytes32 public seed;
+
+    /*──────────────────────────── Slot swaps (v2.16) ──────────────────────────*/
+    /// Two members not yet paid trade their places in `payoutOrder`.  The
+    /// proposer's optional side payment is held here until the swap resolves.
+    struct SlotSwap {
+        address proposer;
+        address counterparty;
+        uint256 sidePayment;                // paid to the counterparty on accept
+        uint256 deadline;                   // accept by this timestamp
+    }
+    mapping(uint256 => SlotSwap) public swaps;  // 1‑based id ⇒ open proposal
+    uint256 public swapCount;
+
+    /*──────────────────────────── Governance (v2.17) ──────────────────────────*/
+    /// Members propose and vote; quorum and threshold are basis points fixed
+    /// at creation (both 0 ⇒ governance off).  Proposals are kept internal –
+    /// `ROSCAGovernance` exposes them – so the core carries no extra getters.
+    enum ProposalKind { Expel, Dissolve, SetInterval }
+    struct Proposal {
+        ProposalKind kind;
+        bool    closed;                     // executed or rejected
+        address proposer;
+        address target;                     // Expel: member to remove
+        uint256 value;                      // SetInterval: new interval
+        uint256 deadline;                   // voting ends
+        uint256 electorate;                 // members entitled to vote
+        uint256 yes;
+        uint256 no;
+    }
+    uint256 public quorumBps;               // share of the electorate that must vote
+    uint256 public thresholdBps;            // share of votes cast that must be "yes"
+    mapping(uint256 => Proposal) internal proposals;           // 1‑based id
+    mapping(uint256 => mapping(address => bool)) internal voted;
+    uint256 public proposalCount;
+
+    /*──────────────────────────── Dissolution (v2.18) ────────────────────────*/
+    /// A group left paused or idle for too long can be dissolved: whatever
+    /// it still holds is split by each member's net position.
+    uint256 public pausedAt;                // last `pause()`
+    bool    public dissolved;               // withdrawals stay open even if paused
+
+    /*──────────────────────────── Factory (v2.19) ─────────────────────────────*/
+    /// Whoever initialised the clone – the factory – may enrol the creator
+    /// in the same transaction (`joinFor`) and is told of every lifecycle
+    /// change, so it can list groups by state.
+    enum GroupState { Open, Running, Finished }
+    address public factory;
+
+    /*──────────────────────────── Fees (v2.20) ────────────────────────────────*/
+    /// Recipients of the organiser and protocol cut of every pot; rates
+    /// are packed next to `payoutMode`.
+    address public organiser;
+    address public treasury;
+
+    /*──────────────────────────── Prepaid contributions (v2.21) ───────────────*/
+    /// Contributions deposited ahead; each payout pays a member's missing
+    /// contribution from here before treating them as a defaulter.
+    mapping(address => uint256) public prepaid;
+
+    /*──────────────────────────── Upkeep (v2.22) ──────────────────────────────*/
+    /// Optional keeper reward: each `performUpkeep` that runs a payout pays
+    /// its caller `upkeepBounty` out of `bountyPool`, while the pool lasts.
+    uint256 public upkeepBounty;
+    uint256 public bountyPool;
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                      EVENTS
+    //////////////////////////////////////////////////////////////////////////*/
+    event ParticipantJoined(address indexed who, uint256 index);
+    event ParticipantLeft(address indexed who, uint256 refund);
+    event ScheduleFinalised(address[] order);
+    event PreferenceUnmet(address indexed member, uint256 earliest, uint256 latest, uint256 assigned);
+    event SeedCommitted(address indexed member);
+    event RevealOpened(uint256 deadline);
+    event SeedRevealed(address indexed member, bytes32 secret);
+    event OrderDrawn(bytes32 seed);
+    event SeedBondReturned(address indexed member, uint256 amount);
+    event SeedBondForfeited(address indexed member, uint256 amount);
+    event SeedBondShared(address indexed member, uint256 amount);
+
+    event GroupStarted(uint256 startTime);
+    event GroupShrunk(uint256 oldSize, uint256 newSize);
+    event GroupCancelled(uint256 cancelledAt);
+    event CycleAdvanced(uint256 newCycle);
+    event GroupFinished(uint256 finishedAt);
+
+    event Contributed(address indexed who, uint256 indexed cycle, uint256 amount);
+    event Payout(address indexed recipient,uint256 indexed cycle, uint256 amount);
+
+    event CollateralUsed(address indexed debtor,uint256 indexed cycle,uint256 share);
+    event CollateralRefunded(address indexed member,uint256 amount);
+    event MemberExpelled(address indexed member, uint256 indexed cycle, bool paidOut);
+    event PotForfeited(address indexed member, uint256 indexed cycle, uint256 reserved, uint256 leftover);
+    event ForfeitShared(address indexed member, uint256 indexed cycle, uint256 amount);
+    event LateContribution(address indexed who, uint256 indexed cycle, uint256 fee);
+    event LateFeeShared(address indexed member, uint256 indexed cycle, uint256 amount);
+    event Withdrawn(address indexed member, uint256 amount);
+
+    event RemedyVoted(address indexed voter, uint256 indexed cycle, Remedy remedy);
+    event MemberVotedOut(address indexed member, uint256 indexed cycle, bool paidOut);
+    event SettlementCredited(address indexed member, uint256 amount);
+    event GroupWoundDown(uint256 indexed cycle, uint256 pool);
+
+    event BidPlaced(address indexed bidder, uint256 indexed cycle, uint256 amount);
+    event BidCommitted(address indexed bidder, uint256 indexed cycle);
+    event AuctionSettled(uint256 indexed cycle, address indexed winner, uint256 winningBid, uint256 surplus);
+    event SurplusShared(address indexed member, uint256 indexed cycle, uint256 amount);
+
+    event SwapProposed(uint256 indexed id, address indexed proposer, address indexed counterparty,
+                       uint256 sidePayment, uint256 deadline);
+    event SwapAccepted(uint256 indexed id, uint256 proposerSlot, uint256 counterpartySlot);
+    event SwapRejected(uint256 indexed id);
+    event SwapCancelled(uint256 indexed id);
+
+    event ProposalCreated(uint256 indexed id, address indexed proposer, ProposalKind kind,
+                          address target, uint256 value, uint256 deadline);
+    event ProposalVoted(uint256 indexed id, address indexed voter, bool support);
+    event ProposalExecuted(uint256 indexed id);
+    event ProposalRejected(uint256 indexed id);
+    event IntervalChanged(uint256 oldInterval, uint256 newInterval);
+    event GroupDissolved(address indexed by, uint256 held);
+    event FeesCharged(uint256 indexed cycle, uint256 organiserFee, uint256 protocolFee);
+    event Prepaid(address indexed member, uint256 amount);
+    event PrepaidUsed(address indexed member, uint256 indexed cycle, uint256 amount);
+    event PrepaidRefunded(address indexed member, uint256 amount);
+    event UpkeepFunded(address indexed by, uint256 amount);
+    event UpkeepBountySet(uint256 bounty);
+    event UpkeepPerformed(address indexed keeper, uint256 indexed cycle, uint256 bounty);
+
+    /// Creation‑time settings (one struct keeps `initialize` below the stack limit)
+    struct Config {
+        uint256    contribution;    // ETH (or token units) each member pays per cycle
+        uint256    interval;        // seconds between payout opportunities
+        uint256    maxParticipants; // also == number of cycles/payouts
+        bool       useCollateral;   // true → members deposit one full‑payout as bond
+        address    token;           // ERC‑20 used for all payments; address(0) ⇒ ETH
+        PayoutMode payoutMode;      // fixed schedule or open/sealed per‑cycle auction
+        uint256    bidWindow;       // auction modes: seconds bids are open each cycle
+        bytes32    allowlistRoot;   // Merkle root of addresses allowed to join; 0 ⇒ none
+        address    inviteSigner;    // signer of EIP‑712 invites; 0 ⇒ none
+                                    //   (either one set makes the group invite‑only)
+        uint256    joinDeadline;    // enrollment closes at this timestamp; 0 ⇒ none
+        bool       allowShrink;     // true → after the deadline start with ≥2 members
+        ForfeitPolicy forfeitPolicy; // leftover of an expelled member's pot
+        uint256    gracePeriod;     // seconds late payments are still accepted
+        uint256    lateFee;         // charged on top of a late payment; needs grace
+        uint256    revealWindow;    // >0 ⇒ random order for members without a preference
+        uint256    quorumBps;       // governance: turnout needed, bps of the electorate
+        uint256    thresholdBps;    //   and "yes" share of votes cast; both 0 ⇒ off
+        address    organiser;       // receives the organiser fee
+        uint16     organiserFeeBps; // bps of each pot; ≤ MAX_ORGANISER_FEE_BPS, 0 ⇒ none
+        uint32     minReputation;   // factory reputation score needed to join; 0 ⇒ none
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                    SHARED VIEWS
+    //////////////////////////////////////////////////////////////////////////*/
+    function isParticipant(address a) public view returns (bool) {
+        return memberIndex[a] != 0;
+    }
+
+    /// Members still expected to pay each cycle
+    function activeMembers() public view returns (uint256) {
+        return participants.length - votedOutCount;
+    }
+
+    /// Number of pots the group pays out before it finishes
+    function totalCycles() public view returns (uint256) {
+        return participants.length - cyclesDropped;
+    }
+
+    /// True once `a` paid in the current cycle (collateral cover doesn't count)
+    function hasContributed(address a) public view returns (bool) {
+        return contributedBits[currentCycle] & _bit(a) != 0;
+    }
+
+    /// Bitmap mask of a member; 0 for outsiders so they never read as paid
+    function _bit(address a) internal view returns (uint256) {
+        uint256 idx = memberIndex[a];
+        return idx == 0 ? 0 : 1 << (idx - 1);
+    }
+
+    /// Earliest time `triggerPayout()` may run (after the reveal phase in sealed mode)
+    function payoutOpensAt() public view returns (uint256) {
+        return payoutMode == PayoutMode.SealedBid ? nextPayoutTime + bidWindow : nextPayoutTime;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                     SCHEDULING
+    //////////////////////////////////////////////////////////////////////////*/
+    uint256 internal constant NO_SLOT = type(uint256).max;
+
+    /// Clamp a payout window to 1‑indexed [lo, hi] within `slots` cycles;
+    /// a bound that is 0 or beyond `slots` leaves that side open.
+    function _window(uint256 earliest, uint256 latest, uint256 slots)
+        internal pure returns (uint256 lo, uint256 hi)
+    {
+        lo = earliest == 0 || earliest > slots ? 1 : earliest;
+        hi = latest   == 0 || latest   > slots ? slots : latest;
+    }
+
+    /**
+     * Earliest‑deadline‑first over unit slots: cycle t goes to the unplaced
+     * member with the nearest deadline whose window contains t (lowest
+     * `rank` on ties).  For unit‑length jobs this is optimal – if every
+     * window can be met at once, it is.  With `fill`, a cycle no open window
+     * covers still goes to the most urgent unplaced member, so nobody is
+     * left out.
+     * @return order member index per cycle; NO_SLOT ⇒ left empty
+     */
+    function _edf(
+        uint256[] memory lo,
+        uint256[] memory hi,
+        uint256[] memory rank,
+        uint256 slots,
+        bool fill
+    ) internal pure returns (uint256[] memory order) {
+        uint256 m = lo.length;
+        bool[] memory placed = new bool[](m);
+        order = new uint256[](slots);
+        for (uint256 t = 1; t <= slots; ++t) {
+            uint256 best  = NO_SLOT;
+            uint256 spare = NO_SLOT;
+            for (uint256 i = 0; i < m; ++i) {
+                if (placed[i]) continue;
+                if (lo[i] <= t && t <= hi[i]) {
+                    if (best == NO_SLOT || _before(i, best, hi, rank)) best = i;
+                } else if (spare == NO_SLOT || _before(i, spare, hi, rank)) {
+                    spare = i;
+                }
+            }
+            if (best == NO_SLOT && fill) best = spare;
+            order[t - 1] = best;
+            if (best != NO_SLOT) placed[best] = true;
+        }
+    }
+
+    /// Is member i more urgent than member j?
+    function _before(uint256 i, uint256 j, uint256[] memory hi, uint256[] memory rank)
+        private pure returns (bool)
+    {
+        return hi[i] < hi[j] || (hi[i] == hi[j] && rank[i] < rank[j]);
+    }
+
+    /// Enrol `_member`; collateral is taken from the caller – the member
+    /// itself (relayed or not), or the factory paying for the creator
+    /// (`joinFor`), who also skips the reputation gate they set.
+    function _join(address _member, uint256 _earliestCycle, uint256 _latestCycle) internal {
+        require(!started,              "ROSCA: already started");
+        require(!finished,             "ROSCA: finished");
+        require(joinDeadline == 0 || block.timestamp <= joinDeadline,
+                "ROSCA: enrollment closed");
+        require(!isParticipant(_member), "ROSCA: already joined");
+        require(participants.length < maxParticipants, "ROSCA: full");
+        require(minReputation == 0 || msg.sender == factory
+                || IGroupRegistry(factory).reputationScore(_member) >= minReputation,
+                "ROSCA: reputation too low");
+        require(_earliestCycle == 0 || _latestCycle == 0 || _earliestCycle <= _latestCycle,
+                "ROSCA: bad window");
+
+        /* Collateral deposit */
+        if (collateralEnabled) {
+            _collect(collateralRequirement, "ROSCA: bad collateral");
+            memberInfo[_member] = MemberInfo(collateralRequirement, false);
+        } else {
+            require(msg.value == 0, "ROSCA: collateral off");
+        }
+
+        participants.push(_member);
+        memberIndex[_member] = participants.length;
+        if (_latestCycle != 0)   latestDesiredCycle[_member] = _latestCycle;
+        if (_earliestCycle != 0) earliestDesiredCycle[_member] = _earliestCycle;
+        emit ParticipantJoined(_member, participants.length - 1);
+
+        if (participants.length == maxParticipants) _rosterComplete();
+    }
+
+    /// Roster complete: start now – or, for a random order, once members
+    /// have revealed their secrets (straight away if nobody committed one).
+    function _rosterComplete() internal {
+        _reportState(GroupState.Running);
+        if (revealWindow == 0 || seedCommits == 0) { _start(); return; }
+        revealDeadline = block.timestamp + revealWindow;
+        emit RevealOpened(revealDeadline);
+    }
+
+    function _start() internal {
+        started        = true;
+        // bidding mode grows payoutOrder[] one auction at a time instead
+        if (payoutMode == PayoutMode.Scheduled) _finaliseSchedule(); // compute payoutOrder[]
+        nextPayoutTime = block.timestamp + interval;
+        emit GroupStarted(block.timestamp);
+    }
+
+    /* ---------------- scheduler: earliest‑deadline‑first ------------------ */
+
+    /// EDF over everyone's payout window (see `_edf`): every window is met
+    /// whenever that is possible at all.  Members whose window could not be
+    /// met still get a slot and a `PreferenceUnmet` event.  Equally urgent
+    /// members go in join order – or in random mode, members without a
+    /// preference go in draw order (see `_drawKey`) after those with one.
+    /// Nobody revealed ⇒ no draw: a seed anyone could still steer (such as
+    /// a block hash) would be worse than join order, so join order it is.
+    function _finaliseSchedule() internal {
+        uint256 n = participants.length;
+        uint256[] memory lo   = new uint256[](n);
+        uint256[] memory hi   = new uint256[](n);
+        uint256[] memory rank = new uint256[](n);
+
+        bool random = revealWindow != 0 && seedReveals != 0;
+        if (random) emit OrderDrawn(seed);
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            (lo[i], hi[i]) = _window(earliestDesiredCycle[p], latestDesiredCycle[p], n);
+            rank[i] = random && lo[i] == 1 && hi[i] == n ? _drawKey(i, n) : i;
+        }
+
+        uint256[] memory slotOf = _edf(lo, hi, rank, n, true);
+        address[] memory order  = new address[](n);
+        for (uint t = 0; t < n; ++t) {
+            uint256 i = slotOf[t];
+            address p = participants[i];
+            order[t] = p;
+            if (t + 1 < lo[i] || t + 1 > hi[i]) {
+                emit PreferenceUnmet(p, earliestDesiredCycle[p], latestDesiredCycle[p], t + 1);
+            }
+        }
+
+        payoutOrder = order;
+        emit ScheduleFinalised(order);
+    }
+
+    /**
+     * Draw position of participants[i]: keccak256(abi.encode(seed, member)),
+     * lowest first – anyone can recompute it from `seed` and the revealed
+     * secrets.  Members who did not reveal come after all who did, so
+     * withholding a secret never moves anyone forward.  Offset by `n` to
+     * rank behind members who stated a preference.
+     */
+    function _drawKey(uint256 i, uint256 n) internal view returns (uint256) {
+        uint256 key = uint256(keccak256(abi.encode(seed, participants[i]))) >> 2;
+        if (revealedBits & (1 << i) == 0) key += 1 << 254;
+        return n + key;
+    }
+
+    /// The group ends before the order is drawn: every bond still held
+    /// (committed, not yet revealed) goes back to its member.
+    function _returnSeedBonds() internal {
+        uint256 n = participants.length;
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (seedCommitment[p] == 0 || revealedBits & (1 << i) != 0) continue;
+            delete seedCommitment[p];
+            withdrawable[p] += contributionAmount;
+            emit SeedBondReturned(p, contributionAmount);
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                 GRACE & LATE FEES
+    //////////////////////////////////////////////////////////////////////////*/
+
+    /// True while someone who can still pay (not expelled) hasn't this
+    /// cycle and has not prepaid it either
+    function _awaitingPayment() internal view returns (bool) {
+        uint256 n = participants.length;
+        if (contributedCount == activeMembers()) return false;
+
+        uint256 paid = contributedBits[currentCycle];
+        for (uint i = 0; i < n; ++i) {
+            address p = participants[i];
+            if (paid & (1 << i) == 0 && !memberInfo[p].expelled
+                && prepaid[p] < contributionAmount) return true;
+        }
+        return false;
+    }
+
+    /// Late fees go to whoever paid on time; if nobody did, each late payer
+    /// simply gets their fee back.  Dust stays with the first on‑time payer.
+    function _shareLateFees() internal {
+        uint256 fees   = lateFeesPending;
+        uint256 paid   = contributedBits[currentCycle];
+        uint256 late   = lateBits[currentCycle];
+        uint256 onTime = paid & ~late;
+        lateFeesPending = 0;
+
+        uint256 n = participants.length;
+        uint256 k;
+        address first;
+        for (uint i = 0; i < n; ++i) {
+            if (onTime & (1 << i) == 0) continue;
+            if (k++ == 0) first = participants[i];
+        }
+
+        if (k == 0) {
+            for (uint i = 0; i < n; ++i) {
+                if (late & (1 << i) != 0) withdrawable[participants[i]] += lateFee;
+            }
+            return;
+        }
+
+        uint256 share = fees / k;
+        for (uint i = 0; i < n; ++i) {
+            if (onTime & (1 << i) == 0) continue;
+            withdrawable[participants[i]] += share;
+            emit LateFeeShared(participants[i], currentCycle, share);
+        }
+        withdrawable[first] += fees - share * k;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                       FEES
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Organiser and protocol cut of a pot, rounded down and credited to
+    /// their recipients (claimed via `withdraw`).  Returns the rest.
+    /// Always charged on the full pot – in bidding mode too, whatever the
+    /// winning bid.
+    function _takeFees(uint256 pot) internal returns (uint256) {
+        (uint256 oBps, uint256 pBps) = (organiserFeeBps, protocolFeeBps);
+        if (oBps + pBps == 0) return pot;
+
+        uint256 toOrganiser = pot * oBps / BPS;
+        uint256 toProtocol  = pot * pBps / BPS;
+        if (toOrganiser > 0) withdrawable[organiser] += toOrganiser;
+        if (toProtocol > 0)  withdrawable[treasury]  += toProtocol;
+        emit FeesCharged(currentCycle - 1, toOrganiser, toProtocol);
+        return pot - toOrganiser - toProtocol;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                               PREPAID CONTRIBUTIONS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Pay `p`'s contribution for this cycle from their prepaid balance if
+    /// it covers it – as if paid by hand on time, so no late fee.
+    function _usePrepaid(address p, uint256 bit) internal returns (bool) {
+        uint256 c = contributionAmount;
+        if (prepaid[p] < c) return false;
+        prepaid[p] -= c;
+        contributedBits[currentCycle] |= bit;
+        contributedCount += 1;
+        emit PrepaidUsed(p, currentCycle, c);
+        return true;
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                               REMOVING MEMBERS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// No‑collateral groups: `p` is no longer expected to pay and, if their
+    /// turn had not come yet, the schedule loses one cycle.  What they paid
+    /// in stays in the pots.
+    function _voteOut(address p) internal {
+        votedOut[p] = true;
+        memberInfo[p].expelled = true;
+        votedOutCount += 1;
+        if (!paidOut[p]) cyclesDropped += 1;
+        emit MemberVotedOut(p, currentCycle, paidOut[p]);
+    }
+
+    /// After `_voteOut`: pots shrink to the remaining members and the gaps
+    /// left in the schedule close.  A standing bid larger than the smaller
+    /// pot is void.  With nobody left waiting for a pot this cycle's money
+    /// is handed back.
+    function _closeGaps() internal {
+        payoutSize = contributionAmount * activeMembers();
+        if (bestBid > payoutSize) {
+            delete bestBidder;
+            delete bestBid;
+        }
+        if (payoutMode == PayoutMode.Scheduled) {
+            uint256 k = currentCycle;
+            for (uint i = currentCycle; i < payoutOrder.length; ++i) {
+                if (!votedOut[payoutOrder[i]]) payoutOrder[k++] = payoutOrder[i];
+            }
+            while (payoutOrder.length > k) payoutOrder.pop();
+        }
+        if (currentCycle == totalCycles()) _windDown();
+    }
+
+    /**
+     * Finish early.  Only this cycle's contributions are still in the group:
+     *   1. members who paid but never received a pot are repaid everything
+     *      they put in – pro rata if the pool cannot cover all of them;
+     *   2. whatever is left goes back to this cycle's payers in equal parts.
+     * Late fees are shared first, as at any payout.  Members who stayed
+     * silent get nothing back; rounding dust goes to the first payer.
+     */
+    function _windDown() internal {
+        if (lateFeesPending > 0) _shareLateFees();
+
+        uint256 n    = participants.length;
+        uint256 paid = contributedBits[currentCycle];
+        uint256 pool = contributedCount * contributionAmount;
+        uint256 cycle = currentCycle;
+
+        uint256[] memory owed = new uint256[](n);
+        uint256 totalOwed;
+        for (uint i = 0; i < n; ++i) {
+            if (paid & (1 << i) == 0 || paidOut[participants[i]]) continue;
+            uint256 k;
+            for (uint c = 0; c <= cycle; ++c) if (contributedBits[c] & (1 << i) != 0) ++k;
+            owed[i] = k * contributionAmount;
+            totalOwed += owed[i];
+        }
+
+        /* 1. repay those still waiting for a pot */
+        uint256 left = pool;
+        for (uint i = 0; i < n; ++i) {
+            if (owed[i] == 0) continue;
+            if (totalOwed > pool) owed[i] = owed[i] * pool / totalOwed;
+            left -= owed[i];
+        }
+
+        /* 2. split the rest among this cycle's payers, dust to the first */
+        if (left > 0) {
+            uint256 share = left / contributedCount;
+            address first;
+            for (uint i = 0; i < n; ++i) {
+                if (paid & (1 << i) == 0) continue;
+                if (first == address(0)) first = participants[i];
+                owed[i] += share;
+            }
+            owed[memberIndex[first] - 1] += left - share * contributedCount;
+        }
+
+        for (uint i = 0; i < n; ++i) {
+            if (owed[i] == 0) continue;
+            withdrawable[participants[i]] += owed[i];
+            emit SettlementCredited(participants[i], owed[i]);
+        }
+
+        contributedCount = 0;
+        finished  = true;
+        woundDown = true;
+        emit GroupWoundDown(cycle, pool);
+        emit GroupFinished(block.timestamp);
+        _reportState(GroupState.Finished);
+    }
+
+    /// Best effort: a factory that is gone, or an EOA that initialised the
+    /// clone by hand, must never hold the group up.
+    function _reportState(GroupState _state) internal {
+        if (factory.code.length == 0) return;
+        try IGroupRegistry(factory).groupStateChanged(_state) {} catch {}
+    }
+
+    /// Same for the factory's reputation registry: `_member` was expelled
+    /// for not paying.
+    function _reportExpelled(address _member) internal {
+        if (factory.code.length == 0) return;
+        try IGroupRegistry(factory).memberExpelled(_member) {} catch {}
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                 META‑TRANSACTIONS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Calls relayed by `trustedForwarder()` (EIP‑2771) act for the signer
+    /// it appends to the calldata, so a relayer can pay the gas for any
+    /// member action.  A delegatecall keeps both `msg.sender` and the
+    /// calldata, so the modules behind the core's fallback resolve the
+    /// same signer.  Use `_msgSender()`, never `msg.sender`, for the member.
+    function _msgSender()
+        internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (address)
+    {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+
+    function _msgData()
+        internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (bytes calldata)
+    {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+
+    function _contextSuffixLength()
+        internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (uint256)
+    {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
+    }
+
+    /*//////////////////////////////////////////////////////////////////////////
+                                   ASSET TRANSFERS
+    //////////////////////////////////////////////////////////////////////////*/
+    /// Take `amount` from the caller (`_msgSender()`, the signer of a
+    /// relayed call): exact `msg.value` in ETH mode, `transferFrom` (and
+    /// no ETH) in ERC‑20 mode.
+    function _collect(uint256 amount, string memory err) internal {
+        if (address(token) == address(0)) {
+            require(msg.value == amount, err);
+        } else {
+            require(msg.value == 0, "ROSCA: token mode");
+            token.safeTransferFrom(_msgSender(), address(this), amount);
+        }
+    }
+
+    /// Pay `amount` out in whatever asset the group runs on.
+    function _send(address to, uint256 amount) internal {
+        if (address(token) == address(0)) {
+            payable(to).sendValue(amount);
+        } else {
+            token.safeTransfer(to, amount);
+        }
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// Test‑only stablecoin stand‑in: 6 decimals, anyone can mint.
+contract MockERC20 is ERC20 {
+    constructor() ERC20("Mock USD", "mUSD") {}
+
+    function decimals() public pure override returns (uint8) { return 6; }
+
+    function mint(address to, uint256 amount) external { _mint(to, amount); }
+}
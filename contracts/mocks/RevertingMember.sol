@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+interface IROSCAMember {
+    function join(uint256, uint256) external payable;
+    function contribute() external payable;
+    function withdraw() external;
+}
+
+/// Test‑only member contract that refuses every incoming ETH transfer.
+contract RevertingMember {
+    function join(IROSCAMember g, uint256 latestCycle) external payable {
+        g.join{value: msg.value}(0, latestCycle);
+    }
+
+    function contribute(IROSCAMember g) external payable {
+        g.contribute{value: msg.value}();
+    }
+
+    function withdraw(IROSCAMember g) external { g.withdraw(); }
+
+    receive() external payable { revert("RevertingMember: no ETH"); }
+}
@@ -0,0 +1,22 @@
+import { ethers } from "ethers"
+
+// Minimal ERC-20 surface the UI needs for token-mode groups
+export const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+]
+
+export function getTokenContract(address, runner) {
+    return new ethers.Contract(address, ERC20_ABI, runner)
+}
+
+/** Approve `spender` for `amount` unless the current allowance already covers it. */
+export async function ensureAllowance(token, owner, spender, amount) {
+    const current = await token.allowance(owner, spender)
+    if (current >= amount) return
+    const tx = await token.approve(spender, amount)
+    await tx.wait()
+}
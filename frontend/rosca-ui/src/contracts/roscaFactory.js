@@ -1,5 +1,5 @@
 import { ethers } from "ethers"
-import RoscaFactoryABI from "./RoscaFactory.json"
+import RoscaFactoryABI from "./ROSCAFactory.json"
 
 const FACTORY_ADDRESS = "YOUR_DEPLOYED_FACTORY_ADDRESS" // Replace with Truffle-deployed factory address
 
@@ -0,0 +1,46 @@
+// Invite links for invite-only groups.
+//   /group/<address>?proof=0x..,0x..          → Merkle allowlist proof
+//   /group/<address>?deadline=<unix>&sig=0x.. → EIP-712 voucher from the invite signer
+
+export const INVITE_TYPES = {
+  Invite: [
+    { name: "invitee", type: "address" },
+    { name: "deadline", type: "uint256" },
+  ],
+}
+
+export function inviteDomain(groupAddress, chainId) {
+  return { name: "ROSCA", version: "1", chainId, verifyingContract: groupAddress }
+}
+
+/** Sign a voucher letting `invitee` join `groupAddress` until `deadline`. */
+export async function signInvite(signer, groupAddress, invitee, deadline) {
+  const { chainId } = await signer.provider.getNetwork()
+  return signer.signTypedData(
+    inviteDomain(groupAddress, chainId),
+    INVITE_TYPES,
+    { invitee, deadline }
+  )
+}
+
+export function buildInviteLink(groupAddress, { proof, deadline, sig }) {
+  const params = new URLSearchParams()
+  if (proof) params.set("proof", proof.join(","))
+  if (sig) {
+    params.set("deadline", String(deadline))
+    params.set("sig", sig)
+  }
+  return `${window.location.origin}/group/${groupAddress}?${params}`
+}
+
+/** Read an invite out of the current URL's query string; null when absent. */
+export function parseInvite(searchParams) {
+  const proof = searchParams.get("proof")
+  if (proof !== null) return { proof: proof ? proof.split(",") : [] }
+
+  const sig = searchParams.get("sig")
+  const deadline = searchParams.get("deadline")
+  if (sig && deadline) return { sig, deadline: BigInt(deadline) }
+
+  return null
+}
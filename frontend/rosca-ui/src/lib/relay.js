@@ -0,0 +1,53 @@
+// Gasless calls through the local relayer (scripts/relayer.js): the member
+// signs an EIP-2771 ForwardRequest, the relayer submits it to the trusted
+// forwarder and pays the gas.
+import { ethers } from "ethers"
+
+export const RELAYER_URL = "http://localhost:8787"
+
+const FORWARDER_ABI = ["function nonces(address owner) view returns (uint256)"]
+
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+}
+
+/** Have the relayer send `data` to `to` on behalf of `signer`; resolves to the tx hash. */
+export async function relayCall(signer, to, data, { gas = 1_000_000n, ttl = 3600 } = {}) {
+  const { forwarder } = await (await fetch(`${RELAYER_URL}/forwarder`)).json()
+  const { chainId } = await signer.provider.getNetwork()
+  const nonce = await new ethers.Contract(forwarder, FORWARDER_ABI, signer.provider).nonces(signer.address)
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + ttl)
+
+  const request = { from: signer.address, to, value: 0n, gas, nonce, deadline, data }
+  const signature = await signer.signTypedData(
+    { name: "ROSCAForwarder", version: "1", chainId, verifyingContract: forwarder },
+    FORWARD_REQUEST_TYPES,
+    request
+  )
+
+  // the forwarder tracks nonces itself; numbers travel as decimal strings
+  const res = await fetch(`${RELAYER_URL}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      from: request.from,
+      to,
+      value: "0",
+      gas: gas.toString(),
+      deadline: deadline.toString(),
+      data,
+      signature,
+    }),
+  })
+  const body = await res.json()
+  if (!res.ok) throw new Error(body.error)
+  return body.txHash
+}
@@ -1,10 +1,11 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { ethers } from "ethers";
-import RoscaFactoryArtifact from "@/contracts/RoscaFactory.json";
+import RoscaFactoryArtifact from "@/contracts/ROSCAFactory.json";
 import { useUser } from "@/components/common/UserContext";
+import { getTokenContract } from "@/contracts/erc20";
 
 const FACTORY_ADDRESS = "0x63baa0518010c1197048bc51d46b8A9B5E2764D9";
 const PROVIDER_URL = "http://localhost:7545";
@@ -13,15 +14,76 @@ export default function CreateGroup() {
   const navigate = useNavigate();
   const { selectedAccount } = useUser();
 
+  const [templates, setTemplates] = useState([]);      // enabled factory templates
+  const [templateId, setTemplateId] = useState(0);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [metadataURI, setMetadataURI] = useState("");
   const [contribution, setContribution] = useState("");
   const [members, setMembers] = useState("");
   const [intervalDays, setIntervalDays] = useState("0.0007");
+  const [tokenAddress, setTokenAddress] = useState(""); // blank ⇒ ETH
+  const [inviteOnly, setInviteOnly] = useState(false);   // creator signs invite links
+  const [allowlistRoot, setAllowlistRoot] = useState("");
+  const [enrollDays, setEnrollDays] = useState("");      // blank ⇒ no deadline
+  const [allowShrink, setAllowShrink] = useState(false);
+  const [graceMinutes, setGraceMinutes] = useState("");  // blank ⇒ no grace window
+  const [lateFee, setLateFee] = useState("");
+  const [revealMinutes, setRevealMinutes] = useState(""); // blank ⇒ join order
+  const [quorumPct, setQuorumPct] = useState("");        // blank ⇒ no member governance
+  const [thresholdPct, setThresholdPct] = useState("");
+  const [organiserFeePct, setOrganiserFeePct] = useState(""); // blank ⇒ no organiser fee
+  const [minReputation, setMinReputation] = useState("");     // blank ⇒ anyone may join
+  const [joinNow, setJoinNow] = useState(true);          // enrol the creator in the same tx
+  const [latestCycle, setLatestCycle] = useState("");    // blank ⇒ no preference
   const [loading, setLoading] = useState(false);
 
+  // the group is created at a CREATE2 address, so its link can be shared first
+  const [salt] = useState(() => ethers.hexlify(ethers.randomBytes(32)));
+  const [predicted, setPredicted] = useState("");
+
+  useEffect(() => {
+    async function fetchTemplates() {
+      try {
+        const provider = new ethers.JsonRpcProvider(PROVIDER_URL);
+        const factory = new ethers.Contract(FACTORY_ADDRESS, RoscaFactoryArtifact.abi, provider);
+        const count = Number(await factory.templateCount());
+        const all = await Promise.all(
+          Array.from({ length: count }, (_, id) => factory.getTemplate(id))
+        );
+        setTemplates(all
+          .map((t, id) => ({ id, name: t.name, version: Number(t.version), enabled: t.enabled }))
+          .filter((t) => t.enabled));
+      } catch (err) {
+        console.error("❌ Failed to load templates:", err);
+      }
+    }
+
+    fetchTemplates();
+  }, []);
+
+  useEffect(() => {
+    async function predict() {
+      try {
+        const provider = new ethers.JsonRpcProvider(PROVIDER_URL);
+        const factory = new ethers.Contract(FACTORY_ADDRESS, RoscaFactoryArtifact.abi, provider);
+        const creator = new ethers.Wallet(selectedAccount.key).address;
+        setPredicted(await factory.predictGroupAddress(templateId, creator, salt));
+      } catch (err) {
+        console.error("❌ Address prediction failed:", err);
+        setPredicted("");
+      }
+    }
+
+    predict();
+  }, [selectedAccount, salt, templateId]);
+
+  const groupLink = predicted ? `${window.location.origin}/group/${predicted}` : "";
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!contribution || !members || !intervalDays) {
+    if (!name || !contribution || !members || !intervalDays) {
       alert("Please fill out all fields");
       return;
     }
@@ -31,6 +93,26 @@ export default function CreateGroup() {
       return;
     }
 
+    if (tokenAddress && !ethers.isAddress(tokenAddress)) {
+      alert("Token must be a valid address (leave blank for ETH)");
+      return;
+    }
+
+    if (allowlistRoot && !ethers.isHexString(allowlistRoot, 32)) {
+      alert("Allowlist root must be a 32-byte hex string");
+      return;
+    }
+
+    if (organiserFeePct && !(parseFloat(organiserFeePct) >= 0 && parseFloat(organiserFeePct) <= 10)) {
+      alert("Organiser fee must be between 0 and 10%");
+      return;
+    }
+
+    if (lateFee && !graceMinutes) {
+      alert("A late fee needs a grace period");
+      return;
+    }
+
     try {
       setLoading(true);
 
@@ -39,12 +121,48 @@ export default function CreateGroup() {
       const factory = new ethers.Contract(FACTORY_ADDRESS, RoscaFactoryArtifact.abi, wallet);
       const iface = new ethers.Interface(RoscaFactoryArtifact.abi); // ✅ correct for Ethers v6+
 
-      const tx = await factory.createGroup(
-        ethers.parseEther(contribution),
-        Math.floor(parseFloat(intervalDays) * 24 * 60 * 60),
-        parseInt(members),
-        false
-      );
+      // ERC-20 groups are denominated in the token's own decimals
+      const decimals = tokenAddress
+        ? await getTokenContract(tokenAddress, provider).decimals()
+        : 18;
+      const amount = ethers.parseUnits(contribution, decimals);
+
+      const joinDeadline = enrollDays
+        ? Math.floor(Date.now() / 1000 + parseFloat(enrollDays) * 24 * 60 * 60)
+        : 0;
+
+      // ROSCA.Config
+      const config = {
+        contribution: amount,
+        interval: Math.floor(parseFloat(intervalDays) * 24 * 60 * 60),
+        maxParticipants: parseInt(members),
+        useCollateral: false,
+        token: tokenAddress || ethers.ZeroAddress,
+        payoutMode: 0, // fixed payout schedule (no bidding)
+        bidWindow: 0,
+        allowlistRoot: allowlistRoot || ethers.ZeroHash,
+        inviteSigner: inviteOnly ? wallet.address : ethers.ZeroAddress,
+        joinDeadline,
+        allowShrink,
+        forfeitPolicy: 0, // share a defaulter's forfeited pot right away
+        gracePeriod: graceMinutes ? Math.floor(parseFloat(graceMinutes) * 60) : 0,
+        lateFee: lateFee ? ethers.parseUnits(lateFee, decimals) : 0n,
+        revealWindow: revealMinutes ? Math.floor(parseFloat(revealMinutes) * 60) : 0,
+        quorumBps: quorumPct ? Math.round(parseFloat(quorumPct) * 100) : 0,
+        thresholdBps: thresholdPct ? Math.round(parseFloat(thresholdPct) * 100) : 0,
+        organiser: organiserFeePct ? wallet.address : ethers.ZeroAddress, // you collect the fee
+        organiserFeeBps: organiserFeePct ? Math.round(parseFloat(organiserFeePct) * 100) : 0,
+        minReputation: minReputation ? parseInt(minReputation) : 0,
+      };
+
+      const meta = { name, description, metadataURI };
+
+      // no collateral is asked for here, so joining sends no value
+      const tx = joinNow
+        ? await factory.createGroupAndJoinDeterministic(
+            templateId, config, wallet.address, meta, salt, 0, latestCycle ? parseInt(latestCycle) : 0
+          )
+        : await factory.createGroupDeterministic(templateId, config, wallet.address, meta, salt);
 
       const receipt = await tx.wait();
 
@@ -80,8 +198,52 @@ export default function CreateGroup() {
         <p className="text-sm text-center text-gray-300">Set up your savings circle</p>
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          {templates.length > 1 && (
+            <div>
+              <label className="block mb-1 text-sm font-medium text-gray-200">Template</label>
+              <select
+                value={templateId}
+                onChange={(e) => setTemplateId(Number(e.target.value))}
+                className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              >
+                {templates.map((t) => (
+                  <option key={t.id} value={t.id} className="text-black">
+                    {t.name} v{t.version}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div>
-            <label className="block mb-1 text-sm font-medium text-gray-200">Contribution (ETH)</label>
+            <label className="block mb-1 text-sm font-medium text-gray-200">Group Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Market traders' circle"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Description (optional)"
+              rows={2}
+              className="w-full mt-2 px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+            <input
+              type="text"
+              value={metadataURI}
+              onChange={(e) => setMetadataURI(e.target.value.trim())}
+              placeholder="Metadata URI (optional), e.g. ipfs://…"
+              className="w-full mt-2 px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Contribution ({tokenAddress ? "tokens" : "ETH"})
+            </label>
             <input
               type="text"
               value={contribution}
@@ -91,6 +253,19 @@ export default function CreateGroup() {
             />
           </div>
 
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Token Address <span className="text-gray-400">(optional, blank = ETH)</span>
+            </label>
+            <input
+              type="text"
+              value={tokenAddress}
+              onChange={(e) => setTokenAddress(e.target.value.trim())}
+              placeholder="0x… stablecoin contract"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+          </div>
+
           <div>
             <label className="block mb-1 text-sm font-medium text-gray-200">
               Interval (Days) <span className="text-gray-400">(e.g. 0.0007 ≈ 60s)</span>
@@ -116,6 +291,178 @@ export default function CreateGroup() {
             />
           </div>
 
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Enrollment Deadline (Days) <span className="text-gray-400">(optional)</span>
+            </label>
+            <input
+              type="number"
+              value={enrollDays}
+              onChange={(e) => setEnrollDays(e.target.value)}
+              placeholder="e.g. 7"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              step="0.0001"
+            />
+            {enrollDays && (
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={allowShrink}
+                  onChange={(e) => setAllowShrink(e.target.checked)}
+                />
+                Start with the members who joined instead of cancelling
+              </label>
+            )}
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Grace Period (Minutes) <span className="text-gray-400">(optional)</span>
+            </label>
+            <input
+              type="number"
+              value={graceMinutes}
+              onChange={(e) => setGraceMinutes(e.target.value)}
+              placeholder="e.g. 60"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+            {graceMinutes && (
+              <input
+                type="text"
+                value={lateFee}
+                onChange={(e) => setLateFee(e.target.value)}
+                placeholder={`Late fee (${tokenAddress ? "tokens" : "ETH"}), e.g. 0.01`}
+                className="w-full mt-2 px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              />
+            )}
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Random Order: Reveal Window (Minutes) <span className="text-gray-400">(optional)</span>
+            </label>
+            <input
+              type="number"
+              value={revealMinutes}
+              onChange={(e) => setRevealMinutes(e.target.value)}
+              placeholder="blank = paid in join order"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Member Governance: Quorum / Yes Threshold (%) <span className="text-gray-400">(optional)</span>
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={quorumPct}
+                onChange={(e) => setQuorumPct(e.target.value)}
+                placeholder="Quorum, e.g. 50"
+                className="flex-1 px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              />
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={thresholdPct}
+                onChange={(e) => setThresholdPct(e.target.value)}
+                placeholder="Threshold, e.g. 60"
+                className="flex-1 px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Organiser Fee (% of each pot) <span className="text-gray-400">(optional, max 10)</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.01"
+              value={organiserFeePct}
+              onChange={(e) => setOrganiserFeePct(e.target.value)}
+              placeholder="blank = no fee"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Minimum Reputation <span className="text-gray-400">(optional, on-time payments in other groups)</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={minReputation}
+              onChange={(e) => setMinReputation(e.target.value)}
+              placeholder="blank = anyone may join"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-200">
+              <input
+                type="checkbox"
+                checked={inviteOnly}
+                onChange={(e) => setInviteOnly(e.target.checked)}
+              />
+              Invite only <span className="text-gray-400">(you sign invite links)</span>
+            </label>
+          </div>
+
+          <div>
+            <label className="block mb-1 text-sm font-medium text-gray-200">
+              Allowlist Merkle Root <span className="text-gray-400">(optional)</span>
+            </label>
+            <input
+              type="text"
+              value={allowlistRoot}
+              onChange={(e) => setAllowlistRoot(e.target.value.trim())}
+              placeholder="0x… root of allowed addresses"
+              className="w-full px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-200">
+              <input
+                type="checkbox"
+                checked={joinNow}
+                onChange={(e) => setJoinNow(e.target.checked)}
+              />
+              Join as the first member
+            </label>
+            {joinNow && (
+              <input
+                type="number"
+                min="1"
+                value={latestCycle}
+                onChange={(e) => setLatestCycle(e.target.value)}
+                placeholder="Latest round you need the pot (optional)"
+                className="w-full mt-2 px-4 py-3 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              />
+            )}
+          </div>
+
+          {predicted && (
+            <div className="p-3 rounded bg-white/5 text-sm text-gray-300 space-y-1">
+              <p>Your group will live at</p>
+              <code className="block text-xs break-all">{predicted}</code>
+              <p>Share the link now – it works once the group is created:</p>
+              <a href={groupLink} className="block text-xs break-all text-indigo-300 underline">
+                {groupLink}
+              </a>
+            </div>
+          )}
+
           <Button
             type="submit"
             disabled={loading}
@@ -1,21 +1,46 @@
 import { useEffect, useMemo, useState } from "react";
-import { useParams } from "react-router-dom";
+import { useParams, useSearchParams } from "react-router-dom";
 import { ethers } from "ethers";
-import RoscaABI from "@/contracts/Rosca.json";
+import RoscaABI from "@/contracts/ROSCA.json";
+import ExtensionABI from "@/contracts/ROSCAExtension.json";
+import GovernanceABI from "@/contracts/ROSCAGovernance.json";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { useUser } from "@/components/common/UserContext";
+import { getTokenContract, ensureAllowance } from "@/contracts/erc20";
+import { buildInviteLink, parseInvite, signInvite } from "@/lib/invites";
+import { relayCall } from "@/lib/relay";
 
 const PROVIDER_URL = "http://localhost:7545";
 
+// Scores the factory keeps across its groups; gates joining via minReputation
+const REPUTATION_ABI = ["function reputationScore(address) view returns (uint256)"];
+
+// Mirrors ROSCA.ProposalKind
+const PROPOSAL_KINDS = ["Expel member", "Dissolve group", "Change interval"];
+
 export default function GroupDetail() {
   const { address } = useParams();
+  const [searchParams] = useSearchParams();
+  const invite = useMemo(() => parseInvite(searchParams), [searchParams]);
   const { selectedAccount, setSelectedAccount, testAccounts } = useUser();
   const [info, setInfo] = useState(null);
   const [isParticipant, setIsParticipant] = useState(false);
   const [hasContributed, setHasContributed] = useState(false);
   const [loading, setLoading] = useState(false);
   const [timeLeft, setTimeLeft] = useState(null);
+  const [invitee, setInvitee] = useState("");
+  const [inviteLink, setInviteLink] = useState("");
+  const [claimable, setClaimable] = useState(0n);
+  const [payoutWindow, setPayoutWindow] = useState({ earliest: "", latest: "" });
+  const [windowOk, setWindowOk] = useState(null);
+  const [swaps, setSwaps] = useState([]);
+  const [swapOffer, setSwapOffer] = useState({ counterparty: "", side: "", hours: "24" });
+  const [proposals, setProposals] = useState([]);
+  const [draft, setDraft] = useState({ kind: "0", target: "", days: "" });
+  const [gasless, setGasless] = useState(false);   // token groups: relayer pays the gas
+  const [prepaid, setPrepaid] = useState(0n);
+  const [prepayCycles, setPrepayCycles] = useState("1");
 
   const provider = useMemo(() => new ethers.JsonRpcProvider(PROVIDER_URL), []);
   const wallet = useMemo(() => {
@@ -29,7 +54,15 @@ export default function GroupDetail() {
 
   const rosca = useMemo(() => {
     if (!wallet || !address) return null;
-    return new ethers.Contract(address, RoscaABI.abi, wallet);
+    // Calls the core does not know are forwarded to its extension module,
+    // and from there on to governance
+    const abi = [
+      ...RoscaABI.abi,
+      ...[...ExtensionABI.abi, ...GovernanceABI.abi].filter(
+        (f) => f.type === "function" || f.type === "event"
+      ),
+    ];
+    return new ethers.Contract(address, abi, wallet);
   }, [wallet, address]);
 
   useEffect(() => {
@@ -37,39 +70,121 @@ export default function GroupDetail() {
       try {
         if (!rosca) return;
 
-        const [
-          contribution,
-          interval,
-          started,
-          currentCycle,
-          maxParticipants,
-          nextPayoutTime,
-          allParticipants,
-        ] = await Promise.all([
-          rosca.contributionAmount(),
-          rosca.interval(),
-          rosca.started(),
-          rosca.currentCycle(),
-          rosca.maxParticipants(),
-          rosca.nextPayoutTime(),
-          rosca.getParticipants(),
-        ]);
-
-        const joined = await rosca.isParticipant(wallet.address);
-        const contributed = await rosca.hasContributed(currentCycle, wallet.address);
-
-        setIsParticipant(joined);
-        setHasContributed(contributed);
+        // One call returns config, state flags and every member's status
+        const snap = await rosca.getSnapshot();
+        const { config } = snap;
+
+        // address(0) ⇒ classic ETH group, otherwise amounts are token units
+        let token = null;
+        if (config.token !== ethers.ZeroAddress) {
+          const erc20 = getTokenContract(config.token, provider);
+          const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+          token = { address: config.token, symbol, decimals };
+        }
+
+        const members = snap.members.map((m) => ({
+          address: m.member,
+          paid: m.paid,
+          expelled: m.expelled,
+          paidOut: m.paidOut,
+          // Whole contributions left in the member's prepaid balance
+          prepaidCycles: Number(m.prepaid / config.contribution),
+        }));
+        const me = snap.members.find((m) => m.member === wallet.address);
+
+        // Without collateral a silent member blocks the payout until payers vote
+        const stalled =
+          snap.started && !snap.finished && !config.useCollateral &&
+          snap.members.some((m) => !m.paid && !m.expelled && m.prepaid < config.contribution);
+
+        setIsParticipant(Boolean(me));
+        setHasContributed(Boolean(me?.paid));
+        setClaimable(me ? me.withdrawable : await rosca.withdrawable(wallet.address));
+        setPrepaid(me ? me.prepaid : 0n);
+
+        // Open slot-swap proposals (fixed schedule only)
+        const swapIds = snap.started ? await rosca.openSwaps() : [];
+        setSwaps(
+          await Promise.all(
+            swapIds.map(async (id) => {
+              const w = await rosca.swaps(id);
+              return {
+                id,
+                proposer: w.proposer,
+                counterparty: w.counterparty,
+                sidePayment: w.sidePayment,
+                deadline: Number(w.deadline),
+              };
+            })
+          )
+        );
+
+        // Member governance proposals still open (only if enabled at creation)
+        const proposalIds =
+          snap.started && config.quorumBps > 0n ? await rosca.openProposals() : [];
+        setProposals(
+          await Promise.all(
+            proposalIds.map(async (id) => {
+              const p = await rosca.getProposal(id);
+              return {
+                id,
+                kind: Number(p.kind),
+                target: p.target,
+                value: p.value,
+                deadline: Number(p.deadline),
+                yes: Number(p.yes),
+                no: Number(p.no),
+                electorate: Number(p.electorate),
+                voted: me ? await rosca.hasVoted(id, wallet.address) : true,
+              };
+            })
+          )
+        );
 
         setInfo({
-          contribution: ethers.formatEther(contribution),
-          interval: Number(interval) / (60 * 60 * 24),
-          nextPayoutTime: Number(nextPayoutTime),
-          started,
-          currentCycle,
-          maxParticipants,
-          participantCount: allParticipants.length,
-          participants: allParticipants,
+          contribution: token
+            ? ethers.formatUnits(config.contribution, token.decimals)
+            : ethers.formatEther(config.contribution),
+          contributionRaw: config.contribution,
+          collateralRaw: config.useCollateral ? snap.collateralRequirement : 0n,
+          token,
+          inviteOnly:
+            config.allowlistRoot !== ethers.ZeroHash || config.inviteSigner !== ethers.ZeroAddress,
+          inviteSigner: config.inviteSigner,
+          interval: Number(config.interval) / (60 * 60 * 24),
+          graceMinutes: Number(config.gracePeriod) / 60,
+          lateFee: token
+            ? ethers.formatUnits(config.lateFee, token.decimals)
+            : ethers.formatEther(config.lateFee),
+          nextPayoutTime: Number(snap.payoutOpensAt),
+          started: snap.started,
+          currentCycle: snap.currentCycle,
+          maxParticipants: config.maxParticipants,
+          participantCount: snap.participants.length,
+          participants: snap.participants,
+          payoutOrder: snap.payoutOrder,
+          payoutMode: Number(config.payoutMode),
+          // Paused or idle long enough ⇒ owner or members may dissolve
+          dissolved: await rosca.dissolved(),
+          dissolvableAt: Number(await rosca.dissolvableAt()),
+          isOwner: snap.owner === wallet.address,
+          governance: config.quorumBps > 0n,
+          quorumPct: Number(config.quorumBps) / 100,
+          thresholdPct: Number(config.thresholdBps) / 100,
+          // Taken from every pot at payout
+          organiserFeePct: Number(config.organiserFeeBps) / 100,
+          protocolFeePct: Number(await rosca.protocolFeeBps()) / 100,
+          minReputation: Number(config.minReputation),
+          myReputation: config.minReputation > 0n
+            ? Number(await new ethers.Contract(await rosca.factory(), REPUTATION_ABI, provider)
+                .reputationScore(wallet.address))
+            : 0,
+          members,
+          stalled,
+          remedyOpensAt: stalled ? Number(await rosca.remedyOpensAt()) : 0,
+          randomOrder: config.revealWindow > 0n,
+          revealDeadline: Number(await rosca.revealDeadline()),
+          committed: me ? (await rosca.seedCommitment(wallet.address)) !== ethers.ZeroHash : false,
         });
       } catch (err) {
         console.error("Failed to load group info:", err);
@@ -78,7 +193,7 @@ export default function GroupDetail() {
     }
 
     fetchInfo();
-  }, [rosca]);
+  }, [rosca, provider]);
 
   useEffect(() => {
     if (!info?.nextPayoutTime) return;
@@ -92,10 +207,46 @@ export default function GroupDetail() {
     return () => clearInterval(intervalId);
   }, [info?.nextPayoutTime]);
 
+  // Ask the group whether the payout window typed in can still be honoured
+  useEffect(() => {
+    if (!rosca || !info || info.started) return;
+    const earliest = Number(payoutWindow.earliest) || 0;
+    const latest = Number(payoutWindow.latest) || 0;
+    if (!earliest && !latest) {
+      setWindowOk(null);
+      return;
+    }
+    rosca
+      .windowAvailable(earliest, latest)
+      .then(setWindowOk)
+      .catch((err) => console.error("Window check failed:", err));
+  }, [rosca, info, payoutWindow]);
+
   const joinGroup = async () => {
     try {
       setLoading(true);
-      const tx = await rosca.join({ value: 0 });
+      // Collateral is pulled with transferFrom in token mode, so approve it first
+      if (info.token && info.collateralRaw > 0n) {
+        const erc20 = getTokenContract(info.token.address, wallet);
+        await ensureAllowance(erc20, wallet.address, address, info.collateralRaw);
+      }
+      const overrides = info.token ? {} : { value: info.collateralRaw };
+
+      // 1-indexed cycles; 0 leaves that side of the window open
+      const earliest = Number(payoutWindow.earliest) || 0;
+      const latest = Number(payoutWindow.latest) || 0;
+
+      let tx;
+      if (!info.inviteOnly) {
+        tx = await rosca.join(earliest, latest, overrides);
+      } else if (invite?.proof) {
+        tx = await rosca.joinWithProof(earliest, latest, invite.proof, overrides);
+      } else if (invite?.sig) {
+        tx = await rosca.joinWithInvite(earliest, latest, invite.deadline, invite.sig, overrides);
+      } else {
+        alert("🔒 This group is invite-only. Open the invite link you were sent.");
+        return;
+      }
       await tx.wait();
       alert("✅ Joined group successfully!");
       setIsParticipant(true);
@@ -106,12 +257,67 @@ export default function GroupDetail() {
     }
   };
 
+  const leaveGroup = async () => {
+    try {
+      setLoading(true);
+      const tx = await rosca.leave();
+      await tx.wait();
+      alert("👋 Left group, collateral is ready to withdraw");
+      setIsParticipant(false);
+      setClaimable(await rosca.withdrawable(wallet.address));
+    } catch (err) {
+      alert("❌ Leave failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Pots, surplus shares and refunds are credited on-chain; pull them here
+  const withdraw = async () => {
+    try {
+      setLoading(true);
+      const tx = await rosca.withdraw();
+      await tx.wait();
+      alert("✅ Withdrawal successful!");
+      setClaimable(0n);
+    } catch (err) {
+      alert("❌ Withdraw failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const createInvite = async () => {
+    if (!ethers.isAddress(invitee)) {
+      alert("Enter the invitee's address");
+      return;
+    }
+    try {
+      const deadline = Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60; // valid one week
+      const sig = await signInvite(wallet, address, invitee, deadline);
+      setInviteLink(buildInviteLink(address, { deadline, sig }));
+    } catch (err) {
+      alert("❌ Could not sign invite: " + err.message);
+    }
+  };
+
   const contribute = async () => {
     try {
       setLoading(true);
-      const tx = await rosca.contribute({
-        value: await rosca.contributionAmount(),
-      });
+      // Includes the late fee once the payout time has passed
+      const due = await rosca.contributionDue();
+      let tx;
+      if (info.token) {
+        const erc20 = getTokenContract(info.token.address, wallet);
+        await ensureAllowance(erc20, wallet.address, address, due);
+        tx = gasless
+          ? await provider.getTransaction(
+              await relayCall(wallet, address, rosca.interface.encodeFunctionData("contribute"))
+            )
+          : await rosca.contribute();
+      } else {
+        tx = await rosca.contribute({ value: due });
+      }
       await tx.wait();
       alert("✅ Contribution successful!");
       setHasContributed(true);
@@ -122,6 +328,229 @@ export default function GroupDetail() {
     }
   };
 
+  // Deposit several cycles at once; each payout takes a missed contribution from it
+  const prepay = async () => {
+    const cycles = Number(prepayCycles);
+    if (!Number.isInteger(cycles) || cycles < 1) {
+      alert("Enter a whole number of cycles");
+      return;
+    }
+    try {
+      setLoading(true);
+      const amount = info.contributionRaw * BigInt(cycles);
+      let tx;
+      if (info.token) {
+        const erc20 = getTokenContract(info.token.address, wallet);
+        await ensureAllowance(erc20, wallet.address, address, amount);
+        tx = await rosca.prepay(cycles);
+      } else {
+        tx = await rosca.prepay(cycles, { value: amount });
+      }
+      await tx.wait();
+      alert(`✅ Prepaid ${cycles} cycle(s)`);
+      setPrepaid(await rosca.prepaid(wallet.address));
+    } catch (err) {
+      alert("❌ Prepay failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The unused balance is credited back and claimed with Withdraw
+  const refundPrepaid = async () => {
+    try {
+      setLoading(true);
+      const tx = await rosca.refundPrepaid(prepaid);
+      await tx.wait();
+      alert("✅ Prepaid balance is ready to withdraw");
+      setPrepaid(0n);
+      setClaimable(await rosca.withdrawable(wallet.address));
+    } catch (err) {
+      alert("❌ Refund failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Random order: the secret stays in this browser until the reveal phase.
+  // The first commit posts a bond of one contribution, returned on reveal.
+  // A new secret waits under a pending key until its commit is mined, so a
+  // failed re-commit keeps the one matching the commitment on chain.
+  const seedKey = `rosca-seed:${address}:${wallet?.address}`;
+  const pendingSeedKey = `${seedKey}:pending`;
+
+  const commitSeed = async () => {
+    try {
+      setLoading(true);
+      const secret = ethers.hexlify(ethers.randomBytes(32));
+      const commitment = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [wallet.address, secret])
+      );
+      localStorage.setItem(pendingSeedKey, secret);
+      let tx;
+      if (info.committed) {
+        tx = await rosca.commitSeed(commitment);
+      } else if (info.token) {
+        const erc20 = getTokenContract(info.token.address, wallet);
+        await ensureAllowance(erc20, wallet.address, address, info.contributionRaw);
+        tx = await rosca.commitSeed(commitment);
+      } else {
+        tx = await rosca.commitSeed(commitment, { value: info.contributionRaw });
+      }
+      await tx.wait();
+      localStorage.setItem(seedKey, secret);
+      localStorage.removeItem(pendingSeedKey);
+      alert("🎲 Commitment recorded – reveal it once the group is full");
+      setInfo({ ...info, committed: true });
+    } catch (err) {
+      alert("❌ Commit failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revealSeed = async () => {
+    try {
+      setLoading(true);
+      const secret = localStorage.getItem(seedKey);
+      if (!secret) {
+        alert("No secret for this account is stored in this browser");
+        return;
+      }
+      const tx = await rosca.revealSeed(secret);
+      await tx.wait();
+      alert("✅ Secret revealed!");
+    } catch (err) {
+      alert("❌ Reveal failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Offer another unpaid member to trade payout slots, optionally paying them
+  const proposeSwap = async () => {
+    if (!ethers.isAddress(swapOffer.counterparty)) {
+      alert("Pick the member to swap with");
+      return;
+    }
+    try {
+      setLoading(true);
+      const side = swapOffer.side
+        ? info.token
+          ? ethers.parseUnits(swapOffer.side, info.token.decimals)
+          : ethers.parseEther(swapOffer.side)
+        : 0n;
+      const deadline = Math.floor(Date.now() / 1000 + parseFloat(swapOffer.hours) * 60 * 60);
+      if (info.token && side > 0n) {
+        const erc20 = getTokenContract(info.token.address, wallet);
+        await ensureAllowance(erc20, wallet.address, address, side);
+      }
+      const tx = await rosca.proposeSwap(
+        swapOffer.counterparty, side, deadline, info.token ? {} : { value: side }
+      );
+      await tx.wait();
+      alert("🔁 Swap proposed!");
+    } catch (err) {
+      alert("❌ Proposal failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // action: "acceptSwap" | "rejectSwap" | "cancelSwap"
+  const resolveSwap = async (action, id) => {
+    try {
+      setLoading(true);
+      const tx = await rosca[action](id);
+      await tx.wait();
+      setSwaps(swaps.filter((w) => w.id !== id));
+      setClaimable(await rosca.withdrawable(wallet.address));
+    } catch (err) {
+      alert("❌ Swap update failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const propose = async () => {
+    const kind = Number(draft.kind);
+    if (kind === 0 && !ethers.isAddress(draft.target)) {
+      alert("Pick the member to expel");
+      return;
+    }
+    try {
+      setLoading(true);
+      const target = kind === 0 ? draft.target : ethers.ZeroAddress;
+      const value = kind === 2 ? Math.round(parseFloat(draft.days) * 24 * 60 * 60) : 0;
+      const tx = await rosca.propose(kind, target, value);
+      await tx.wait();
+      alert("📜 Proposal opened!");
+    } catch (err) {
+      alert("❌ Proposal failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A vote that carries the proposal also executes it
+  const voteProposal = async (id, support) => {
+    try {
+      setLoading(true);
+      const tx = await rosca.vote(id, support);
+      await tx.wait();
+      setProposals(proposals.map((p) => (p.id === id ? { ...p, voted: true } : p)));
+      alert("🗳️ Vote recorded");
+    } catch (err) {
+      alert("❌ Vote failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeProposal = async (id) => {
+    try {
+      setLoading(true);
+      const tx = await rosca.closeProposal(id);
+      await tx.wait();
+      setProposals(proposals.filter((p) => p.id !== id));
+      setClaimable(await rosca.withdrawable(wallet.address));
+    } catch (err) {
+      alert("❌ Closing failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Split what the group still holds by each member's net position
+  const dissolveGroup = async () => {
+    try {
+      setLoading(true);
+      const tx = await rosca.dissolve();
+      await tx.wait();
+      alert("🧾 Group dissolved – claim your share below");
+      setClaimable(await rosca.withdrawable(wallet.address));
+    } catch (err) {
+      alert("❌ Dissolution failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 1 = drop the silent members, 2 = wind the group down (ROSCA.Remedy)
+  const voteRemedy = async (remedy) => {
+    try {
+      setLoading(true);
+      const tx = await rosca.voteRemedy(remedy);
+      await tx.wait();
+      alert("🗳️ Vote recorded");
+      setClaimable(await rosca.withdrawable(wallet.address));
+    } catch (err) {
+      alert("❌ Vote failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const triggerPayout = async () => {
     try {
       setLoading(true);
@@ -130,23 +559,19 @@ export default function GroupDetail() {
         return;
       }
 
-      const started = await rosca.started();
-      const nextPayoutTime = await rosca.nextPayoutTime();
-      const currentCycle = await rosca.currentCycle();
+      const snap = await rosca.getSnapshot();
       const now = Math.floor(Date.now() / 1000);
 
       console.log("🔍 Debug Info:");
-      console.log("Started:", started);
+      console.log("Started:", snap.started);
       console.log("Current Time:", now);
-      console.log("Next Payout Time:", Number(nextPayoutTime));
-      console.log("Interval passed?", now >= Number(nextPayoutTime));
-      console.log("Current Cycle:", Number(currentCycle));
-
-      const participants = await rosca.getParticipants();
-      for (let i = 0; i < participants.length; i++) {
-        const hasPaid = await rosca.hasContributed(currentCycle, participants[i]);
-        console.log(`Participant ${i} (${participants[i]}) contributed: ${hasPaid}`);
-      }
+      console.log("Payout Opens At:", Number(snap.payoutOpensAt));
+      console.log("Interval passed?", now >= Number(snap.payoutOpensAt));
+      console.log("Current Cycle:", Number(snap.currentCycle));
+
+      snap.members.forEach((m, i) => {
+        console.log(`Participant ${i} (${m.member}) contributed: ${m.paid}`);
+      });
 
       // Safe check for callStatic and simulation
       if (rosca.callStatic && typeof rosca.callStatic.triggerPayout === "function") {
@@ -166,6 +591,7 @@ export default function GroupDetail() {
       const tx = await rosca.triggerPayout();
       await tx.wait();
       alert("✅ Payout triggered!");
+      setClaimable(await rosca.withdrawable(wallet.address));
     } catch (err) {
       console.error("❌ Payout failed:", err);
       alert("❌ Payout failed: " + err.message);
@@ -178,6 +604,12 @@ export default function GroupDetail() {
     return <p className="text-white p-6">Loading group info...</p>;
   }
 
+  const unit = info.token ? info.token.symbol : "ETH";
+  const claimableText = info.token
+    ? ethers.formatUnits(claimable, info.token.decimals)
+    : ethers.formatEther(claimable);
+  const myPrepaidCycles = Number(prepaid / info.contributionRaw);
+
   return (
     <div className="p-6 flex flex-col items-center space-y-6">
       <select
@@ -198,25 +630,313 @@ export default function GroupDetail() {
         <CardContent className="p-6 space-y-4">
           <h1 className="text-2xl font-bold mb-4">ROSCA Group Details</h1>
           <p><strong>Address:</strong> <code>{address}</code></p>
-          <p><strong>Contribution:</strong> {info.contribution} ETH</p>
+          <p><strong>Contribution:</strong> {info.contribution} {unit}</p>
+          {info.token && (
+            <p><strong>Token:</strong> <code>{info.token.address}</code></p>
+          )}
           <p><strong>Interval:</strong> {info.interval} days</p>
+          {info.graceMinutes > 0 && (
+            <p>
+              <strong>Grace period:</strong> {info.graceMinutes} min (late fee {info.lateFee} {unit})
+            </p>
+          )}
+          {(info.organiserFeePct > 0 || info.protocolFeePct > 0) && (
+            <p>
+              <strong>Fees per pot:</strong> {info.organiserFeePct}% organiser, {info.protocolFeePct}% protocol
+            </p>
+          )}
+          {info.minReputation > 0 && (
+            <p>
+              <strong>Minimum reputation:</strong> {info.minReputation} (yours: {info.myReputation})
+            </p>
+          )}
           <p><strong>Cycle:</strong> {info.currentCycle}</p>
           <p><strong>Participants:</strong> {info.participantCount} / {info.maxParticipants}</p>
           <p><strong>Started:</strong> {info.started ? "Yes" : "No"}</p>
+          {info.inviteOnly && (
+            <p><strong>Access:</strong> Invite only {invite ? "(invite attached ✅)" : ""}</p>
+          )}
           {info.started && (
             <p><strong>Time until payout allowed:</strong> {timeLeft} seconds</p>
           )}
+          <p><strong>Claimable:</strong> {claimableText} {unit}</p>
+          {isParticipant && (
+            <p><strong>Prepaid:</strong> {myPrepaidCycles} cycle(s)</p>
+          )}
+
+          {info.started && info.members.length > 0 && (
+            <div>
+              <strong>Members (cycle {info.currentCycle.toString()}):</strong>
+              <ul className="text-sm mt-1 space-y-1">
+                {info.members.map((m) => (
+                  <li key={m.address} className="flex justify-between">
+                    <code>{m.address.slice(0, 8)}…{m.address.slice(-4)}</code>
+                    <span>
+                      {m.expelled ? "🚫 expelled" : m.paid ? "✅ paid" : "⏳ pending"}
+                      {m.paidOut ? " · 💰 received pot" : ""}
+                      {m.prepaidCycles > 0 ? ` · 🗓 ${m.prepaidCycles} prepaid` : ""}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {swaps.length > 0 && (
+            <div>
+              <strong>Slot swap proposals:</strong>
+              <ul className="text-sm mt-1 space-y-2">
+                {swaps.map((w) => (
+                  <li key={w.id.toString()} className="space-y-1">
+                    <div>
+                      <code>{w.proposer.slice(0, 8)}…</code> ⇄ <code>{w.counterparty.slice(0, 8)}…</code>
+                      {w.sidePayment > 0n && (
+                        <> for {info.token
+                          ? ethers.formatUnits(w.sidePayment, info.token.decimals)
+                          : ethers.formatEther(w.sidePayment)} {unit}</>
+                      )}
+                      {" "}· until {new Date(w.deadline * 1000).toLocaleString()}
+                    </div>
+                    {w.counterparty === wallet.address && (
+                      <div className="flex gap-2">
+                        <Button disabled={loading} onClick={() => resolveSwap("acceptSwap", w.id)} className="flex-1 bg-green-600">
+                          Accept
+                        </Button>
+                        <Button disabled={loading} onClick={() => resolveSwap("rejectSwap", w.id)} className="flex-1 bg-red-600">
+                          Reject
+                        </Button>
+                      </div>
+                    )}
+                    {w.proposer === wallet.address && (
+                      <Button disabled={loading} onClick={() => resolveSwap("cancelSwap", w.id)} className="w-full bg-gray-600">
+                        Cancel
+                      </Button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {isParticipant && info.started && info.payoutMode === 0 &&
+            !info.members.find((m) => m.address === wallet.address)?.paidOut && (
+            <div className="space-y-2">
+              <select
+                value={swapOffer.counterparty}
+                onChange={(e) => setSwapOffer({ ...swapOffer, counterparty: e.target.value })}
+                className="w-full p-2 rounded bg-white text-black"
+              >
+                <option value="">Swap my payout slot with…</option>
+                {info.members
+                  .filter((m) => m.address !== wallet.address && !m.paidOut && !m.expelled)
+                  .map((m) => (
+                    <option key={m.address} value={m.address}>{m.address}</option>
+                  ))}
+              </select>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={swapOffer.side}
+                  onChange={(e) => setSwapOffer({ ...swapOffer, side: e.target.value })}
+                  placeholder={`Side payment (${unit}, optional)`}
+                  className="flex-1 px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+                />
+                <input
+                  type="number"
+                  value={swapOffer.hours}
+                  onChange={(e) => setSwapOffer({ ...swapOffer, hours: e.target.value })}
+                  placeholder="Valid for (hours)"
+                  className="w-32 px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+                />
+              </div>
+              <Button disabled={loading || !swapOffer.counterparty} onClick={proposeSwap} className="w-full bg-indigo-600">
+                Propose Slot Swap
+              </Button>
+            </div>
+          )}
+
+          {proposals.length > 0 && (
+            <div>
+              <strong>
+                Proposals (quorum {info.quorumPct}%, {info.thresholdPct}% yes to pass):
+              </strong>
+              <ul className="text-sm mt-1 space-y-2">
+                {proposals.map((p) => {
+                  const over = p.deadline <= Math.floor(Date.now() / 1000);
+                  return (
+                    <li key={p.id.toString()} className="space-y-1">
+                      <div>
+                        #{p.id.toString()} {PROPOSAL_KINDS[p.kind]}
+                        {p.kind === 0 && <> <code>{p.target.slice(0, 8)}…</code></>}
+                        {p.kind === 2 && <> to {Number(p.value) / (60 * 60 * 24)} days</>}
+                        {" "}· {p.yes} yes / {p.no} no of {p.electorate}
+                        {" "}· until {new Date(p.deadline * 1000).toLocaleString()}
+                      </div>
+                      {over ? (
+                        <Button disabled={loading} onClick={() => closeProposal(p.id)} className="w-full bg-gray-600">
+                          Close Proposal
+                        </Button>
+                      ) : (
+                        isParticipant && !p.voted && p.target !== wallet.address && (
+                          <div className="flex gap-2">
+                            <Button disabled={loading} onClick={() => voteProposal(p.id, true)} className="flex-1 bg-green-600">
+                              Vote Yes
+                            </Button>
+                            <Button disabled={loading} onClick={() => voteProposal(p.id, false)} className="flex-1 bg-red-600">
+                              Vote No
+                            </Button>
+                          </div>
+                        )
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {isParticipant && info.started && info.governance &&
+            !info.members.find((m) => m.address === wallet.address)?.expelled && (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <select
+                  value={draft.kind}
+                  onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+                  className="flex-1 p-2 rounded bg-white text-black"
+                >
+                  {PROPOSAL_KINDS.map((label, i) => (
+                    <option key={label} value={i}>{label}</option>
+                  ))}
+                </select>
+                {draft.kind === "0" && (
+                  <select
+                    value={draft.target}
+                    onChange={(e) => setDraft({ ...draft, target: e.target.value })}
+                    className="flex-1 p-2 rounded bg-white text-black"
+                  >
+                    <option value="">Member…</option>
+                    {info.members
+                      .filter((m) => m.address !== wallet.address && !m.expelled)
+                      .map((m) => (
+                        <option key={m.address} value={m.address}>{m.address}</option>
+                      ))}
+                  </select>
+                )}
+                {draft.kind === "2" && (
+                  <input
+                    type="number"
+                    min="0"
+                    value={draft.days}
+                    onChange={(e) => setDraft({ ...draft, days: e.target.value })}
+                    placeholder="New interval (days)"
+                    className="flex-1 px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+                  />
+                )}
+              </div>
+              <Button disabled={loading} onClick={propose} className="w-full bg-indigo-600">
+                Open Proposal
+              </Button>
+            </div>
+          )}
 
           {!isParticipant && !info.started && (
-            <Button disabled={loading} onClick={joinGroup} className="w-full">
-              {loading ? "Joining..." : "Join Group"}
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                {["earliest", "latest"].map((side) => (
+                  <input
+                    key={side}
+                    type="number"
+                    min="0"
+                    max={Number(info.maxParticipants)}
+                    value={payoutWindow[side]}
+                    onChange={(e) => setPayoutWindow({ ...payoutWindow, [side]: e.target.value })}
+                    placeholder={`${side === "earliest" ? "Earliest" : "Latest"} payout cycle (optional)`}
+                    className="flex-1 px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+                  />
+                ))}
+              </div>
+              {windowOk !== null && (
+                <p className="text-sm">
+                  {windowOk
+                    ? "✅ This payout window can still be met"
+                    : "⚠️ This window can no longer be guaranteed – you may be paid outside it"}
+                </p>
+              )}
+              <Button disabled={loading} onClick={joinGroup} className="w-full">
+                {loading ? "Joining..." : "Join Group"}
+              </Button>
+            </div>
+          )}
+
+          {isParticipant && !info.started && (
+            <Button disabled={loading} onClick={leaveGroup} className="w-full bg-red-600">
+              {loading ? "Leaving..." : "Leave Group"}
             </Button>
           )}
 
+          {isParticipant && info.randomOrder && !info.started && (
+            info.revealDeadline === 0 ? (
+              <Button disabled={loading} onClick={commitSeed} className="w-full bg-purple-600">
+                {info.committed ? "Replace Random Seed" : "Commit Random Seed"}
+              </Button>
+            ) : (
+              <Button disabled={loading || !info.committed} onClick={revealSeed} className="w-full bg-purple-600">
+                {loading ? "Revealing..." : "Reveal Random Seed"}
+              </Button>
+            )
+          )}
+
+          {!info.started && info.inviteSigner === wallet.address && (
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={invitee}
+                onChange={(e) => setInvitee(e.target.value.trim())}
+                placeholder="Invitee address 0x…"
+                className="w-full px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+              />
+              <Button onClick={createInvite} className="w-full bg-indigo-600">
+                Create Invite Link
+              </Button>
+              {inviteLink && <code className="block text-xs break-all">{inviteLink}</code>}
+            </div>
+          )}
+
           {isParticipant && info.started && !hasContributed && (
-            <Button disabled={loading} onClick={contribute} className="w-full bg-green-600">
-              {loading ? "Contributing..." : "Contribute"}
-            </Button>
+            <div className="space-y-2">
+              {info.token && (
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={gasless} onChange={(e) => setGasless(e.target.checked)} />
+                  Gasless (the relayer pays the gas)
+                </label>
+              )}
+              <Button disabled={loading} onClick={contribute} className="w-full bg-green-600">
+                {loading ? "Contributing..." : "Contribute"}
+              </Button>
+            </div>
+          )}
+
+          {isParticipant && !info.dissolved && (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="1"
+                  value={prepayCycles}
+                  onChange={(e) => setPrepayCycles(e.target.value)}
+                  placeholder="Cycles"
+                  className="w-32 px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+                />
+                <Button disabled={loading} onClick={prepay} className="flex-1 bg-teal-600">
+                  {loading ? "Prepaying..." : "Prepay Cycles"}
+                </Button>
+              </div>
+              {prepaid > 0n && (
+                <Button disabled={loading} onClick={refundPrepaid} className="w-full bg-gray-600">
+                  Take Back Prepaid Balance
+                </Button>
+              )}
+            </div>
           )}
 
           {isParticipant && info.started && (
@@ -228,6 +948,37 @@ export default function GroupDetail() {
               {loading ? "Triggering..." : timeLeft > 0 ? `Wait ${timeLeft}s` : "Trigger Payout"}
             </Button>
           )}
+          {isParticipant && hasContributed && info.stalled && (
+            info.remedyOpensAt > Math.floor(Date.now() / 1000) ? (
+              <p className="text-sm">
+                ⏳ If nobody else pays, voting on a remedy opens at{" "}
+                {new Date(info.remedyOpensAt * 1000).toLocaleString()}
+              </p>
+            ) : (
+              <div className="flex gap-2">
+                <Button disabled={loading} onClick={() => voteRemedy(1)} className="flex-1 bg-orange-600">
+                  Vote: Drop Defaulters
+                </Button>
+                <Button disabled={loading} onClick={() => voteRemedy(2)} className="flex-1 bg-red-600">
+                  Vote: Wind Down
+                </Button>
+              </div>
+            )
+          )}
+          {info.dissolved && (
+            <p className="text-sm">🧾 This group was dissolved; every member's share is claimable.</p>
+          )}
+          {(isParticipant || info.isOwner) && info.dissolvableAt > 0 &&
+            info.dissolvableAt <= Math.floor(Date.now() / 1000) && (
+            <Button disabled={loading} onClick={dissolveGroup} className="w-full bg-red-800">
+              Dissolve Group
+            </Button>
+          )}
+          {claimable > 0n && (
+            <Button disabled={loading} onClick={withdraw} className="w-full bg-blue-600">
+              {loading ? "Withdrawing..." : `Withdraw ${claimableText} ${unit}`}
+            </Button>
+          )}
         </CardContent>
       </Card>
     </div>
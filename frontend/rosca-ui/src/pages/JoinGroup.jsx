@@ -1,17 +1,29 @@
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { ethers } from "ethers";
-import RoscaFactoryABI from "@/contracts/RoscaFactory.json";
+import RoscaFactoryABI from "@/contracts/ROSCAFactory.json";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { useUser } from "@/components/common/UserContext";
 
 const FACTORY_ADDRESS = "0x63baa0518010c1197048bc51d46b8A9B5E2764D9";
 const PROVIDER_URL = "http://localhost:7545";
+const PAGE_SIZE = 20;
+
+// mirrors ROSCA.GroupState, as the factory lists it
+const STATES = [
+  { value: 0, label: "Open" },
+  { value: 1, label: "Running" },
+  { value: 2, label: "Finished" },
+];
 
 export default function JoinGroup() {
-  const [groups, setGroups] = useState([]);
+  const [groups, setGroups] = useState([]);        // [{ address, name, description }]
+  const [groupState, setGroupState] = useState(0);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [inviteLink, setInviteLink] = useState("");
   const navigate = useNavigate();
   const { selectedAccount, setSelectedAccount, testAccounts } = useUser();
 
@@ -20,8 +32,17 @@ export default function JoinGroup() {
       try {
         const provider = new ethers.JsonRpcProvider(PROVIDER_URL);
         const factory = new ethers.Contract(FACTORY_ADDRESS, RoscaFactoryABI.abi, provider);
-        const allGroups = await factory.getAllGroups();
-        setGroups(allGroups);
+        const [count, addresses] = await Promise.all([
+          factory.groupCount(groupState),
+          factory.getGroupsByState(groupState, page * PAGE_SIZE, PAGE_SIZE),
+        ]);
+        const metas = await Promise.all(addresses.map((a) => factory.metadataOf(a)));
+        setTotal(Number(count));
+        setGroups(addresses.map((address, i) => ({
+          address,
+          name: metas[i].name,
+          description: metas[i].description,
+        })));
       } catch (err) {
         console.error("❌ Failed to fetch groups:", err);
         alert("❌ Could not load groups");
@@ -29,7 +50,20 @@ export default function JoinGroup() {
     }
 
     fetchGroups();
-  }, []);
+  }, [groupState, page]);
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  // Invite links look like <origin>/group/<address>?proof=… or ?deadline=…&sig=…
+  const openInvite = () => {
+    try {
+      const url = new URL(inviteLink);
+      if (!url.pathname.startsWith("/group/")) throw new Error("not a group link");
+      navigate(url.pathname + url.search);
+    } catch {
+      alert("❌ That doesn't look like a ROSCA invite link");
+    }
+  };
 
   return (
     <div className="p-6 space-y-6 w-full max-w-4xl">
@@ -47,25 +81,67 @@ export default function JoinGroup() {
         ))}
       </select>
 
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={inviteLink}
+          onChange={(e) => setInviteLink(e.target.value.trim())}
+          placeholder="Paste an invite link"
+          className="flex-grow px-4 py-2 rounded bg-white/10 text-white border border-white/20 focus:outline-none"
+        />
+        <Button onClick={openInvite} className="bg-indigo-600 hover:bg-indigo-700 text-white">
+          Open Invite
+        </Button>
+      </div>
+
+      <div className="flex gap-2">
+        {STATES.map((st) => (
+          <Button
+            key={st.value}
+            onClick={() => { setGroupState(st.value); setPage(0); }}
+            className={groupState === st.value
+              ? "bg-indigo-600 hover:bg-indigo-700 text-white"
+              : "bg-white/10 hover:bg-white/20 text-white"}
+          >
+            {st.label}
+          </Button>
+        ))}
+      </div>
+
       <div className="grid gap-4 md:grid-cols-2">
-        {groups.map((groupAddress, index) => (
+        {groups.map((group, index) => (
           <Card
-            key={groupAddress}
+            key={group.address}
             className="bg-white/10 backdrop-blur-md text-white shadow-lg rounded-xl"
           >
             <CardContent className="p-4 space-y-2">
-              <h2 className="text-xl font-semibold">Group #{index + 1}</h2>
-              <p className="text-sm break-all">{groupAddress}</p>
+              <h2 className="text-xl font-semibold">
+                {group.name || `Group #${page * PAGE_SIZE + index + 1}`}
+              </h2>
+              {group.description && <p className="text-sm text-gray-300">{group.description}</p>}
+              <p className="text-sm break-all">{group.address}</p>
               <Button
-                onClick={() => navigate(`/group/${groupAddress}`)}
+                onClick={() => navigate(`/group/${group.address}`)}
                 className="bg-indigo-600 hover:bg-indigo-700 text-white"
               >
-                Join Group
+                {groupState === 0 ? "Join Group" : "View Group"}
               </Button>
             </CardContent>
           </Card>
         ))}
       </div>
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-center gap-4 text-white">
+          <Button onClick={() => setPage(page - 1)} disabled={page === 0}>
+            ⬅️ Prev
+          </Button>
+          <span>Page {page + 1} of {pages}</span>
+          <Button onClick={() => setPage(page + 1)} disabled={page + 1 >= pages}>
+            Next ➡️
+          </Button>
+        </div>
+      )}
     </div>
   );
 }
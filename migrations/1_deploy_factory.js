@@ -1,11 +1,27 @@
-const ROSCA        = artifacts.require("ROSCA");
-const ROSCAFactory = artifacts.require("ROSCAFactory");
+const ROSCA           = artifacts.require("ROSCA");
+const ROSCAExtension  = artifacts.require("ROSCAExtension");
+const ROSCAGovernance = artifacts.require("ROSCAGovernance");
+const ROSCAFactory    = artifacts.require("ROSCAFactory");
+const ROSCAForwarder  = artifacts.require("ROSCAForwarder");
 
 module.exports = async function (deployer) {
-  // step 1 – deploy the master implementation (one-time cost)
-  await deployer.deploy(ROSCA);
+  // step 0 – the EIP-2771 forwarder both implementation and factory trust;
+  //          scripts/relayer.js submits members' signed requests to it
+  await deployer.deploy(ROSCAForwarder);
+
+  // step 1 – deploy the master implementation (one-time cost); its fallback
+  //          forwards settlement / snapshot calls to the extension, whose own
+  //          fallback forwards member governance to the next module
+  //          – all three trust the same forwarder
+  await deployer.deploy(ROSCAGovernance, ROSCAForwarder.address);
+  await deployer.deploy(ROSCAExtension, ROSCAGovernance.address, ROSCAForwarder.address);
+  await deployer.deploy(ROSCA, ROSCAExtension.address, ROSCAForwarder.address);
   const implAddr = ROSCA.address;
 
-  // step 2 – deploy the factory, feeding it the implementation address
-  await deployer.deploy(ROSCAFactory, implAddr);
+  // step 2 – deploy the factory; the implementation becomes its first
+  //          template, "basic" v1
+  await deployer.deploy(ROSCAFactory, implAddr, ROSCAForwarder.address);
+
+  // groups earn their members reputation only in assets the factory owner
+  // has set a minimum contribution for – see setReputationMinContribution
 };
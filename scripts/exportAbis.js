@@ -0,0 +1,23 @@
+/**
+ *  scripts/exportAbis.js
+ *
+ *  Copies the ABI of every contract the frontend talks to from the
+ *  compiled artifacts into frontend/rosca-ui/src/contracts, so the UI
+ *  never calls functions its ABI does not know.  Run after any change to
+ *  a contract's external interface:
+ *
+ *    npx truffle compile && npm run export-abi
+ */
+const fs   = require("fs");
+const path = require("path");
+
+const BUILD = path.join(__dirname, "..", "build", "contracts");
+const OUT   = path.join(__dirname, "..", "frontend", "rosca-ui", "src", "contracts");
+
+const CONTRACTS = ["ROSCA", "ROSCAExtension", "ROSCAGovernance", "ROSCAFactory"];
+
+for (const name of CONTRACTS) {
+  const { contractName, abi } = JSON.parse(fs.readFileSync(path.join(BUILD, `${name}.json`), "utf8"));
+  fs.writeFileSync(path.join(OUT, `${name}.json`), JSON.stringify({ contractName, abi }, null, 2) + "\n");
+  console.log(`${name}: ${abi.length} ABI entries`);
+}
@@ -0,0 +1,110 @@
+/**
+ *  scripts/relayer.js
+ *
+ *  Local EIP-2771 relayer: members sign a `ForwardRequest` and POST it
+ *  here; the relayer checks it and submits it to the deployed
+ *  `ROSCAForwarder`, paying the gas from its own account.
+ *
+ *    npx truffle exec scripts/relayer.js --network development
+ *
+ *  Endpoints (CORS open, for the frontend):
+ *    GET  /forwarder → { forwarder, relayer }
+ *    POST /relay     ← ForwardRequestData JSON { from, to, value, gas,
+ *                      deadline, data, signature }
+ *                    → { txHash }
+ *
+ *  Only the calls groups and factory make gasless, with no ETH attached,
+ *  are relayed – anything else would let a stranger spend the relayer's
+ *  ETH.  The port defaults to 8787 (RELAYER_PORT).
+ */
+const http = require("http");
+
+const ROSCAForwarder  = artifacts.require("ROSCAForwarder");
+const ROSCAFactory    = artifacts.require("ROSCAFactory");
+const ROSCA           = artifacts.require("ROSCA");
+const ROSCAExtension  = artifacts.require("ROSCAExtension");
+const ROSCAGovernance = artifacts.require("ROSCAGovernance");
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+
+/** functions a relayed request may call, by target; a group's include
+ *  those its core forwards to the extension and governance modules */
+const GROUP_CALLS   = ["join", "joinWithProof", "joinWithInvite", "leave", "contribute",
+                       "triggerPayout", "refundCollateral", "withdraw",
+                       "commitSeed", "revealSeed", "placeBid", "commitBid", "revealBid",
+                       "voteRemedy", "propose", "vote", "closeProposal", "dissolve",
+                       "proposeSwap", "acceptSwap", "rejectSwap", "cancelSwap",
+                       "prepay", "refundPrepaid"];
+const FACTORY_CALLS = ["createGroup", "createGroupAndJoin",
+                       "createGroupDeterministic", "createGroupAndJoinDeterministic"];
+
+const selectorsOf = (abi, names) => new Set(
+  abi.filter((f) => f.type === "function" && names.includes(f.name))
+     .map((f) => web3.eth.abi.encodeFunctionSignature(f))
+);
+
+module.exports = async function (callback) {
+  try {
+    const forwarder = await ROSCAForwarder.deployed();
+    const factory   = await ROSCAFactory.deployed();
+    const [relayer] = await web3.eth.getAccounts();
+
+    const groupAbi         = [...ROSCA.abi, ...ROSCAExtension.abi, ...ROSCAGovernance.abi];
+    const groupSelectors   = selectorsOf(groupAbi, GROUP_CALLS);
+    const factorySelectors = selectorsOf(ROSCAFactory.abi, FACTORY_CALLS);
+
+    /** why `req` may not be relayed; null when it may */
+    const refuse = async (req) => {
+      if (String(req.value) !== "0") return "value not relayed";
+      const selector  = String(req.data || "").slice(0, 10).toLowerCase();
+      const toFactory = String(req.to).toLowerCase() === factory.address.toLowerCase();
+      const allowed   = toFactory
+        ? factorySelectors.has(selector)
+        : groupSelectors.has(selector) && (await factory.isGroup(req.to));
+      if (!allowed) return "call not relayed";
+      return (await forwarder.verify(req)) ? null : "bad signature, nonce or deadline";
+    };
+
+    const reply = (res, status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+      if (req.method === "OPTIONS") return reply(res, 204, {});
+      if (req.method === "GET" && req.url === "/forwarder") {
+        return reply(res, 200, { forwarder: forwarder.address, relayer });
+      }
+      if (req.method !== "POST" || req.url !== "/relay") return reply(res, 404, { error: "not found" });
+
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", async () => {
+        try {
+          const request = JSON.parse(raw);
+          const reason  = await refuse(request);
+          if (reason) return reply(res, 400, { error: reason });
+
+          const tx = await forwarder.execute(request, { from: relayer });
+          console.log(`relayed ${request.data.slice(0, 10)} for ${request.from} → ${tx.tx}`);
+          reply(res, 200, { txHash: tx.tx });
+        } catch (err) {
+          reply(res, 500, { error: err.reason || err.message });
+        }
+      });
+    });
+
+    server.listen(PORT, () => {
+      console.log(`Relaying to forwarder ${forwarder.address} from ${relayer} on :${PORT}`);
+    });
+    const stop = () => server.close(() => callback());
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  } catch (err) {
+    callback(err);
+  }
+};
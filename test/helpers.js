@@ -1,16 +1,101 @@
-const { time } = require("@openzeppelin/test-helpers");
-const ROSCA        = artifacts.require("ROSCA");
-const ROSCAFactory = artifacts.require("ROSCAFactory");
+const { time, constants } = require("@openzeppelin/test-helpers");
+const ROSCA           = artifacts.require("ROSCA");
+const ROSCAExtension  = artifacts.require("ROSCAExtension");
+const ROSCAGovernance = artifacts.require("ROSCAGovernance");
+const ROSCAFactory    = artifacts.require("ROSCAFactory");
 
 const ETH  = (n) => web3.utils.toWei(n.toString(), "ether");
 const toBN = web3.utils.toBN;
 
-async function deployFactory() {
-  const impl    = await ROSCA.new();
-  const factory = await ROSCAFactory.new(impl.address);
+/** mirrors ROSCA.PayoutMode */
+const MODE = { Scheduled: 0, OpenBid: 1, SealedBid: 2 };
+
+/** mirrors ROSCA.ForfeitPolicy */
+const FORFEIT = { Redistribute: 0, HoldUntilEnd: 1 };
+
+/** mirrors ROSCA.Remedy */
+const REMEDY = { None: 0, DropDefaulters: 1, WindDown: 2 };
+
+/** mirrors ROSCA.ProposalKind */
+const PROPOSAL = { Expel: 0, Dissolve: 1, SetInterval: 2 };
+
+/** mirrors ROSCA.GroupState (as listed by the factory) */
+const GROUP_STATE = { Open: 0, Running: 1, Finished: 2 };
+
+/** core implementation wired to fresh extension and governance modules;
+ *  `forwarder` is the EIP-2771 forwarder all three trust (none by default) */
+async function deployImpl(forwarder = constants.ZERO_ADDRESS) {
+  const gov = await ROSCAGovernance.new(forwarder);
+  const ext = await ROSCAExtension.new(gov.address, forwarder);
+  return ROSCA.new(ext.address, forwarder);
+}
+
+async function deployFactory(forwarder = constants.ZERO_ADDRESS) {
+  const impl    = await deployImpl(forwarder);
+  const factory = await ROSCAFactory.new(impl.address, forwarder);
   return { impl, factory };
 }
 
+/** A group's full ABI: the core plus everything its fallback forwards to
+ *  the extension and on to governance.  Built once; truffle's defaults (`from`, …) are copied
+ *  over on every call as each test file resets them. */
+let Group;
+function groupContract() {
+  if (!Group) {
+    const sig = (f) => `${f.type} ${f.name}(${(f.inputs || []).map((i) => i.type)})`;
+    const known = new Set(ROSCA.abi.map(sig));
+    const extra = [...ROSCAExtension.abi, ...ROSCAGovernance.abi].filter((f) => {
+      if (f.type === "constructor" || f.type === "fallback" || known.has(sig(f))) return false;
+      known.add(sig(f));
+      return true;
+    });
+    Group = ROSCA.clone({ abi: [...ROSCA.abi, ...extra] });
+  }
+  Group.defaults(ROSCA.defaults());
+  return Group;
+}
+
+/** Full `ROSCA.Config` tuple with defaults; override any field by name.
+ *  BNs are stringified – web3 does not convert them inside tuples. */
+const groupConfig = (overrides = {}) => Object.fromEntries(Object.entries({
+  contribution:    ETH(1),
+  interval:        1,
+  maxParticipants: 2,
+  useCollateral:   false,
+  token:           constants.ZERO_ADDRESS,   // ETH mode
+  payoutMode:      MODE.Scheduled,
+  bidWindow:       0,
+  allowlistRoot:   constants.ZERO_BYTES32,   // public group
+  inviteSigner:    constants.ZERO_ADDRESS,
+  joinDeadline:    0,                        // no enrollment deadline
+  allowShrink:     false,
+  forfeitPolicy:   FORFEIT.Redistribute,
+  gracePeriod:     0,                        // late payments not distinguished
+  lateFee:         0,
+  revealWindow:    0,                        // join order for members without a wish
+  quorumBps:       0,                        // governance off
+  thresholdBps:    0,
+  organiser:       constants.ZERO_ADDRESS,
+  organiserFeeBps: 0,                        // no organiser fee
+  minReputation:   0,                        // anyone may join
+  ...overrides,
+}).map(([k, v]) => [k, web3.utils.isBN(v) ? v.toString() : v]));
+
+/** `ROSCAFactory.GroupMetadata` tuple; override any field by name */
+const groupMetadata = (overrides = {}) => ({
+  name:        "Test group",
+  description: "",
+  metadataURI: "",
+  ...overrides,
+});
+
+/** createGroup (template 0 unless given) + wrap the new clone */
+async function createGroup(factory, cfg, owner, meta = {}, template = 0) {
+  const tx   = await factory.createGroup(template, groupConfig(cfg), owner, groupMetadata(meta));
+  const addr = tx.logs.find(l => l.event === "GroupCreated").args.group;
+  return { group: await groupContract().at(addr), tx };
+}
+
 async function spawnGroup(
   factory,
   members,
@@ -19,21 +104,33 @@ async function spawnGroup(
     interval     = 1,
     collateral   = false,
     owner        = members[0],
-    wishes       = [],         // NEW: array of uint latestCycle per member
+    wishes       = [],         // per member: latestCycle, or [earliest, latest]
+    token        = null,       // MockERC20 instance ⇒ ERC-20 mode
+    max          = members.length,  // > members.length ⇒ group stays open
+    template     = 0,          // factory template id
+    ...config                  // any other ROSCA.Config field (payoutMode, …)
   } = {}
 ) {
-  const max = members.length;
-  const tx  = await factory.createGroup(
-    contribution, interval, max, collateral, owner
-  );
-  const addr  = tx.logs.find(l => l.event === "GroupCreated").args.group;
-  const group = await ROSCA.at(addr);
+  const { group } = await createGroup(factory, {
+    contribution,
+    interval,
+    maxParticipants: max,
+    useCollateral:   collateral,
+    token:           token ? token.address : constants.ZERO_ADDRESS,
+    ...config,
+  }, owner, {}, template);
+  const addr = group.address;
 
   for (let i = 0; i < members.length; i++) {
     const m  = members[i];
-    const lc = wishes[i] || 0;
+    const [ec, lc] = Array.isArray(wishes[i]) ? wishes[i] : [0, wishes[i] || 0];
     const val = collateral ? contribution * max : 0;
-    await group.join(lc, { from: m, value: val });
+    if (token) {
+      await token.approve(addr, val, { from: m });
+      await group.join(ec, lc, { from: m });
+    } else {
+      await group.join(ec, lc, { from: m, value: val });
+    }
   }
   return { group, contribution };
 }
@@ -41,9 +138,127 @@ async function spawnGroup(
 const pay   = (g, from, amt) => g.contribute({ from, value: amt });
 const later = (s = 2)        => time.increase(s);
 
+/** ERC-20 mode: approve then contribute without ETH */
+const payToken = async (g, token, from, amt) => {
+  await token.approve(g.address, amt, { from });
+  return g.contribute({ from });
+};
+
+/* ───────────── invite-only groups ───────────── */
+
+/** OZ StandardMerkleTree-compatible allowlist: { root, proof(addr) } */
+function merkleTree(addresses) {
+  const { keccak256, padLeft } = web3.utils;
+  const hashPair = (a, b) => keccak256(a < b ? a + b.slice(2) : b + a.slice(2));
+  const leafOf   = (a) => keccak256(keccak256(padLeft(a.toLowerCase(), 64)));
+
+  const levels = [addresses.map(leafOf)];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1], next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+    }
+    levels.push(next);
+  }
+
+  const proof = (addr) => {
+    let idx = addresses.findIndex((a) => a.toLowerCase() === addr.toLowerCase());
+    const out = [];
+    for (const level of levels.slice(0, -1)) {
+      const sib = idx ^ 1;
+      if (sib < level.length) out.push(level[sib]);
+      idx >>= 1;
+    }
+    return out;
+  };
+  return { root: levels[levels.length - 1][0], proof };
+}
+
+/** EIP-712 `Invite(invitee, deadline)` voucher signed by `signer` */
+async function signInvite(groupAddr, signer, invitee, deadline) {
+  const typedData = {
+    types: {
+      EIP712Domain: [
+        { name: "name",              type: "string"  },
+        { name: "version",           type: "string"  },
+        { name: "chainId",           type: "uint256" },
+        { name: "verifyingContract", type: "address" },
+      ],
+      Invite: [
+        { name: "invitee",  type: "address" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+    primaryType: "Invite",
+    domain: {
+      name: "ROSCA", version: "1",
+      chainId: await web3.eth.getChainId(),
+      verifyingContract: groupAddr,
+    },
+    message: { invitee, deadline: deadline.toString() },
+  };
+  return signTypedData(signer, typedData);
+}
+
+/** eth_signTypedData_v4 with one of the node's unlocked accounts */
+function signTypedData(signer, typedData) {
+  return new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", id: Date.now(), method: "eth_signTypedData_v4",
+        params: [signer, typedData] },
+      (err, res) => (err || res.error ? reject(err || res.error) : resolve(res.result))
+    )
+  );
+}
+
+/* ───────────── meta-transactions ───────────── */
+
+/** `ERC2771Forwarder.ForwardRequestData` for calling `to` with `data`,
+ *  signed by `from`; a relayer submits it with `forwarder.execute` */
+async function forwardRequest(forwarder, from, to, data, { value = 0, gas = 1e6 } = {}) {
+  const message = {
+    from, to, data,
+    value:    value.toString(),
+    gas:      gas.toString(),
+    nonce:    (await forwarder.nonces(from)).toString(),
+    deadline: (await time.latest()).addn(3600).toString(),
+  };
+  const signature = await signTypedData(from, {
+    types: {
+      EIP712Domain: [
+        { name: "name",              type: "string"  },
+        { name: "version",           type: "string"  },
+        { name: "chainId",           type: "uint256" },
+        { name: "verifyingContract", type: "address" },
+      ],
+      ForwardRequest: [
+        { name: "from",     type: "address" },
+        { name: "to",       type: "address" },
+        { name: "value",    type: "uint256" },
+        { name: "gas",      type: "uint256" },
+        { name: "nonce",    type: "uint256" },
+        { name: "deadline", type: "uint48"  },
+        { name: "data",     type: "bytes"   },
+      ],
+    },
+    primaryType: "ForwardRequest",
+    domain: {
+      name: "ROSCAForwarder", version: "1",
+      chainId: await web3.eth.getChainId(),
+      verifyingContract: forwarder.address,
+    },
+    message,
+  });
+  const { nonce, ...request } = message;      // the forwarder tracks nonces itself
+  return { ...request, signature };
+}
+
 module.exports = {
-  ETH, toBN,
-  deployFactory,
+  ETH, toBN, MODE, FORFEIT, REMEDY, PROPOSAL, GROUP_STATE,
+  deployImpl, deployFactory, groupContract,
+  groupConfig, groupMetadata, createGroup,
   spawnGroup,
-  pay, later,
+  pay, later, payToken,
+  merkleTree, signInvite,
+  forwardRequest,
 };
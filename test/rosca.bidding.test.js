@@ -0,0 +1,196 @@
+/**
+ *  test/rosca.bidding.test.js
+ *
+ *  Auction payout mode: each cycle's pot goes to the lowest bidder among
+ *  members not yet paid, and the discount is shared with everyone else.
+ *  Runs in ERC-20 mode so every balance can be checked to the unit.
+ */
+const {
+  toBN, MODE,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  payToken, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, constants } = require("@openzeppelin/test-helpers");
+const MockERC20 = artifacts.require("MockERC20");
+
+contract("ROSCA – bidding mode", (accounts) => {
+  const [alice, bob, carol, dan] = accounts;
+  const roster   = [alice, bob, carol];
+  const fee      = toBN(100);           // pot = 300
+  const INTERVAL = 1000;
+  const WINDOW   = 500;                 // bids open at nextPayoutTime − 500
+  let factory, token;
+
+  const payAll = async (g) => { for (const u of roster) await payToken(g, token, u, fee); };
+  const bal    = async (u) => token.balanceOf(u);
+  const owed   = async (g, u) => g.withdrawable(u);
+  const commitment = (who, amount, salt) =>
+    web3.utils.soliditySha3(
+      { t: "address", v: who }, { t: "uint256", v: amount }, { t: "bytes32", v: salt }
+    );
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  beforeEach(async () => {
+    token = await MockERC20.new();
+    for (const u of [...roster, dan]) await token.mint(u, 10000);
+  });
+
+  const auctionGroup = (mode) =>
+    spawnGroup(factory, roster, {
+      contribution: fee, token, interval: INTERVAL, payoutMode: mode, bidWindow: WINDOW,
+    });
+
+  describe("open bids", () => {
+    let group;
+    beforeEach(async () => ({ group } = await auctionGroup(MODE.OpenBid)));
+
+    it("does not fix a payout order up front", async () => {
+      assert.equal(await group.started(), true);
+      await expectRevert.unspecified(group.payoutOrder(0));
+    });
+
+    it("lowest bid takes the pot and the discount is shared", async () => {
+      await payAll(group);
+      await later(WINDOW + 100);
+
+      await group.placeBid(280, { from: bob });
+      const rec = await group.placeBid(250, { from: carol });
+      expectEvent(rec, "BidPlaced", { bidder: carol, cycle: toBN(0), amount: toBN(250) });
+      await expectRevert(group.placeBid(260, { from: bob }), "ROSCA: bid too high");
+
+      await later(WINDOW);
+      const tx = await group.triggerPayout({ from: alice });
+
+      expectEvent(tx, "AuctionSettled", {
+        cycle: toBN(0), winner: carol, winningBid: toBN(250), surplus: toBN(50),
+      });
+      expectEvent(tx, "SurplusShared", { member: alice, amount: toBN(25) });
+      expectEvent(tx, "SurplusShared", { member: bob,   amount: toBN(25) });
+
+      const [a1, b1, c1] = await Promise.all(roster.map((u) => owed(group, u)));
+      assert(a1.eqn(25));
+      assert(b1.eqn(25));
+      assert(c1.eqn(250));
+      for (const u of roster) await group.withdraw({ from: u });
+      assert((await bal(group.address)).isZero(), "pot fully distributed");
+
+      assert.equal(await group.payoutOrder(0), carol);
+      assert.equal(await group.paidOut(carol), true);
+      assert.equal(await group.bestBidder(), constants.ZERO_ADDRESS);
+    });
+
+    it("rounding dust stays with the winner", async () => {
+      await payAll(group);
+      await later(WINDOW + 100);
+      await group.placeBid(299, { from: alice });       // surplus 1 → 0 each + 1 dust
+      await later(WINDOW);
+
+      await group.triggerPayout({ from: bob });
+      assert((await owed(group, alice)).eqn(300));
+    });
+
+    it("without bids the first unpaid member gets the full pot", async () => {
+      for (let r = 0; r < 3; r++) {
+        await payAll(group);
+        await later(INTERVAL + 10);
+        const tx = await group.triggerPayout({ from: carol });
+        expectEvent(tx, "Payout", { recipient: roster[r], amount: toBN(300) });
+      }
+      assert.equal(await group.finished(), true);
+    });
+
+    it("enforces window, eligibility and bid bounds", async () => {
+      await expectRevert(group.placeBid(200, { from: bob }), "ROSCA: bidding closed");
+      await later(WINDOW + 100);
+      await expectRevert(group.placeBid(200, { from: dan }), "ROSCA: not in group");
+      await expectRevert(group.placeBid(301, { from: bob }), "ROSCA: bid above pot");
+      await expectRevert(group.commitBid("0x01", { from: bob }), "ROSCA: not sealed bidding");
+
+      /* Bob wins cycle 0 and may not bid again */
+      await group.placeBid(290, { from: bob });
+      await payAll(group);
+      await later(WINDOW);
+      await group.triggerPayout({ from: alice });
+
+      await later(INTERVAL - 50);
+      await expectRevert(group.placeBid(100, { from: bob }), "ROSCA: already paid out");
+    });
+
+    it("every member is paid exactly once over the game", async () => {
+      const bids = [[carol, 270], [alice, 280], [null]];
+      for (const [who, amt] of bids) {
+        await payAll(group);
+        await later(WINDOW + 100);
+        if (who) await group.placeBid(amt, { from: who });
+        await later(WINDOW);
+        await group.triggerPayout({ from: bob });
+      }
+      const order = await Promise.all([0, 1, 2].map((i) => group.payoutOrder(i)));
+      assert.deepEqual(order, [carol, alice, bob]);
+      for (const u of roster) await group.withdraw({ from: u });
+      assert((await bal(group.address)).isZero());
+    });
+  });
+
+  describe("sealed bids", () => {
+    let group;
+    const saltB = web3.utils.padLeft("0xb0b", 64);
+    const saltC = web3.utils.padLeft("0xca401", 64);
+
+    beforeEach(async () => ({ group } = await auctionGroup(MODE.SealedBid)));
+
+    it("commit, reveal, then lowest revealed bid wins after the reveal phase", async () => {
+      await payAll(group);
+      await later(WINDOW + 100);
+
+      const rec = await group.commitBid(commitment(bob, 240, saltB), { from: bob });
+      expectEvent(rec, "BidCommitted", { bidder: bob, cycle: toBN(0) });
+      await group.commitBid(commitment(carol, 260, saltC), { from: carol });
+      await expectRevert(group.placeBid(200, { from: alice }), "ROSCA: not open bidding");
+      await expectRevert(group.revealBid(240, saltB, { from: bob }), "ROSCA: not reveal phase");
+
+      await later(WINDOW);                              // reveal phase
+      await expectRevert(group.commitBid(commitment(alice, 1, saltB), { from: alice }),
+                         "ROSCA: bidding closed");
+      await expectRevert(group.revealBid(200, saltB, { from: bob }), "ROSCA: bad reveal");
+      await expectRevert(group.revealBid(1, saltB, { from: alice }), "ROSCA: no commitment");
+      await group.revealBid(260, saltC, { from: carol });
+      await group.revealBid(240, saltB, { from: bob });
+
+      await expectRevert(group.triggerPayout({ from: alice }), "ROSCA: interval");
+      await later(WINDOW);
+
+      const tx = await group.triggerPayout({ from: alice });
+      expectEvent(tx, "AuctionSettled", { winner: bob, winningBid: toBN(240), surplus: toBN(60) });
+      assert((await owed(group, bob)).eqn(240));
+    });
+
+    it("unrevealed commitments are ignored", async () => {
+      await payAll(group);
+      await later(WINDOW + 100);
+      await group.commitBid(commitment(carol, 10, saltC), { from: carol });
+      await later(2 * WINDOW);
+
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "Payout", { recipient: alice, amount: toBN(300) });
+    });
+  });
+
+  describe("configuration", () => {
+    it("rejects an auction without a sensible bid window", async () => {
+      const cfg = { contribution: fee, interval: INTERVAL, maxParticipants: 3 };
+      await expectRevert(
+        createGroup(factory, { ...cfg, payoutMode: MODE.OpenBid, bidWindow: 0 }, alice),
+        "bid window out of bounds"
+      );
+      await expectRevert(
+        createGroup(factory, { ...cfg, payoutMode: MODE.SealedBid, bidWindow: INTERVAL + 1 }, alice),
+        "bid window out of bounds"
+      );
+    });
+  });
+});
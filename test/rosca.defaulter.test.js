@@ -0,0 +1,135 @@
+/**
+ *  test/rosca.defaulter.test.js
+ *
+ *  Defaulter policy: an expelled member's pot is forfeited.  It first
+ *  reserves the contributions they still owe; the leftover goes to the
+ *  members in good standing – right away or after the last payout.
+ */
+const {
+  ETH, toBN, FORFEIT,
+  deployFactory,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – defaulter policy", (accounts) => {
+  const [alice, bob, carol, dan] = accounts;
+  const roster = [alice, bob, carol, dan];    // payout order == join order
+  const fee    = ETH(1);                      // pot = stake = 4 ETH
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  const collateralGroup = (opts = {}) =>
+    spawnGroup(factory, roster, { contribution: fee, collateral: true, ...opts });
+
+  /** everyone but `skip` pays, then the cycle is settled */
+  const playCycle = async (group, skip = []) => {
+    for (const u of roster) if (!skip.includes(u)) await pay(group, u, fee);
+    await later();
+    return group.triggerPayout({ from: bob });
+  };
+
+  /** every member claims everything; the group must end up empty */
+  const settleAll = async (group) => {
+    for (const u of roster) {
+      await group.refundCollateral({ from: u });
+      if (!(await group.withdrawable(u)).isZero()) await group.withdraw({ from: u });
+    }
+    assert.equal(await web3.eth.getBalance(group.address), "0");
+  };
+
+  describe("defaults before their slot", () => {
+    it("forfeits the pot, reserves what is still owed and shares the rest", async () => {
+      const { group } = await collateralGroup();
+
+      await playCycle(group);                                       // cycle 0 → Alice
+      const rec1 = await playCycle(group, [carol]);                 // cycle 1 → Bob
+      expectEvent(rec1, "MemberExpelled", { member: carol, cycle: toBN(1), paidOut: false });
+      assert((await group.memberInfo(carol)).collateralRemaining.eq(toBN(ETH(3))));
+
+      /* cycle 2 is Carol's slot: 1 ETH reserved for cycle 3, 3 ETH shared */
+      const rec2 = await playCycle(group, [carol]);
+      expectEvent(rec2, "PotForfeited", {
+        member: carol, cycle: toBN(2), reserved: ETH(1), leftover: ETH(3),
+      });
+      for (const u of [alice, bob, dan]) {
+        expectEvent(rec2, "ForfeitShared", { member: u, cycle: toBN(2), amount: ETH(1) });
+      }
+      expectEvent.notEmitted(rec2, "Payout");
+      assert((await group.withdrawable(carol)).isZero());
+      assert((await group.memberInfo(carol)).collateralRemaining.eq(toBN(ETH(3))));
+
+      await playCycle(group, [carol]);                              // cycle 3 → Dan
+      assert.equal(await group.finished(), true);
+
+      /* honest members: pot + share + stake; Carol: what her pot did not need */
+      assert((await group.withdrawable(alice)).eq(toBN(ETH(5))));
+      assert((await group.withdrawable(dan)).eq(toBN(ETH(5))));
+      assert((await group.memberInfo(carol)).collateralRemaining.eq(toBN(ETH(2))));
+      await settleAll(group);
+    });
+
+    it("can hold the leftover until the group finishes", async () => {
+      const { group } = await collateralGroup({ forfeitPolicy: FORFEIT.HoldUntilEnd });
+
+      await playCycle(group);
+      await playCycle(group, [carol]);
+      const rec2 = await playCycle(group, [carol]);
+      expectEvent(rec2, "PotForfeited", { member: carol, reserved: ETH(1), leftover: ETH(3) });
+      expectEvent.notEmitted(rec2, "ForfeitShared");
+      assert((await group.forfeitPool()).eq(toBN(ETH(3))));
+
+      const rec3 = await playCycle(group, [carol]);
+      for (const u of [alice, bob, dan]) {
+        expectEvent(rec3, "ForfeitShared", { member: u, cycle: toBN(3), amount: ETH(1) });
+      }
+      assert((await group.forfeitPool()).isZero());
+      await settleAll(group);
+    });
+
+    it("reserves only the cycles left in a roster shrunk at the deadline", async () => {
+      const deadline = (await time.latest()).addn(100);
+      const { group } = await collateralGroup({ max: 5, joinDeadline: deadline, allowShrink: true });
+      await time.increaseTo(deadline.addn(1));
+      await group.closeEnrollment();                                // 5 slots → 4 cycles
+      assert((await group.totalCycles()).eqn(4));
+
+      await playCycle(group);
+      await playCycle(group, [carol]);
+      const rec = await playCycle(group, [carol]);                  // Carol's slot, one cycle left
+      expectEvent(rec, "PotForfeited", {
+        member: carol, cycle: toBN(2), reserved: ETH(1), leftover: ETH(3),
+      });
+
+      await playCycle(group, [carol]);
+      assert.equal(await group.finished(), true);
+      assert((await group.memberInfo(carol)).collateralRemaining.eq(toBN(ETH(2))));
+      await settleAll(group);
+    });
+  });
+
+  describe("defaults after their slot", () => {
+    it("keeps the pot already received and covers the rest from collateral", async () => {
+      const { group } = await collateralGroup();
+
+      await playCycle(group);                                       // Alice paid out
+      const rec = await playCycle(group, [alice]);
+      expectEvent(rec, "MemberExpelled", { member: alice, cycle: toBN(1), paidOut: true });
+      expectEvent(rec, "Payout", { recipient: bob, amount: ETH(4) });
+
+      for (let r = 2; r < 4; r++) {
+        const tx = await playCycle(group, [alice]);
+        expectEvent(tx, "Payout", { recipient: roster[r], amount: ETH(4) });
+        expectEvent.notEmitted(tx, "PotForfeited");
+      }
+
+      /* three missed cycles came off her stake */
+      assert((await group.memberInfo(alice)).collateralRemaining.eq(toBN(ETH(1))));
+      assert((await group.withdrawable(bob)).eq(toBN(ETH(4))));
+      await settleAll(group);
+    });
+  });
+});
@@ -1,6 +1,8 @@
-const { deployFactory, ETH } = require("./helpers");
-const { BN }                 = require("@openzeppelin/test-helpers");
+const { deployFactory, groupConfig, groupMetadata, ETH } = require("./helpers");
+const { BN, constants }      = require("@openzeppelin/test-helpers");
 const ROSCA                  = artifacts.require("ROSCA");
+const ROSCAExtension         = artifacts.require("ROSCAExtension");
+const ROSCAGovernance        = artifacts.require("ROSCAGovernance");
 
 contract("ROSCA – deployment cost comparison", (accounts) => {
   const [owner] = accounts;
@@ -12,14 +14,19 @@ contract("ROSCA – deployment cost comparison", (accounts) => {
 
     /* ─────────── 1. Clone via factory  ─────────── */
     const txClone = await factory.createGroup(
-      fee, 1, 4, false, owner, { from: owner }
+      0,
+      groupConfig({ contribution: fee, interval: 1, maxParticipants: 4 }),
+      owner, groupMetadata(), { from: owner }
     );
     const gasClone = new BN(txClone.receipt.gasUsed);
 
-    /* ─────────── 2. Full contract deploy  ─────────── */
-    const impl   = await ROSCA.new({ from: owner });
-    const deployRcpt = await web3.eth.getTransactionReceipt(impl.transactionHash);
-    const gasFull = new BN(deployRcpt.gasUsed);
+    /* ─────────── 2. Full contract deploy (core + modules) ─────────── */
+    const gov    = await ROSCAGovernance.new(constants.ZERO_ADDRESS, { from: owner });
+    const ext    = await ROSCAExtension.new(gov.address, constants.ZERO_ADDRESS, { from: owner });
+    const impl   = await ROSCA.new(ext.address, constants.ZERO_ADDRESS, { from: owner });
+    const gasOf  = async (c) => (await web3.eth.getTransactionReceipt(c.transactionHash)).gasUsed;
+    const gasFull = new BN(await gasOf(impl)).add(new BN(await gasOf(ext)))
+                                              .add(new BN(await gasOf(gov)));
 
     /* ─────────── 3. Report & assert  ─────────── */
     console.log("\nROSCA deployment gas comparison:");
@@ -0,0 +1,169 @@
+/**
+ *  test/rosca.discovery.test.js
+ *
+ *  Group discovery: the factory lists groups page by page, overall or by
+ *  lifecycle state (open / running / finished).  Groups report each state
+ *  change themselves, so the lists stay current without anyone polling
+ *  the clones; should a report be lost, anyone can resync the group.
+ *  Open groups past their enrollment deadline are not listed as open.
+ */
+const {
+  ETH, GROUP_STATE,
+  deployFactory,
+  createGroup,
+  groupContract,
+  groupConfig, groupMetadata,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time, constants } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – group discovery", (accounts) => {
+  const [alice, bob] = accounts;
+  const fee = ETH(0.01);
+
+  /** every page of `fetch(offset, limit)` until one comes back short */
+  const allPages = async (fetch, limit) => {
+    const out = [];
+    for (let offset = 0; ; offset += limit) {
+      const page = await fetch(offset, limit);
+      out.push(...page);
+      if (page.length < limit) return out;
+    }
+  };
+
+  describe("lifecycle reports", () => {
+    let factory;
+    before(async () => ({ factory } = await deployFactory()));
+
+    it("follows a group from open to running to finished", async () => {
+      const { group } = await createGroup(factory, { contribution: fee }, alice);
+      assert.equal(await factory.isGroup(group.address), true);
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Open);
+
+      await group.join(0, 0, { from: alice });
+      const rec = await group.join(0, 0, { from: bob });
+      await expectEvent.inTransaction(rec.tx, factory, "GroupStateChanged", {
+        group: group.address, state: String(GROUP_STATE.Running),
+      });
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Running);
+
+      for (let r = 0; r < 2; r++) {
+        for (const u of [alice, bob]) await pay(group, u, fee);
+        await later();
+        await group.triggerPayout({ from: bob });
+      }
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Finished);
+      assert.deepEqual(await factory.getGroupsByState(GROUP_STATE.Finished, 0, 10), [group.address]);
+      assert((await factory.groupCount(GROUP_STATE.Open)).isZero());
+    });
+
+    it("only takes reports from its own groups", async () => {
+      await expectRevert(factory.groupStateChanged(GROUP_STATE.Finished, { from: alice }), "not a group");
+      await expectRevert(factory.syncState(alice), "not a group");
+    });
+
+    it("stops listing an open group once its enrollment deadline passed", async () => {
+      const deadline = (await time.latest()).addn(100);
+      const { group } = await createGroup(factory, { contribution: fee, joinDeadline: deadline }, alice);
+      const open = () => factory.getGroupsByState(GROUP_STATE.Open, 0, 10);
+      assert.deepEqual(await open(), [group.address]);
+
+      await time.increaseTo(deadline.addn(1));
+      assert.deepEqual(await open(), []);
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Open);   // until settled
+      assert.equal(await factory.groupCount(GROUP_STATE.Open), "1");
+
+      await group.closeEnrollment();                                        // nobody joined
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Finished);
+    });
+
+    it("resyncs a group whose report ran out of gas", async () => {
+      /* eight members new to the registry make recording them costly */
+      const members = accounts.slice(2, 10);
+      await factory.setReputationRules(0, 12);
+      await factory.setReputationMinContribution(constants.ZERO_ADDRESS, fee);
+      const { group } = await createGroup(factory, { contribution: fee, maxParticipants: 8 }, alice);
+      for (const u of members) await group.join(0, 0, { from: u });
+      for (const u of members) await pay(group, u, fee);
+      await later();
+      await group.triggerPayout({ from: bob });
+      await time.increaseTo(await group.dissolvableAt());
+
+      /* the least gas dissolve() gets by on leaves the factory's report short */
+      const dissolve = (gas) => group.contract.methods.dissolve().call({ from: members[0], gas })
+        .then(() => true, () => false);
+      let [lo, hi] = [100000, 3000000];
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (await dissolve(mid)) hi = mid; else lo = mid;
+      }
+      await group.dissolve({ from: members[0], gas: hi });
+      assert.equal(await group.finished(), true);
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Running);
+
+      const rec = await factory.syncState(group.address, { from: bob });
+      expectEvent(rec, "GroupStateChanged", { group: group.address, state: String(GROUP_STATE.Finished) });
+      expectEvent(rec, "ReputationRecorded", { group: group.address, cycles: "1" });
+      assert.equal(await factory.stateOf(group.address), GROUP_STATE.Finished);
+
+      expectEvent.notEmitted(await factory.syncState(group.address), "GroupStateChanged");
+    });
+  });
+
+  describe("hundreds of groups", () => {
+    const N = 240;                                  // a third each: open, running, cancelled
+    const expected = { [GROUP_STATE.Open]: [], [GROUP_STATE.Running]: [], [GROUP_STATE.Finished]: [] };
+    const created = [];
+    let factory;
+
+    before(async () => {
+      ({ factory } = await deployFactory());
+      const deadline = (await time.latest()).addn(3600);
+
+      for (let i = 0; i < N; i++) {
+        const kind = i % 3;
+        let tx;
+        if (kind === GROUP_STATE.Running) {
+          tx = await factory.createGroupAndJoin(
+            0, groupConfig({ contribution: fee }), alice, groupMetadata(), 0, 0, { from: alice }
+          );
+        } else {
+          const cfg = { contribution: fee, joinDeadline: kind === GROUP_STATE.Finished ? deadline : 0 };
+          tx = await factory.createGroup(0, groupConfig(cfg), alice, groupMetadata({ name: `#${i}` }));
+        }
+        const addr = tx.logs.find((l) => l.event === "GroupCreated").args.group;
+        created.push(addr);
+        expected[kind].push(addr);
+      }
+
+      for (const addr of expected[GROUP_STATE.Running]) {
+        await (await groupContract().at(addr)).join(0, 0, { from: bob });
+      }
+      await time.increaseTo(deadline.addn(1));
+      for (const addr of expected[GROUP_STATE.Finished]) {
+        await (await groupContract().at(addr)).closeEnrollment();       // nobody joined → cancelled
+      }
+    });
+
+    it("pages through every group in creation order", async () => {
+      assert.equal(await factory.allGroupsLength(), String(N));
+      const all = await allPages((o, l) => factory.getGroups(o, l), 64);
+      assert.deepEqual(all, created);
+      assert.deepEqual(await factory.getGroups(N, 10), []);
+      assert.deepEqual(await factory.getGroups(N - 2, 10), created.slice(N - 2));
+      assert.deepEqual(await factory.getGroups(0, 0), []);
+    });
+
+    it("filters by state", async () => {
+      for (const state of Object.values(GROUP_STATE)) {
+        assert.equal(await factory.groupCount(state), String(N / 3));
+        const listed = await allPages((o, l) => factory.getGroupsByState(state, o, l), 40);
+        assert.deepEqual([...listed].sort(), [...expected[state]].sort());
+        for (const addr of listed.slice(0, 5)) {
+          assert.equal(await factory.stateOf(addr), state);
+        }
+      }
+    });
+  });
+});
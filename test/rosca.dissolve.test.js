@@ -0,0 +1,139 @@
+/**
+ *  test/rosca.dissolve.test.js
+ *
+ *  Dissolution: a group the owner paused and never resumed – or one nobody
+ *  moved on past its payout – can be wound up by the owner or any member
+ *  after DISSOLVE_DELAY.  What the group still holds is split by net
+ *  position (collateral left + contributions paid − pots drawn) and can be
+ *  withdrawn even while paused.
+ */
+const {
+  ETH, toBN,
+  deployFactory,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – dissolution", (accounts) => {
+  const [alice, bob, carol, dan, eve] = accounts;
+  const roster = [alice, bob, carol, dan];      // payout order == join order
+  const fee    = ETH(1);                        // pot = stake = 4 ETH
+  let factory, DELAY;
+
+  before(async () => {
+    ({ factory } = await deployFactory());
+    const { group } = await spawnGroup(factory, [alice, bob]);
+    DELAY = (await group.DISSOLVE_DELAY()).toNumber();
+  });
+
+  /** members not in `skip` pay; settle the cycle */
+  const playCycle = async (group, skip = []) => {
+    for (const u of roster) if (!skip.includes(u)) await pay(group, u, fee);
+    await later();
+    return group.triggerPayout({ from: bob });
+  };
+
+  /** every member claims what they are owed; the group must end up empty */
+  const settleAll = async (group) => {
+    for (const u of roster) {
+      if (!(await group.withdrawable(u)).isZero()) await group.withdraw({ from: u });
+    }
+    assert.equal(await web3.eth.getBalance(group.address), "0");
+  };
+
+  describe("paused groups", () => {
+    it("opens DISSOLVE_DELAY after the pause, to the owner and members", async () => {
+      const { group } = await spawnGroup(factory, roster, { contribution: fee, collateral: true });
+      await expectRevert(group.dissolve({ from: alice }), "ROSCA: too early");
+
+      await group.pause({ from: alice });
+      await expectRevert(group.dissolve({ from: bob }), "ROSCA: too early");
+      await time.increase(DELAY);
+      await expectRevert(group.dissolve({ from: eve }), "ROSCA: not in group");
+
+      const rec = await group.dissolve({ from: bob });
+      expectEvent(rec, "GroupDissolved", { by: bob, held: ETH(16) });
+      expectEvent(rec, "GroupFinished");
+      await expectRevert(group.dissolve({ from: alice }), "ROSCA: too early");
+
+      /* nothing was played: every stake comes back, withdrawable while paused */
+      assert.equal(await group.paused(), true);
+      for (const u of roster) assert((await group.withdrawable(u)).eq(toBN(ETH(4))));
+      await settleAll(group);
+    });
+
+    it("settles a running group by net position", async () => {
+      const { group } = await spawnGroup(factory, roster, { contribution: fee, collateral: true });
+      await playCycle(group);                                       // cycle 0 → Alice
+      await playCycle(group);                                       // cycle 1 → Bob
+      await pay(group, carol, fee);
+      await group.pause({ from: alice });
+      await time.increase(DELAY);
+
+      /* stake 4 + paid in − pot drawn */
+      const rec = await group.dissolve({ from: dan });
+      const owed = { [alice]: 2, [bob]: 2, [carol]: 7, [dan]: 6 };
+      for (const u of roster) {
+        expectEvent(rec, "SettlementCredited", { member: u, amount: ETH(owed[u]) });
+      }
+      assert((await group.withdrawable(alice)).eq(toBN(ETH(6))));  // + her pot
+      await settleAll(group);
+    });
+
+    it("leaves a finished group alone, even while paused", async () => {
+      const { group } = await spawnGroup(factory, roster, { contribution: fee, collateral: true });
+      await playCycle(group);
+      for (let r = 1; r < 4; r++) await playCycle(group, [carol]);  // Carol defaults
+      assert.equal(await group.finished(), true);
+
+      await group.pause({ from: alice });
+      await time.increase(DELAY);
+      assert((await group.dissolvableAt()).isZero());
+      await expectRevert(group.dissolve({ from: alice }), "ROSCA: too early");
+
+      /* stakes are claimed as usual once the owner resumes */
+      await group.unpause({ from: alice });
+      for (const u of roster) await group.refundCollateral({ from: u });
+      await settleAll(group);
+    });
+  });
+
+  describe("abandoned groups", () => {
+    it("opens DISSOLVE_DELAY after an unsettled payout; debtors get nothing", async () => {
+      const { group } = await spawnGroup(factory, roster, { contribution: fee });
+      await playCycle(group);                                       // cycle 0 → Alice
+      for (const u of [bob, carol, dan]) await pay(group, u, fee);
+
+      const at = await group.dissolvableAt();
+      assert(at.eq((await group.payoutOpensAt()).addn(DELAY)));
+      await time.increaseTo(at.subn(5));
+      await expectRevert(group.dissolve({ from: bob }), "ROSCA: too early");
+      await time.increaseTo(at);
+
+      /* Alice drew 4 after paying 2 – she owes; the 3 ETH pool goes to the rest */
+      const rec = await group.dissolve({ from: alice });
+      expectEvent(rec, "GroupDissolved", { by: alice, held: ETH(3) });
+      for (const u of [bob, carol, dan]) {
+        expectEvent(rec, "SettlementCredited", { member: u, amount: ETH(1) });
+      }
+      assert((await group.withdrawable(alice)).eq(toBN(ETH(4))));
+      await expectRevert(pay(group, alice, fee), "ROSCA: finished");
+      await settleAll(group);
+    });
+
+    it("refunds open swap offers", async () => {
+      const { group } = await spawnGroup(factory, roster, { contribution: fee });
+      const deadline = (await time.latest()).addn(DELAY * 2);
+      await group.proposeSwap(dan, ETH(0.5), deadline, { from: bob, value: ETH(0.5) });
+      await time.increase(DELAY + 10);
+
+      const rec = await group.dissolve({ from: dan });
+      expectEvent(rec, "SwapCancelled");
+      assert((await group.withdrawable(bob)).eq(toBN(ETH(0.5))));
+      assert.deepEqual(await group.openSwaps(), []);
+      await settleAll(group);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ *  test/rosca.enrollment.test.js
+ *
+ *  Enrollment deadline: an unfilled group either cancels (members reclaim
+ *  collateral) or, if the creator allowed it, starts with who it has.
+ */
+const {
+  ETH, toBN,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – enrollment deadline", (accounts) => {
+  const [alice, bob, carol, dan] = accounts;
+  const fee = ETH(1);
+  let factory, deadline;
+
+  before(async () => ({ factory } = await deployFactory()));
+  beforeEach(async () => (deadline = (await time.latest()).addn(1000)));
+
+  const openGroup = (members, opts = {}) =>
+    spawnGroup(factory, members, {
+      contribution: fee, collateral: true, max: 5, joinDeadline: deadline, ...opts,
+    });
+
+  it("rejects a deadline that already passed", async () => {
+    await expectRevert(
+      createGroup(factory, { maxParticipants: 3, joinDeadline: 1 }, alice),
+      "deadline passed"
+    );
+  });
+
+  it("closes enrollment only after the deadline", async () => {
+    const { group } = await openGroup([alice, bob]);
+    await expectRevert(group.closeEnrollment(), "ROSCA: enrollment open");
+
+    await time.increase(1001);
+    await expectRevert(
+      group.join(0, 0, { from: carol, value: ETH(5) }),
+      "ROSCA: enrollment closed"
+    );
+
+    const { group: noDeadline } = await spawnGroup(factory, [alice], { max: 3 });
+    await expectRevert(noDeadline.closeEnrollment(), "ROSCA: enrollment open");
+  });
+
+  describe("cancel", () => {
+    it("cancels and lets members reclaim collateral", async () => {
+      const { group } = await openGroup([alice, bob]);
+      assert.equal(await web3.eth.getBalance(group.address), ETH(10));
+
+      await time.increase(1001);
+      const rec = await group.closeEnrollment({ from: dan });
+      expectEvent(rec, "GroupCancelled");
+      assert.equal(await group.cancelled(), true);
+      assert.equal(await group.started(), false);
+
+      await expectRevert(group.closeEnrollment(), "ROSCA: not enrolling");
+      await expectRevert(pay(group, alice, fee), "ROSCA: not started");
+
+      for (const m of [alice, bob]) {
+        const r = await group.refundCollateral({ from: m });
+        expectEvent(r, "CollateralRefunded", { member: m, amount: ETH(5) });
+        await group.withdraw({ from: m });
+      }
+      assert.equal(await web3.eth.getBalance(group.address), "0");
+    });
+
+    it("cancels a shrinkable group left with a single member", async () => {
+      const { group } = await openGroup([alice], { allowShrink: true });
+      await time.increase(1001);
+      expectEvent(await group.closeEnrollment(), "GroupCancelled");
+    });
+  });
+
+  describe("shrink to fit", () => {
+    it("restarts sized to the roster and returns surplus collateral", async () => {
+      const { group } = await openGroup([alice, bob, carol], {
+        allowShrink: true, wishes: [5, 2, 0],
+      });
+      assert.equal(await web3.eth.getBalance(group.address), ETH(15));
+
+      await time.increase(1001);
+      const rec = await group.closeEnrollment({ from: dan });
+      expectEvent(rec, "GroupShrunk", { oldSize: toBN(5), newSize: toBN(3) });
+      expectEvent(rec, "GroupStarted");
+      for (const m of [alice, bob, carol]) {
+        expectEvent(rec, "CollateralRefunded", { member: m, amount: ETH(2) });
+        assert((await group.memberInfo(m)).collateralRemaining.eq(toBN(ETH(3))));
+      }
+
+      assert.equal(await group.started(), true);
+      assert((await group.maxParticipants()).eqn(3));
+      assert((await group.payoutSize()).eq(toBN(ETH(3))));
+      assert((await group.collateralRequirement()).eq(toBN(ETH(3))));
+      for (const m of [alice, bob, carol]) await group.withdraw({ from: m });
+      assert.equal(await web3.eth.getBalance(group.address), ETH(9));
+
+      /* Bob's "by cycle 2" is honoured; Alice's 5 (> new N) is no preference */
+      assert.equal(await group.payoutOrder(0), bob);
+      assert.equal(await group.payoutOrder(1), alice);
+      assert.equal(await group.payoutOrder(2), carol);
+
+      /* and the smaller game plays out normally */
+      for (let r = 0; r < 3; r++) {
+        for (const m of [alice, bob, carol]) await pay(group, m, fee);
+        await later();
+        await group.triggerPayout();
+      }
+      assert.equal(await group.finished(), true);
+      for (const m of [alice, bob, carol]) {
+        await group.refundCollateral({ from: m });
+        await group.withdraw({ from: m });
+      }
+      assert.equal(await web3.eth.getBalance(group.address), "0");
+    });
+  });
+});
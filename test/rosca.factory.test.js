@@ -0,0 +1,218 @@
+/**
+ *  test/rosca.factory.test.js
+ *
+ *  Factory front door: groups are cloned from named, versioned templates
+ *  and carry a name, description and metadata URI; `createGroupAndJoin` opens a group with its creator
+ *  already enrolled; salted variants put a group at an address known in
+ *  advance; obviously broken configs are refused up front.
+ */
+const {
+  ETH, toBN,
+  deployImpl, deployFactory,
+  groupConfig, groupMetadata,
+  createGroup,
+  groupContract,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, constants } = require("@openzeppelin/test-helpers");
+const MockERC20 = artifacts.require("MockERC20");
+
+contract("ROSCA – factory", (accounts) => {
+  const [alice, bob, carol] = accounts;
+  const fee = ETH(1);
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  /** createGroupAndJoin + wrap the new clone */
+  const createAndJoin = async (cfg, meta, [earliest, latest], opts) => {
+    const tx   = await factory.createGroupAndJoin(
+      0, groupConfig(cfg), alice, groupMetadata(meta), earliest, latest, opts
+    );
+    const addr = tx.logs.find((l) => l.event === "GroupCreated").args.group;
+    return { group: await groupContract().at(addr), tx };
+  };
+
+  describe("templates", () => {
+    it("are versioned per name", async () => {
+      const t0 = await factory.getTemplate(0);
+      assert.equal(t0.name, "basic");
+      assert.equal(t0.version, "1");
+      assert.equal(t0.enabled, true);
+
+      const impls = [await deployImpl(), await deployImpl(), await deployImpl()];
+      await factory.addTemplate("collateral", impls[0].address);
+      await factory.addTemplate("basic", impls[1].address);
+      const rec = await factory.addTemplate("collateral", impls[2].address);
+      expectEvent(rec, "TemplateAdded", {
+        id: toBN(3), name: "collateral", version: toBN(2), implementation: impls[2].address,
+      });
+      assert.equal(await factory.templateCount(), "4");
+      assert.equal((await factory.getTemplate(2)).version, "2");     // basic v2
+      assert.equal(await factory.latestVersion(web3.utils.keccak256("collateral")), "2");
+
+      await expectRevert(factory.addTemplate("", impls[0].address), "no name");
+      await expectRevert(factory.addTemplate("x", constants.ZERO_ADDRESS), "impl = 0");
+      await expectRevert.unspecified(factory.addTemplate("x", impls[0].address, { from: bob }));
+    });
+
+    it("tell which template and version each group runs", async () => {
+      const impl = await deployImpl();
+      const id   = (await factory.templateCount()).toNumber();
+      await factory.addTemplate("bidding", impl.address);
+
+      const { group } = await createGroup(factory, { contribution: fee }, alice, {}, id);
+      const t = await factory.groupTemplate(group.address);
+      assert.equal(t.name, "bidding");
+      assert.equal(t.version, "1");
+      assert.equal(t.implementation, impl.address);
+      assert.equal(await factory.templateOf(group.address), String(id));
+      await expectRevert(factory.groupTemplate(bob), "not a group");
+    });
+
+    it("take no new groups once deprecated", async () => {
+      const id = (await factory.templateCount()).toNumber();
+      await factory.addTemplate("trial", (await deployImpl()).address);
+
+      const rec = await factory.setTemplateEnabled(id, false);
+      expectEvent(rec, "TemplateEnabled", { id: toBN(id), enabled: false });
+      await expectRevert(createGroup(factory, { contribution: fee }, alice, {}, id), "template deprecated");
+      await expectRevert.unspecified(factory.setTemplateEnabled(id, true, { from: bob }));
+
+      await factory.setTemplateEnabled(id, true);
+      await createGroup(factory, { contribution: fee }, alice, {}, id);
+      await expectRevert(createGroup(factory, { contribution: fee }, alice, {}, 99), "no template");
+    });
+  });
+
+  describe("metadata", () => {
+    it("is stored per group and announced", async () => {
+      const meta = { name: "Market traders", description: "Weekly, 1 ETH", metadataURI: "ipfs://abc" };
+      const { group, tx } = await createGroup(factory, { contribution: fee }, alice, meta);
+      expectEvent(tx, "GroupMetadataSet", { group: group.address, ...meta });
+
+      const stored = await factory.metadataOf(group.address);
+      assert.equal(stored.name, meta.name);
+      assert.equal(stored.description, meta.description);
+      assert.equal(stored.metadataURI, meta.metadataURI);
+      assert.equal(await group.factory(), factory.address);
+    });
+  });
+
+  describe("validation", () => {
+    it("rejects a zero contribution, interval or multisig", async () => {
+      await expectRevert(createGroup(factory, { contribution: 0 }, alice), "contribution = 0");
+      await expectRevert(createGroup(factory, { interval: 0 }, alice), "interval = 0");
+      await expectRevert(
+        createGroup(factory, {}, constants.ZERO_ADDRESS), "multisig = 0"
+      );
+    });
+  });
+
+  describe("create and join", () => {
+    it("enrols the creator with collateral and payout window in one call", async () => {
+      const cfg = { contribution: fee, maxParticipants: 3, useCollateral: true };
+      const { group, tx } = await createAndJoin(cfg, {}, [2, 3], { from: bob, value: ETH(3) });
+      expectEvent(tx, "GroupCreated", { creator: bob });
+
+      assert.deepEqual(await group.getParticipants(), [bob]);
+      assert.equal(await group.owner(), alice);
+      const [m] = (await group.getSnapshot()).members;
+      assert.equal(m.collateral, ETH(3));
+      assert.equal(m.earliestCycle, "2");
+      assert.equal(m.latestCycle, "3");
+      assert.equal(await web3.eth.getBalance(group.address), ETH(3));
+      assert.equal(await web3.eth.getBalance(factory.address), "0");
+      assert.deepEqual(await factory.groupsOf(bob), [group.address]);
+    });
+
+    it("rolls the whole creation back if the join fails", async () => {
+      const before = await factory.allGroupsLength();
+      const cfg = { contribution: fee, maxParticipants: 3, useCollateral: true };
+      await expectRevert(createAndJoin(cfg, {}, [0, 0], { from: bob, value: ETH(1) }),
+                         "ROSCA: bad collateral");
+      await expectRevert(createAndJoin({ contribution: fee }, {}, [0, 0], { from: bob, value: 1 }),
+                         "ROSCA: collateral off");
+      await expectRevert(createAndJoin({ contribution: fee }, {}, [3, 2], { from: bob }),
+                         "ROSCA: bad window");
+      assert((await factory.allGroupsLength()).eq(before));
+    });
+
+    it("lets the creator into their own invite-only group", async () => {
+      const root = web3.utils.keccak256("nobody");
+      const { group } = await createAndJoin({ contribution: fee, allowlistRoot: root }, {}, [0, 0],
+                                            { from: bob });
+      assert.equal(await group.isParticipant(bob), true);
+      await expectRevert(group.join(0, 0, { from: carol }), "ROSCA: invite only");
+    });
+
+    it("takes ERC-20 collateral through the factory", async () => {
+      const token = await MockERC20.new();
+      const stake = toBN(30e6);
+      await token.mint(bob, stake);
+      const cfg = { contribution: 10e6, maxParticipants: 3, useCollateral: true, token: token.address };
+
+      await expectRevert(createAndJoin(cfg, {}, [0, 0], { from: bob, value: 1 }), "ETH sent");
+
+      await token.approve(factory.address, stake, { from: bob });
+      const { group } = await createAndJoin(cfg, {}, [0, 0], { from: bob });
+      assert((await token.balanceOf(group.address)).eq(stake));
+      assert((await token.balanceOf(factory.address)).isZero());
+      assert((await token.allowance(factory.address, group.address)).isZero());
+      assert((await group.memberInfo(bob)).collateralRemaining.eq(stake));
+    });
+
+    it("only the factory enrols on someone's behalf", async () => {
+      const { group } = await createGroup(factory, { contribution: fee }, alice);
+      await expectRevert(group.joinFor(carol, 0, 0, { from: alice }), "ROSCA: not factory");
+    });
+  });
+
+  describe("deterministic addresses", () => {
+    const salt = web3.utils.keccak256("market-traders-2026");
+
+    it("creates the group where predicted, once per salt", async () => {
+      const at = await factory.predictGroupAddress(0, bob, salt);
+      assert.equal(await web3.eth.getCode(at), "0x");
+      assert.equal(await factory.isSaltUsed(bob, salt), false);
+
+      const tx = await factory.createGroupDeterministic(
+        0, groupConfig({ contribution: fee }), alice, groupMetadata(), salt, { from: bob }
+      );
+      expectEvent(tx, "GroupCreated", { group: at, creator: bob });
+      assert.equal(await factory.isSaltUsed(bob, salt), true);
+      assert.equal(await (await groupContract().at(at)).owner(), alice);
+
+      await expectRevert(
+        factory.createGroupDeterministic(0, groupConfig({ contribution: fee }), alice, groupMetadata(),
+                                         salt, { from: bob }),
+        "salt used"
+      );
+    });
+
+    it("scopes salts to their creator", async () => {
+      const mine   = await factory.predictGroupAddress(0, carol, salt);
+      const theirs = await factory.predictGroupAddress(0, bob, salt);
+      assert.notEqual(mine, theirs);
+
+      const tx = await factory.createGroupAndJoinDeterministic(
+        0, groupConfig({ contribution: fee }), alice, groupMetadata(), salt, 0, 2, { from: carol }
+      );
+      expectEvent(tx, "GroupCreated", { group: mine, creator: carol });
+      assert.deepEqual(await (await groupContract().at(mine)).getParticipants(), [carol]);
+    });
+
+    it("depends on the template", async () => {
+      const fresh = web3.utils.keccak256("per-template");
+      const id    = (await factory.templateCount()).toNumber();
+      await factory.addTemplate("basic", (await deployImpl()).address);
+
+      const at = await factory.predictGroupAddress(id, bob, fresh);
+      assert.notEqual(await factory.predictGroupAddress(0, bob, fresh), at);
+      const tx = await factory.createGroupDeterministic(
+        id, groupConfig({ contribution: fee }), alice, groupMetadata(), fresh, { from: bob }
+      );
+      expectEvent(tx, "GroupCreated", { group: at });
+    });
+  });
+});
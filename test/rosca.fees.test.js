@@ -0,0 +1,187 @@
+/**
+ *  test/rosca.fees.test.js
+ *
+ *  Fees: an organiser cut fixed at creation and a protocol cut set by the
+ *  factory owner (capped, and adopted by each group as it is created) are
+ *  taken from every full pot at payout – whatever an auction's winning bid
+ *  – and credited to their recipients.
+ *  Runs in ERC-20 mode so every unit can be accounted for.
+ */
+const {
+  toBN, MODE,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  payToken, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, constants } = require("@openzeppelin/test-helpers");
+const MockERC20 = artifacts.require("MockERC20");
+
+contract("ROSCA – fees", (accounts) => {
+  const [alice, bob, carol, organiser, treasury] = accounts;
+  const roster = [alice, bob, carol];
+  const fee    = toBN(333);                     // pot = 999
+  let factory, token;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  beforeEach(async () => {
+    token = await MockERC20.new();
+    for (const u of roster) await token.mint(u, 10000);
+    await factory.setProtocolFee(constants.ZERO_ADDRESS, 0);
+  });
+
+  const feeGroup = (organiserFeeBps, opts = {}) =>
+    spawnGroup(factory, roster, {
+      contribution: fee, token, organiser, organiserFeeBps, ...opts,
+    });
+
+  const playCycle = async (group) => {
+    for (const u of roster) await payToken(group, token, u, fee);
+    await later();
+    return group.triggerPayout({ from: bob });
+  };
+
+  /** everyone with a credit claims it; the group must end up empty */
+  const claimAll = async (group) => {
+    const paidOut = {};
+    for (const u of [...roster, organiser, treasury]) {
+      paidOut[u] = await group.withdrawable(u);
+      if (!paidOut[u].isZero()) await group.withdraw({ from: u });
+    }
+    assert((await token.balanceOf(group.address)).isZero(), "nothing left behind");
+    return paidOut;
+  };
+
+  describe("configuration", () => {
+    it("caps the organiser fee and needs a recipient for it", async () => {
+      const max = await (await feeGroup(0)).group.MAX_ORGANISER_FEE_BPS();
+      const cfg = { contribution: fee, maxParticipants: 3 };
+      await expectRevert(
+        createGroup(factory, { ...cfg, organiser, organiserFeeBps: max.addn(1) }, alice),
+        "bad organiser fee"
+      );
+      await expectRevert(
+        createGroup(factory, { ...cfg, organiserFeeBps: 100 }, alice), "bad organiser fee"
+      );
+      await createGroup(factory, { ...cfg, organiser, organiserFeeBps: max }, alice);
+    });
+
+    it("lets only the factory owner set the protocol fee, up to the cap", async () => {
+      const max = await factory.MAX_PROTOCOL_FEE_BPS();
+      await expectRevert(factory.setProtocolFee(treasury, max.addn(1)), "fee too high");
+      await expectRevert(factory.setProtocolFee(constants.ZERO_ADDRESS, 10), "treasury = 0");
+      await expectRevert.unspecified(factory.setProtocolFee(treasury, 10, { from: bob }));
+
+      const rec = await factory.setProtocolFee(treasury, max);
+      expectEvent(rec, "ProtocolFeeUpdated", { treasury, bps: max });
+      const now = await factory.protocolFee();
+      assert.equal(now[0], treasury);
+      assert(now[1].eq(max));
+    });
+
+    it("fixes the protocol fee in force when the group is created", async () => {
+      await factory.setProtocolFee(treasury, 100);
+      const { group } = await feeGroup(0);
+      await factory.setProtocolFee(treasury, 300);
+      const { group: newer } = await feeGroup(0);
+      await factory.setProtocolFee(constants.ZERO_ADDRESS, 0);
+
+      assert.equal(await group.treasury(), treasury);
+      assert.equal(await group.protocolFeeBps(), "100");
+      assert.equal(await newer.protocolFeeBps(), "300");
+
+      const tx = await playCycle(group);
+      expectEvent(tx, "FeesCharged", { cycle: toBN(0), organiserFee: toBN(0), protocolFee: toBN(9) });
+    });
+  });
+
+  describe("payout", () => {
+    it("takes the organiser fee alone", async () => {
+      const { group } = await feeGroup(500);                        // 5 %
+      const tx = await playCycle(group);
+      expectEvent(tx, "FeesCharged", { cycle: toBN(0), organiserFee: toBN(49), protocolFee: toBN(0) });
+      expectEvent(tx, "Payout", { recipient: alice, amount: toBN(950) });
+      assert((await group.withdrawable(organiser)).eqn(49));
+      assert((await group.withdrawable(treasury)).isZero());
+    });
+
+    it("takes the protocol fee alone", async () => {
+      await factory.setProtocolFee(treasury, 250);                  // 2.5 %
+      const { group } = await feeGroup(0, { organiser: constants.ZERO_ADDRESS });
+      const tx = await playCycle(group);
+      expectEvent(tx, "FeesCharged", { cycle: toBN(0), organiserFee: toBN(0), protocolFee: toBN(24) });
+      expectEvent(tx, "Payout", { recipient: alice, amount: toBN(975) });
+      assert((await group.withdrawable(treasury)).eqn(24));
+    });
+
+    it("adds up to every unit paid in, rounding dust to the recipient", async () => {
+      await factory.setProtocolFee(treasury, 100);                  // 999 → 9
+      const { group } = await feeGroup(250);                        // 999 → 24
+
+      const [o, p, net] = Object.values(await group.feeSplit(999));
+      assert(o.eqn(24) && p.eqn(9) && net.eqn(966));
+
+      for (let r = 0; r < 3; r++) {
+        const tx = await playCycle(group);
+        expectEvent(tx, "FeesCharged", { organiserFee: toBN(24), protocolFee: toBN(9) });
+        expectEvent(tx, "Payout", { recipient: roster[r], amount: toBN(966) });
+      }
+      assert.equal(await group.finished(), true);
+
+      const got = await claimAll(group);
+      assert(got[organiser].eqn(72));
+      assert(got[treasury].eqn(27));
+      for (const u of roster) assert(got[u].eqn(966));
+      const total = Object.values(got).reduce((a, b) => a.add(b), toBN(0));
+      assert(total.eq(fee.muln(9)), "fees + pots == contributions");
+    });
+
+    it("charges an auction on the full pot, not the winning bid", async () => {
+      await factory.setProtocolFee(treasury, 100);                  // 999 → 9
+      const { group } = await feeGroup(500, {                       // 999 → 49
+        interval: 1000, payoutMode: MODE.OpenBid, bidWindow: 500,
+      });
+      for (const u of roster) await payToken(group, token, u, fee);
+      await later(600);
+      await group.placeBid(900, { from: carol });
+      await later(500);
+
+      /* 941 left after fees: Carol gets 900/999 of it, the rest is shared */
+      const tx = await group.triggerPayout({ from: alice });
+      expectEvent(tx, "AuctionSettled", { winner: carol, winningBid: toBN(900), surplus: toBN(99) });
+      expectEvent(tx, "FeesCharged", { organiserFee: toBN(49), protocolFee: toBN(9) });
+      expectEvent(tx, "Payout", { recipient: carol, amount: toBN(847) });
+      for (const u of [alice, bob]) expectEvent(tx, "SurplusShared", { member: u, amount: toBN(47) });
+    });
+
+    it("charges the same fees whatever the payout mode", async () => {
+      await factory.setProtocolFee(treasury, 100);
+      const { group: fixed } = await feeGroup(500);
+      const { group: bidding } = await feeGroup(500, {
+        interval: 1000, payoutMode: MODE.OpenBid, bidWindow: 500,
+      });
+
+      /* full-pot auctions (no bids) and a deep discount pay the same fees */
+      const fees = async (tx) => {
+        const { args } = tx.logs.find((l) => l.event === "FeesCharged");
+        return args.organiserFee.add(args.protocolFee);
+      };
+      const scheduled = await fees(await playCycle(fixed));
+      for (const bid of [null, 300, null]) {
+        for (const u of roster) await payToken(bidding, token, u, fee);
+        await later(600);
+        if (bid) await bidding.placeBid(bid, { from: bob });
+        await later(500);
+        assert((await fees(await bidding.triggerPayout({ from: alice }))).eq(scheduled));
+      }
+      assert.equal(await bidding.finished(), true);
+
+      const got = await claimAll(bidding);
+      assert(got[organiser].eqn(147) && got[treasury].eqn(27));
+      const total = Object.values(got).reduce((a, b) => a.add(b), toBN(0));
+      assert(total.eq(fee.muln(9)), "fees + pots + shares == contributions");
+    });
+  });
+});
@@ -1,12 +1,11 @@
 const {
   ETH, toBN,
-  deployFactory,
+  deployImpl, deployFactory,
   spawnGroup,
   pay, later,
 } = require("./helpers");
 
-const { expectRevert, balance } = require("@openzeppelin/test-helpers");
-const ROSCA = artifacts.require("ROSCA");
+const { expectRevert, expectEvent, balance } = require("@openzeppelin/test-helpers");
 
 contract("ROSCA end-to-end", (accounts) => {
   const [alice, bob, carol, dan, erin, frank, george] = accounts;
@@ -27,6 +26,7 @@ contract("ROSCA end-to-end", (accounts) => {
       await Promise.all([alice, bob, carol, dan].map((u) => pay(group, u, contribution)));
       await later();
       await group.triggerPayout({ from: bob });
+      await group.withdraw({ from: alice });
 
       const delta = await gain.delta();
       assert(toBN(delta).gte(toBN(ETH(1.8)))); // 3 − 1 − gas
@@ -58,6 +58,7 @@ contract("ROSCA end-to-end", (accounts) => {
       await later();
       const gainA = await balance.tracker(alice);
       await g.triggerPayout({ from: carol });
+      await g.withdraw({ from: alice });
       assert((await gainA.delta()).gte(toBN(ETH(1.8))));
 
       /* cycle 1 — Bob */
@@ -65,6 +66,7 @@ contract("ROSCA end-to-end", (accounts) => {
       await later();
       const gainB = await balance.tracker(bob);
       await g.triggerPayout({ from: alice });
+      await g.withdraw({ from: bob });
       assert((await gainB.delta()).gte(toBN(ETH(1.8))));
     });
   });
@@ -114,6 +116,50 @@ contract("ROSCA end-to-end", (accounts) => {
     });
   });
 
+  /* ───────────── LEAVING BEFORE START ───────────── */
+  describe("leave before start", () => {
+    it("frees the slot and keeps join order", async () => {
+      const { group: g } = await spawnGroup(factory, [alice, bob, carol], { max: 4 });
+      const rec = await g.leave({ from: bob });
+      expectEvent(rec, "ParticipantLeft", { who: bob, refund: toBN(0) });
+
+      assert.equal(await g.isParticipant(bob), false);
+      assert.equal(await g.participants(0), alice);
+      assert.equal(await g.participants(1), carol);
+
+      await g.join(0, 0, { from: dan });
+      await g.join(0, 0, { from: erin });
+      assert.equal(await g.started(), true);
+      assert.equal(await g.payoutOrder(2), dan);
+    });
+
+    it("refunds collateral and clears member state", async () => {
+      const fee = ETH(1);
+      const { group: g } = await spawnGroup(
+        factory, [alice, bob], { collateral: true, contribution: fee, max: 3, wishes: [0, 1] }
+      );
+      assert.equal(await web3.eth.getBalance(g.address), ETH(6));
+
+      const gain = await balance.tracker(bob);
+      const rec  = await g.leave({ from: bob });
+      expectEvent(rec, "ParticipantLeft", { who: bob, refund: ETH(3) });
+      assert((await g.withdrawable(bob)).eq(toBN(ETH(3))));
+      await g.withdraw({ from: bob });
+      assert((await gain.delta()).gt(toBN(ETH(2.9))));   // 3 back − gas
+
+      assert.equal(await web3.eth.getBalance(g.address), ETH(3));
+      assert((await g.memberInfo(bob)).collateralRemaining.isZero());
+      assert((await g.latestDesiredCycle(bob)).isZero());
+    });
+
+    it("is refused for outsiders and once the group started", async () => {
+      await expectRevert(group.leave({ from: alice }), "ROSCA: already started");
+
+      const { group: g } = await spawnGroup(factory, [alice], { max: 3 });
+      await expectRevert(g.leave({ from: bob }), "ROSCA: not in group");
+    });
+  });
+
   /* ───────────── PAUSE ───────────── */
   describe("emergency pause", () => {
     it("owner can pause & unpause", async () => {
@@ -143,12 +189,14 @@ describe("factory & owner logic", () => {
     "0x" +
     code.slice(22, 62).padStart(40, "0");   // bytes 11-30 → chars 22-61
 
-  it("factory owner can change implementation for future groups", async () => {
-    const newImpl = await ROSCA.new();
-    await factory.setImplementation(newImpl.address, { from: alice });
+  it("factory owner can add a template version for future groups", async () => {
+    const newImpl = await deployImpl();
+    await expectRevert.unspecified(factory.addTemplate("basic", newImpl.address, { from: bob }));
+    const rec = await factory.addTemplate("basic", newImpl.address, { from: alice });
+    expectEvent(rec, "TemplateAdded", { id: toBN(1), name: "basic", version: toBN(2) });
 
     // future group
-    const { group: g2 } = await spawnGroup(factory, [erin, frank], { owner: erin });
+    const { group: g2 } = await spawnGroup(factory, [erin, frank], { owner: erin, template: 1 });
     const runtime = await web3.eth.getCode(g2.address);
     const implInProxy = extractImpl(runtime);
 
@@ -157,15 +205,30 @@ describe("factory & owner logic", () => {
       newImpl.address.toLowerCase(),
       "proxy points to wrong implementation"
     );
+    const t = await factory.groupTemplate(g2.address);
+    assert.equal(t.name, "basic");
+    assert.equal(t.version, "2");
+    assert.equal(t.implementation, newImpl.address);
   });
 
   it("previous groups unaffected after implementation switch", async () => {
     const oldCode = await web3.eth.getCode(group.address);
-    const anotherImpl = await ROSCA.new();
-    await factory.setImplementation(anotherImpl.address, { from: alice });
+    const before  = await factory.groupTemplate(group.address);
+    const anotherImpl = await deployImpl();
+    await factory.addTemplate("bidding", anotherImpl.address, { from: alice });
+    await factory.setTemplateEnabled(0, false, { from: alice });
 
     const afterCode = await web3.eth.getCode(group.address);
     assert.equal(oldCode, afterCode, "existing clone byte-code mutated");
+    const after = await factory.groupTemplate(group.address);
+    assert.equal(after.implementation, before.implementation);
+    assert.equal(after.name, "basic");
+    assert.equal(after.version, "1");
+
+    /* a deprecated template takes no new groups; its groups play on */
+    await expectRevert(spawnGroup(factory, [erin, frank]), "template deprecated");
+    await pay(group, bob, contribution);
+    await factory.setTemplateEnabled(0, true, { from: alice });
   });
 });
 
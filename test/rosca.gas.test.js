@@ -3,11 +3,52 @@
  *
  *  Measure gas usage for a complete 4-round ROSCA game
  *  and show a per-member breakdown with names.
+ *
+ *  Also measures how join / contribute / triggerPayout scale with the
+ *  group size and fails if any call got dearer than the committed
+ *  snapshot (test/gas-snapshot.json).  After a deliberate change, rewrite
+ *  the snapshot and commit it with the change:
+ *
+ *      UPDATE_GAS_SNAPSHOT=1 npx truffle test test/rosca.gas.test.js
+ *
+ *  The v2.9 figures stay alongside as the baseline the rework is judged
+ *  against: every call must beat them, except joining a small group, which
+ *  pays for the member index (see `memberIndex` in ROSCAStorage).
  */
-const { deployFactory, spawnGroup, later, ETH } = require("./helpers");
+const fs   = require("fs");
+const path = require("path");
+const { deployFactory, spawnGroup, groupConfig, groupMetadata, later, ETH } = require("./helpers");
 const { BN } = require("@openzeppelin/test-helpers");
 const ROSCA = artifacts.require("ROSCA");
 
+const SNAPSHOT = path.join(__dirname, "gas-snapshot.json");
+const SIZES    = [3, 10, 50, 100];
+const INTERVAL = 3600;    // long enough that no contribution turns late mid-measurement
+
+/** measured on v2.9 (roster scan, per-member contribution flags) */
+const V2_9 = {
+  3:   { join:  80650, contribute:  81538, triggerPayout: 128535 },
+  10:  { join:  82704, contribute:  86431, triggerPayout: 163873 },
+  50:  { join: 130893, contribute: 134795, triggerPayout: 412129 },
+  100: { join: 192892, contribute: 196807, triggerPayout: 722449 },
+};
+/** calls allowed to cost more than on v2.9, by at most one fresh SSTORE + cold access */
+const DEARER_THAN_V2_9 = { join: [3, 10] };
+const MEMBER_INDEX_GAS = 22100;
+
+/** ganache only unlocks 10 accounts – import and fund throw-away ones */
+async function extraAccounts(n, funder) {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const { address, privateKey } = web3.eth.accounts.create();
+    await web3.eth.personal.importRawKey(privateKey, "");
+    await web3.eth.personal.unlockAccount(address, "", 0);
+    await web3.eth.sendTransaction({ from: funder, to: address, value: ETH(1) });
+    out.push(address);
+  }
+  return out;
+}
+
 contract("ROSCA – gas profile", (accounts) => {
   const [owner, alice, bob, carol, dan] = accounts;
   const roster   = [alice, bob, carol, dan];
@@ -26,11 +67,15 @@ contract("ROSCA – gas profile", (accounts) => {
 
     /* 2. Deploy group (clone) – capture gas */
     const txCreate = await factory.createGroup(
-      fee,          // contribution
-      1,            // interval
-      roster.length,
-      false,        // collateral
+      0,            // basic template
+      groupConfig({
+        contribution:    fee,
+        interval:        1,
+        maxParticipants: roster.length,
+        useCollateral:   false,
+      }),
       owner,        // multisig/owner
+      groupMetadata(),
       { from: owner }
     );
     const groupAddr = txCreate.logs.find(l => l.event === "GroupCreated").args.group;
@@ -45,7 +90,7 @@ contract("ROSCA – gas profile", (accounts) => {
 
     /* 3. Members join */
     for (const p of roster) {
-      const rec = await group.join(0, { from: p });         // value = 0 (no collateral)
+      const rec = await group.join(0, 0, { from: p });         // value = 0 (no collateral)
       addGas(p, rec.receipt.gasUsed);
     }
 
@@ -77,4 +122,67 @@ contract("ROSCA – gas profile", (accounts) => {
       assert(new BN(Gas).gt(new BN(0)), "unexpected zero-gas entry");
     }
   });
+
+  it("keeps every call within its snapshot and below v2.9 at 3, 10, 50 and 100 members", async () => {
+    const { factory } = await deployFactory();
+    const fee     = ETH(0.01);
+    const members = await extraAccounts(100, owner);
+    const avg     = (xs) => Math.round(xs.reduce((a, b) => a + b, 0) / xs.length);
+    const now     = {};
+
+    for (const size of SIZES) {
+      const roster = members.slice(0, size);
+      const tx = await factory.createGroup(
+        0,
+        groupConfig({ contribution: fee, interval: INTERVAL, maxParticipants: size }),
+        owner, groupMetadata(),
+        { from: owner }
+      );
+      const group = await ROSCA.at(tx.logs.find(l => l.event === "GroupCreated").args.group);
+
+      /* the last join also runs the scheduler – keep it out of the average */
+      const joins = [];
+      for (const m of roster) joins.push((await group.join(0, 0, { from: m })).receipt.gasUsed);
+      joins.pop();
+
+      const pays = [];
+      for (const m of roster) {
+        pays.push((await group.contribute({ from: m, value: fee })).receipt.gasUsed);
+      }
+      await later(INTERVAL);
+      const payout = (await group.triggerPayout({ from: owner })).receipt.gasUsed;
+
+      now[size] = { join: avg(joins), contribute: avg(pays), triggerPayout: payout };
+    }
+
+    if (process.env.UPDATE_GAS_SNAPSHOT) {
+      fs.writeFileSync(SNAPSHOT, JSON.stringify(now, null, 2) + "\n");
+      console.log(`\nGas snapshot written to ${path.relative(process.cwd(), SNAPSHOT)}`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT, "utf8"));
+
+    const rows = [];
+    for (const size of SIZES) {
+      for (const op of Object.keys(now[size])) {
+        const was = snapshot[size][op];
+        const base = V2_9[size][op];
+        rows.push({
+          Members: size, Call: op, "v2.9": base, Snapshot: was, Now: now[size][op],
+          Diff: now[size][op] - was, "vs v2.9": now[size][op] - base,
+        });
+      }
+    }
+    console.log("\nGas per call vs. group size (v2.9, snapshot → now):");
+    console.table(rows);
+
+    for (const r of rows) {
+      assert(r.Now > 0, "unexpected zero-gas entry");
+      assert(r.Now <= r.Snapshot, `${r.Call} @${r.Members} got dearer by ${r.Diff} gas`);
+      if ((DEARER_THAN_V2_9[r.Call] || []).includes(r.Members)) {
+        assert(r["vs v2.9"] < MEMBER_INDEX_GAS, `${r.Call} @${r.Members} costs ${r["vs v2.9"]} gas over v2.9`);
+      } else {
+        assert(r["vs v2.9"] < 0, `${r.Call} @${r.Members} saves nothing over v2.9 (${r["vs v2.9"]} gas)`);
+      }
+    }
+  });
 });
@@ -0,0 +1,212 @@
+/**
+ *  test/rosca.governance.test.js
+ *
+ *  Member governance: any member in good standing proposes to expel
+ *  someone, dissolve the group or change the interval; members vote and a
+ *  passed proposal executes itself.
+ *
+ *  Rules:
+ *    • quorum = share of the electorate that voted, threshold = share of
+ *      votes cast that are "yes", both in bps and fixed at creation;
+ *    • a proposal executes on the vote that settles it for certain,
+ *      otherwise it is closed after one interval on the votes cast;
+ *    • the member a proposal would expel does not vote on it.
+ */
+const {
+  ETH, toBN, PROPOSAL, MODE,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  pay,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time, constants } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – member governance", (accounts) => {
+  const [alice, bob, carol, dan, eve] = accounts;
+  const roster   = [alice, bob, carol, dan];    // payout order == join order
+  const fee      = ETH(1);
+  const INTERVAL = 100;
+  const NOBODY   = constants.ZERO_ADDRESS;
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  /** 50 % turnout, 60 % "yes" unless overridden */
+  const govGroup = (opts = {}) =>
+    spawnGroup(factory, roster, {
+      contribution: fee, interval: INTERVAL, quorumBps: 5000, thresholdBps: 6000, ...opts,
+    });
+
+  const playCycle = async (group, members = roster) => {
+    for (const u of members) await pay(group, u, fee);
+    await time.increase(INTERVAL + 5);
+    return group.triggerPayout({ from: bob });
+  };
+
+  const propose = async (group, kind, target = NOBODY, value = 0, from = alice) => {
+    const rec = await group.propose(kind, target, value, { from });
+    return { rec, id: rec.logs.find((l) => l.event === "ProposalCreated").args.id };
+  };
+
+  describe("configuration", () => {
+    it("needs quorum and threshold together, each at most 100 %", async () => {
+      const cfg = { contribution: fee, maxParticipants: 3 };
+      for (const [quorumBps, thresholdBps] of [[5000, 0], [0, 5000], [10001, 5000]]) {
+        await expectRevert(
+          createGroup(factory, { ...cfg, quorumBps, thresholdBps }, alice),
+          "bad governance"
+        );
+      }
+    });
+
+    it("is off unless configured", async () => {
+      const { group } = await govGroup({ quorumBps: 0, thresholdBps: 0 });
+      await expectRevert(propose(group, PROPOSAL.Dissolve), "ROSCA: governance off");
+    });
+  });
+
+  describe("proposing", () => {
+    it("is open to members in good standing while the group runs", async () => {
+      const { group: open } = await govGroup({ max: 5 });
+      await expectRevert(propose(open, PROPOSAL.Dissolve), "ROSCA: not running");
+
+      const { group } = await govGroup();
+      await expectRevert(propose(group, PROPOSAL.Dissolve, NOBODY, 0, eve), "ROSCA: not in group");
+      await expectRevert(propose(group, PROPOSAL.Expel, alice), "ROSCA: cannot expel");
+      await expectRevert(propose(group, PROPOSAL.Expel, eve), "ROSCA: cannot expel");
+      await expectRevert(propose(group, PROPOSAL.Dissolve, bob), "ROSCA: no target");
+      await expectRevert(propose(group, PROPOSAL.Dissolve, NOBODY, 1), "ROSCA: no value");
+      await expectRevert(propose(group, PROPOSAL.SetInterval), "ROSCA: bad interval");
+
+      const { rec, id } = await propose(group, PROPOSAL.Expel, dan);
+      expectEvent(rec, "ProposalCreated", {
+        id, proposer: alice, kind: toBN(PROPOSAL.Expel), target: dan,
+      });
+      const p = await group.getProposal(id);
+      assert.equal(p.electorate, "3");                  // Dan does not vote on himself
+      assert.deepEqual((await group.openProposals()).map(String), [String(id)]);
+    });
+  });
+
+  describe("voting", () => {
+    it("expels on the deciding vote and refunds this cycle's payment", async () => {
+      const { group } = await govGroup();
+      await playCycle(group);                                       // cycle 0 → Alice
+      await pay(group, dan, fee);
+
+      const { id } = await propose(group, PROPOSAL.Expel, dan);
+      await expectRevert(group.vote(id, true, { from: dan }), "ROSCA: cannot vote");
+      await group.vote(id, true, { from: alice });              // 1/3 – not yet certain
+      await expectRevert(group.vote(id, true, { from: alice }), "ROSCA: already voted");
+
+      const rec = await group.vote(id, true, { from: bob });    // 2/3 ≥ 60 % of everyone
+      expectEvent(rec, "ProposalExecuted", { id });
+      expectEvent(rec, "MemberVotedOut", { member: dan, cycle: toBN(1), paidOut: false });
+      assert.equal(await group.hasVoted(id, bob), true);
+      assert.deepEqual(await group.openProposals(), []);
+      await expectRevert(group.vote(id, false, { from: carol }), "ROSCA: proposal closed");
+
+      /* Dan gets his payment back; the game goes on with three */
+      assert((await group.withdrawable(dan)).eq(toBN(fee)));
+      assert((await group.contributedCount()).isZero());
+      assert((await group.payoutSize()).eq(toBN(ETH(3))));
+      await expectRevert(pay(group, dan, fee), "ROSCA: user expelled");
+
+      await playCycle(group, [alice, bob, carol]);              // → Bob
+      await playCycle(group, [alice, bob, carol]);              // → Carol
+      assert.equal(await group.finished(), true);
+      assert((await group.withdrawable(carol)).eq(toBN(ETH(3))));
+    });
+
+    it("closes after the deadline on the votes cast", async () => {
+      const { group } = await govGroup({ thresholdBps: 5000 });
+      const { id } = await propose(group, PROPOSAL.SetInterval, NOBODY, 500);
+      await group.vote(id, true, { from: alice });
+      await group.vote(id, false, { from: bob });               // 1 of 2 – not certain yet
+      await expectRevert(group.closeProposal(id), "ROSCA: voting open");
+
+      await time.increase(INTERVAL);
+      await expectRevert(group.vote(id, true, { from: carol }), "ROSCA: voting over");
+      const rec = await group.closeProposal(id, { from: eve });
+      expectEvent(rec, "ProposalExecuted", { id });
+      expectEvent(rec, "IntervalChanged", { oldInterval: toBN(INTERVAL), newInterval: toBN(500) });
+      await expectRevert(group.closeProposal(id), "ROSCA: proposal closed");
+
+      /* the running cycle keeps its time, the next one uses the new interval */
+      const tx = await playCycle(group);
+      const { timestamp } = await web3.eth.getBlock(tx.receipt.blockNumber);
+      assert((await group.nextPayoutTime()).eq(toBN(timestamp + 500)));
+    });
+
+    it("rejects a proposal short of quorum or threshold", async () => {
+      const { group } = await govGroup();
+      const { id: quiet } = await propose(group, PROPOSAL.Dissolve);
+      await group.vote(quiet, true, { from: alice });           // 1 of 4 voted
+
+      const { id: split } = await propose(group, PROPOSAL.Dissolve, NOBODY, 0, bob);
+      await group.vote(split, true, { from: alice });
+      await group.vote(split, false, { from: bob });            // 50 % < 60 %
+
+      await time.increase(INTERVAL);
+      for (const id of [quiet, split]) {
+        expectEvent(await group.closeProposal(id), "ProposalRejected", { id });
+      }
+      assert.equal(await group.finished(), false);
+    });
+  });
+
+  describe("execution", () => {
+    it("dissolves and settles everyone's net position", async () => {
+      const { group } = await govGroup({ collateral: true });
+      await playCycle(group);                                       // cycle 0 → Alice
+      for (const u of [bob, carol]) await pay(group, u, fee);
+
+      const { id } = await propose(group, PROPOSAL.Dissolve, NOBODY, 0, carol);
+      for (const u of [alice, bob]) await group.vote(id, true, { from: u });
+      const rec = await group.vote(id, true, { from: carol });  // 3/4 ≥ 60 %
+      expectEvent(rec, "GroupDissolved", { by: carol, held: ETH(18) });
+      expectEvent(rec, "GroupFinished");
+      assert.equal(await group.dissolved(), true);
+
+      /* 4 ETH stake each; Alice drew her 4 ETH pot after paying in 1 */
+      const owed = { [alice]: 1, [bob]: 6, [carol]: 6, [dan]: 5 };
+      for (const u of roster) {
+        expectEvent(rec, "SettlementCredited", { member: u, amount: ETH(owed[u]) });
+        await group.withdraw({ from: u });
+      }
+      assert.equal(await web3.eth.getBalance(group.address), "0");
+    });
+
+    it("expels a bonded member exactly like a defaulter", async () => {
+      const { group } = await govGroup({ collateral: true });
+      const { id } = await propose(group, PROPOSAL.Expel, bob);
+      await group.vote(id, true, { from: alice });
+      const rec = await group.vote(id, true, { from: carol });  // 2 of 3 ≥ 60 %
+      expectEvent(rec, "MemberExpelled", { member: bob, cycle: toBN(0), paidOut: false });
+
+      /* cycle 0 → Alice, Bob covered from his stake; cycle 1 his pot is forfeited */
+      const tx0 = await playCycle(group, [alice, carol, dan]);
+      expectEvent(tx0, "CollateralUsed", { debtor: bob, share: ETH(1) });
+      const tx1 = await playCycle(group, [alice, carol, dan]);
+      expectEvent(tx1, "PotForfeited", { member: bob, cycle: toBN(1) });
+    });
+
+    it("voids another member's bid the smaller pot cannot cover", async () => {
+      const { group } = await govGroup({ payoutMode: MODE.OpenBid, bidWindow: 50 });
+      for (const u of roster) await pay(group, u, fee);
+      await time.increase(60);                                      // bid window
+      await group.placeBid(ETH(3.9), { from: carol });              // of a 4 ETH pot
+
+      const { id } = await propose(group, PROPOSAL.Expel, dan);
+      await group.vote(id, true, { from: alice });
+      await group.vote(id, true, { from: bob });                // pot shrinks to 3
+      assert.equal(await group.bestBidder(), NOBODY);
+
+      await time.increase(50);
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "AuctionSettled", { winner: alice, winningBid: ETH(3) });
+      expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ *  test/rosca.grace.test.js
+ *
+ *  Grace period: after the payout time, late payments are still accepted
+ *  for a fee that on-time payers share; nobody is expelled (and nothing is
+ *  blocked for good) until the window has closed.
+ */
+const {
+  ETH, toBN,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  pay,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – grace period & late fees", (accounts) => {
+  const [alice, bob, carol] = accounts;
+  const roster   = [alice, bob, carol];
+  const fee      = ETH(1);
+  const lateFee  = ETH(0.1);
+  const INTERVAL = 100;
+  const GRACE    = 300;
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  const graceGroup = (opts = {}) =>
+    spawnGroup(factory, roster, {
+      contribution: fee, interval: INTERVAL, gracePeriod: GRACE, lateFee, ...opts,
+    });
+
+  it("charges the late fee and shares it with on-time payers", async () => {
+    const { group } = await graceGroup({ collateral: true });
+    await pay(group, alice, fee);
+    await pay(group, bob, fee);
+    assert.equal(await group.isLate(), false);
+
+    await time.increase(INTERVAL + 10);
+    assert.equal(await group.isLate(), true);
+    assert.equal((await group.contributionDue()).toString(), ETH(1.1));
+    await expectRevert(pay(group, carol, fee), "ROSCA: wrong amount");
+
+    const rec = await pay(group, carol, ETH(1.1));
+    expectEvent(rec, "LateContribution", { who: carol, cycle: toBN(0), fee: lateFee });
+    expectEvent(rec, "Contributed", { who: carol, amount: fee });
+    assert((await group.lateFeesPending()).eq(toBN(lateFee)));
+
+    /* everyone paid – no need to wait for the window to close */
+    const tx = await group.triggerPayout({ from: bob });
+    expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+    expectEvent(tx, "LateFeeShared", { member: alice, amount: ETH(0.05) });
+    expectEvent(tx, "LateFeeShared", { member: bob,   amount: ETH(0.05) });
+    expectEvent.notEmitted(tx, "MemberExpelled");
+
+    assert((await group.withdrawable(alice)).eq(toBN(ETH(3.05))));
+    assert((await group.withdrawable(bob)).eq(toBN(ETH(0.05))));
+    assert((await group.withdrawable(carol)).isZero());
+    assert((await group.lateFeesPending()).isZero());
+  });
+
+  it("expels a defaulter only once the grace window has closed", async () => {
+    const { group } = await graceGroup({ collateral: true });
+    await pay(group, alice, fee);
+    await pay(group, bob, fee);
+
+    await time.increase(INTERVAL + 10);
+    await expectRevert(group.triggerPayout({ from: alice }), "ROSCA: grace period");
+    assert.equal((await group.memberInfo(carol)).expelled, false);
+
+    await time.increase(GRACE);
+    const tx = await group.triggerPayout({ from: alice });
+    expectEvent(tx, "MemberExpelled", { member: carol, cycle: toBN(0) });
+    expectEvent(tx, "CollateralUsed", { debtor: carol, share: fee });
+  });
+
+  it("expelled members do not hold later cycles in the grace window", async () => {
+    const { group } = await graceGroup({ collateral: true });
+    await pay(group, alice, fee);
+    await pay(group, bob, fee);
+    await time.increase(INTERVAL + GRACE + 10);
+    await group.triggerPayout({ from: alice });                // Carol expelled
+
+    await pay(group, alice, fee);
+    await pay(group, bob, fee);
+    await time.increase(INTERVAL + 10);
+    await group.triggerPayout({ from: alice });                // no wait for Carol
+    assert((await group.currentCycle()).eqn(2));
+  });
+
+  it("without collateral the payout waits, then still needs everyone", async () => {
+    const { group } = await graceGroup();
+    await pay(group, alice, fee);
+    await pay(group, bob, fee);
+
+    await time.increase(INTERVAL + 10);
+    await expectRevert(group.triggerPayout({ from: alice }), "ROSCA: grace period");
+    await time.increase(GRACE);
+    await expectRevert(group.triggerPayout({ from: alice }), "ROSCA: unpaid member");
+
+    /* a very late payment is still welcome until somebody settles the cycle */
+    await pay(group, carol, ETH(1.1));
+    await group.triggerPayout({ from: alice });
+  });
+
+  it("refunds the fees when nobody paid on time", async () => {
+    const { group } = await graceGroup();
+    await time.increase(INTERVAL + 10);
+    for (const u of roster) await pay(group, u, ETH(1.1));
+
+    const tx = await group.triggerPayout({ from: alice });
+    expectEvent.notEmitted(tx, "LateFeeShared");
+    assert((await group.withdrawable(alice)).eq(toBN(ETH(3.1))));   // pot + own fee
+    assert((await group.withdrawable(bob)).eq(toBN(lateFee)));
+    assert.equal(await web3.eth.getBalance(group.address), ETH(3.3));
+  });
+
+  it("rejects a late fee without a grace window", async () => {
+    await expectRevert(
+      createGroup(factory, { maxParticipants: 3, lateFee }, alice),
+      "late fee without grace"
+    );
+  });
+});
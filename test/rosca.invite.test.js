@@ -0,0 +1,102 @@
+/**
+ *  test/rosca.invite.test.js
+ *
+ *  Invite-only groups: Merkle allowlists and EIP-712 invite vouchers.
+ */
+const {
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  merkleTree, signInvite,
+} = require("./helpers");
+
+const { expectRevert, time, constants } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – invite-only groups", (accounts) => {
+  const [alice, bob, carol, dan, mallory] = accounts;
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  /** create an empty private group (nobody joined yet) */
+  const privateGroup = async ({ root = constants.ZERO_BYTES32, signer = constants.ZERO_ADDRESS }) => {
+    const { group } = await createGroup(
+      factory, { maxParticipants: 3, allowlistRoot: root, inviteSigner: signer }, alice
+    );
+    return group;
+  };
+
+  it("public groups stay open to anyone", async () => {
+    const { group } = await spawnGroup(factory, [alice, bob]);
+    assert.equal(await group.isInviteOnly(), false);
+    assert.equal(await group.started(), true);
+  });
+
+  describe("Merkle allowlist", () => {
+    const tree = () => merkleTree([alice, bob, carol, dan]);
+    let group;
+    beforeEach(async () => (group = await privateGroup({ root: tree().root })));
+
+    it("admits allowlisted members with a valid proof", async () => {
+      assert.equal(await group.isInviteOnly(), true);
+      assert.equal(await group.allowlistRoot(), tree().root);
+
+      for (const m of [bob, dan, alice]) {
+        await group.joinWithProof(0, 0, tree().proof(m), { from: m });
+      }
+      assert.equal(await group.started(), true);
+    });
+
+    it("rejects plain join, strangers and borrowed proofs", async () => {
+      await expectRevert(group.join(0, 0, { from: bob }), "ROSCA: invite only");
+      await expectRevert(
+        group.joinWithProof(0, 0, tree().proof(bob), { from: mallory }),
+        "ROSCA: not allowlisted"
+      );
+      await expectRevert(
+        group.joinWithInvite(0, 0, 0, "0x", { from: bob }),
+        "ROSCA: invite expired"
+      );
+    });
+  });
+
+  describe("EIP-712 invites", () => {
+    let group, deadline;
+    beforeEach(async () => {
+      group    = await privateGroup({ signer: alice });
+      deadline = (await time.latest()).addn(3600);
+    });
+
+    it("accepts a voucher signed by the invite signer", async () => {
+      const sig = await signInvite(group.address, alice, carol, deadline);
+      await group.joinWithInvite(0, 0, deadline, sig, { from: carol });
+      assert.equal(await group.isParticipant(carol), true);
+    });
+
+    it("voucher is bound to invitee, signer, group and deadline", async () => {
+      const sig = await signInvite(group.address, alice, carol, deadline);
+      await expectRevert(group.joinWithInvite(0, 0, deadline, sig, { from: mallory }), "ROSCA: bad invite");
+      await expectRevert(group.joinWithInvite(0, 0, deadline.addn(1), sig, { from: carol }), "ROSCA: bad invite");
+
+      const forged = await signInvite(group.address, mallory, mallory, deadline);
+      await expectRevert(group.joinWithInvite(0, 0, deadline, forged, { from: mallory }), "ROSCA: bad invite");
+
+      const other = await privateGroup({ signer: alice });
+      await expectRevert(other.joinWithInvite(0, 0, deadline, sig, { from: carol }), "ROSCA: bad invite");
+
+      await expectRevert(group.joinWithProof(0, 0, [], { from: carol }), "ROSCA: not allowlisted");
+    });
+
+    it("expired vouchers are refused", async () => {
+      const sig = await signInvite(group.address, alice, carol, deadline);
+      await time.increase(3601);
+      await expectRevert(group.joinWithInvite(0, 0, deadline, sig, { from: carol }), "ROSCA: invite expired");
+    });
+
+    it("one voucher cannot be used to join twice", async () => {
+      const sig = await signInvite(group.address, alice, carol, deadline);
+      await group.joinWithInvite(0, 0, deadline, sig, { from: carol });
+      await expectRevert(group.joinWithInvite(0, 0, deadline, sig, { from: carol }), "ROSCA: already joined");
+    });
+  });
+});
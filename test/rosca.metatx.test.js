@@ -0,0 +1,169 @@
+/**
+ *  test/rosca.metatx.test.js
+ *
+ *  Gasless calls: members sign EIP-2771 requests and a relayer submits
+ *  them through the trusted forwarder, paying the gas.  Joining,
+ *  contributing, payouts, refunds and withdrawals – what the group's
+ *  extension and governance modules serve too, and creating a group at
+ *  the factory – act for the signer, who never spends any ETH.
+ *  Runs in ERC-20 mode: only the token approval costs the member gas.
+ */
+const {
+  toBN, PROPOSAL,
+  deployFactory,
+  groupConfig, groupMetadata,
+  createGroup,
+  groupContract,
+  payToken, later,
+  forwardRequest,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, constants } = require("@openzeppelin/test-helpers");
+const MockERC20      = artifacts.require("MockERC20");
+const ROSCAForwarder = artifacts.require("ROSCAForwarder");
+
+contract("ROSCA – meta-transactions", (accounts) => {
+  const [alice, bob, dora, relayer, eve] = accounts;
+  const fee   = toBN(100);                      // pot = 300
+  const stake = fee.muln(3);
+  let forwarder, factory, token;
+
+  before(async () => {
+    forwarder = await ROSCAForwarder.new();
+    ({ factory } = await deployFactory(forwarder.address));
+  });
+
+  beforeEach(async () => {
+    token = await MockERC20.new();
+    for (const u of [alice, bob, dora]) await token.mint(u, 10000);
+  });
+
+  /** `from` signs `method(...args)` on `target`; the relayer pays for it */
+  const relay = async (target, from, method, ...args) => {
+    const data = target.contract.methods[method](...args).encodeABI();
+    const req  = await forwardRequest(forwarder, from, target.address, data);
+    return forwarder.execute(req, { from: relayer });
+  };
+
+  const ethOf = (u) => web3.eth.getBalance(u).then(toBN);
+
+  it("trusts the forwarder it was deployed with", async () => {
+    const { group } = await createGroup(factory, { contribution: fee }, alice);
+    assert.equal(await group.trustedForwarder(), forwarder.address);
+    assert.equal(await factory.trustedForwarder(), forwarder.address);
+
+    const { factory: plain } = await deployFactory();
+    assert.equal(await plain.trustedForwarder(), constants.ZERO_ADDRESS);
+  });
+
+  it("runs a member through a whole group without spending their ETH", async () => {
+    const cfg = { contribution: fee, maxParticipants: 3, useCollateral: true, token: token.address };
+    const { group } = await createGroup(factory, cfg, alice);
+    await token.approve(group.address, stake.add(fee.muln(3)), { from: dora });   // the one paid step
+    const before = await ethOf(dora);
+
+    let tx = await relay(group, dora, "join", 0, 0);
+    await expectEvent.inTransaction(tx.tx, group, "ParticipantJoined", { who: dora });
+    for (const u of [alice, bob]) {
+      await token.approve(group.address, stake, { from: u });
+      await group.join(0, 0, { from: u });
+    }
+    assert.equal(await group.payoutOrder(0), dora);
+
+    for (let r = 0; r < 3; r++) {
+      tx = await relay(group, dora, "contribute");
+      await expectEvent.inTransaction(tx.tx, group, "Contributed", { who: dora });
+      for (const u of [alice, bob]) await payToken(group, token, u, fee);
+      await later();
+      tx = await relay(group, dora, "triggerPayout");
+      if (r === 0) {
+        await expectEvent.inTransaction(tx.tx, group, "Payout", { recipient: dora });
+      }
+    }
+    assert.equal(await group.finished(), true);
+
+    tx = await relay(group, dora, "refundCollateral");
+    await expectEvent.inTransaction(tx.tx, group, "CollateralRefunded", {
+      member: dora, amount: stake,
+    });
+    tx = await relay(group, dora, "withdraw");
+    await expectEvent.inTransaction(tx.tx, group, "Withdrawn", {
+      member: dora, amount: stake.muln(2),
+    });
+
+    assert((await ethOf(dora)).eq(before), "relayer paid every gas fee");
+    assert((await token.balanceOf(dora)).eqn(10000), "paid 3 × 100 + stake, got pot + stake");
+  });
+
+  it("creates a group for the signer at the factory", async () => {
+    const cfg  = groupConfig({ contribution: fee, maxParticipants: 3 });
+    const data = factory.contract.methods
+      .createGroupAndJoin(0, cfg, alice, groupMetadata(), 0, 0).encodeABI();
+    const tx   = await forwarder.execute(
+      await forwardRequest(forwarder, dora, factory.address, data), { from: relayer }
+    );
+
+    const { args } = (await factory.getPastEvents("GroupCreated", {
+      fromBlock: tx.receipt.blockNumber, toBlock: tx.receipt.blockNumber,
+    }))[0];
+    assert.equal(args.creator, dora);
+    assert.deepEqual(await factory.groupsOf(dora), [args.group]);
+    assert.deepEqual(await (await groupContract().at(args.group)).getParticipants(), [dora]);
+  });
+
+  it("acts for the signer in calls the core forwards to its modules", async () => {
+    /* extension: commit to a seed (bond in tokens), then leave before the roster fills */
+    let { group } = await createGroup(factory, {
+      contribution: fee, maxParticipants: 3, revealWindow: 100, token: token.address,
+    }, alice);
+    await token.approve(group.address, fee, { from: dora });
+    await relay(group, dora, "join", 0, 0);
+    const commitment = web3.utils.keccak256(
+      web3.eth.abi.encodeParameters(["address", "bytes32"], [dora, web3.utils.randomHex(32)])
+    );
+    let tx = await relay(group, dora, "commitSeed", commitment);
+    await expectEvent.inTransaction(tx.tx, group, "SeedCommitted", { member: dora });
+    assert.equal(await group.seedCommitment(dora), commitment);
+
+    tx = await relay(group, dora, "leave");
+    await expectEvent.inTransaction(tx.tx, group, "ParticipantLeft", { who: dora, refund: fee });
+    assert.equal(await group.isParticipant(dora), false);
+    assert((await group.seedCommits()).eqn(0));
+
+    /* governance: propose and carry a new interval */
+    ({ group } = await createGroup(factory, {
+      contribution: fee, interval: 100, quorumBps: 5000, thresholdBps: 5000,
+    }, alice));
+    await group.join(0, 0, { from: alice });
+    await relay(group, dora, "join", 0, 0);
+
+    tx = await relay(group, dora, "propose", PROPOSAL.SetInterval, constants.ZERO_ADDRESS, 5);
+    await expectEvent.inTransaction(tx.tx, group, "ProposalCreated", { proposer: dora });
+    tx = await relay(group, dora, "vote", 1, true);
+    await expectEvent.inTransaction(tx.tx, group, "ProposalVoted", { voter: dora });
+    await expectEvent.inTransaction(tx.tx, group, "ProposalExecuted", { id: "1" });
+    assert.equal(await group.hasVoted(1, dora), true);
+    assert.equal(await group.hasVoted(1, forwarder.address), false);
+  });
+
+  it("ignores a sender appended by anyone but the forwarder", async () => {
+    const { group } = await createGroup(factory, { contribution: fee, maxParticipants: 3 }, alice);
+    await group.join(0, 0, { from: alice });
+
+    const spoof = group.contract.methods.join(0, 0).encodeABI() + alice.slice(2).toLowerCase();
+    await web3.eth.sendTransaction({ from: eve, to: group.address, data: spoof, gas: 1e6 });
+    assert.equal(await group.isParticipant(eve), true);      // joined as eve, not alice
+  });
+
+  it("refuses replayed or tampered requests", async () => {
+    const { group } = await createGroup(factory, { contribution: fee, maxParticipants: 3 }, alice);
+    const data = group.contract.methods.join(0, 0).encodeABI();
+    const req  = await forwardRequest(forwarder, dora, group.address, data);
+    await forwarder.execute(req, { from: relayer });
+    await expectRevert.unspecified(forwarder.execute(req, { from: relayer }));
+
+    const forged = await forwardRequest(forwarder, bob, group.address, data);
+    await expectRevert.unspecified(forwarder.execute({ ...forged, from: eve }, { from: relayer }));
+    assert.equal(await group.isParticipant(eve), false);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ *  test/rosca.prepaid.test.js
+ *
+ *  Prepaid contributions: members deposit several cycles at once and each
+ *  payout pays what they did not pay by hand from that balance, before
+ *  anyone is treated as a defaulter.  The unused balance can be topped up
+ *  or taken back at any time, and is returned on leaving or dissolution.
+ */
+const {
+  ETH, toBN, REMEDY,
+  deployFactory,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – prepaid contributions", (accounts) => {
+  const [alice, bob, carol, dan, eve] = accounts;
+  const roster = [alice, bob, carol];           // payout order == join order
+  const fee    = ETH(1);
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  const prepay = (group, from, cycles) =>
+    group.prepay(cycles, { from, value: toBN(fee).muln(cycles) });
+
+  /** everyone but `skip` pays by hand, then the payout runs */
+  const playCycle = async (group, skip = [], members = roster) => {
+    for (const u of members) if (!skip.includes(u)) await pay(group, u, fee);
+    await later();
+    return group.triggerPayout({ from: bob });
+  };
+
+  describe("deposits", () => {
+    it("are topped up and taken back while unused", async () => {
+      const { group } = await spawnGroup(factory, roster, { max: 4 });
+      const rec = await prepay(group, carol, 1);
+      expectEvent(rec, "Prepaid", { member: carol, amount: fee });
+      await prepay(group, carol, 2);
+      assert.equal(await group.prepaidCycles(carol), "3");
+
+      await expectRevert(group.prepay(0, { from: carol }), "ROSCA: no cycles");
+      await expectRevert(group.prepay(1, { from: carol, value: 1 }), "ROSCA: wrong amount");
+      await expectRevert(prepay(group, eve, 1), "ROSCA: not in group");
+
+      const out = await group.refundPrepaid(ETH(2), { from: carol });
+      expectEvent(out, "PrepaidRefunded", { member: carol, amount: ETH(2) });
+      assert((await group.withdrawable(carol)).eq(toBN(ETH(2))));
+      assert((await group.prepaid(carol)).eq(toBN(fee)));
+      await expectRevert(group.refundPrepaid(ETH(2), { from: carol }), "ROSCA: not prepaid");
+      await expectRevert(group.refundPrepaid(0, { from: carol }), "ROSCA: not prepaid");
+    });
+
+    it("come back in full to a member who leaves before the start", async () => {
+      const { group } = await spawnGroup(factory, roster, { max: 4 });
+      await prepay(group, carol, 2);
+      const rec = await group.leave({ from: carol });
+      expectEvent(rec, "ParticipantLeft", { who: carol, refund: ETH(2) });
+      assert((await group.prepaid(carol)).isZero());
+    });
+  });
+
+  describe("payouts", () => {
+    it("pay a member's share every cycle without a transaction", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      await prepay(group, carol, 3);
+
+      for (let r = 0; r < 3; r++) {
+        const tx = await playCycle(group, [carol]);
+        expectEvent(tx, "PrepaidUsed", { member: carol, cycle: toBN(r), amount: fee });
+        expectEvent(tx, "Payout", { recipient: roster[r], amount: ETH(3) });
+      }
+      assert.equal(await group.finished(), true);
+      assert((await group.prepaid(carol)).isZero());
+    });
+
+    it("leave a member who paid by hand untouched", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      await prepay(group, carol, 1);
+      const tx = await playCycle(group);
+      expectEvent.notEmitted(tx, "PrepaidUsed");
+      assert.equal(await group.prepaidCycles(carol), "1");
+    });
+
+    it("do not wait out the grace period and charge no late fee", async () => {
+      const { group } = await spawnGroup(factory, roster, {
+        interval: 100, gracePeriod: 1000, lateFee: ETH(0.5),
+      });
+      await prepay(group, carol, 1);
+      for (const u of [alice, bob]) await pay(group, u, fee);
+      await time.increase(105);
+
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "PrepaidUsed", { member: carol });
+      expectEvent.notEmitted(tx, "LateContribution");
+      expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+    });
+
+    it("are used before collateral; an empty balance still defaults", async () => {
+      const { group } = await spawnGroup(factory, roster, { collateral: true });
+      await prepay(group, carol, 1);
+
+      const tx0 = await playCycle(group, [carol]);
+      expectEvent(tx0, "PrepaidUsed", { member: carol, cycle: toBN(0) });
+      expectEvent.notEmitted(tx0, "MemberExpelled");
+
+      const tx1 = await playCycle(group, [carol]);
+      expectEvent(tx1, "MemberExpelled", { member: carol, cycle: toBN(1) });
+      expectEvent(tx1, "CollateralUsed", { debtor: carol, share: fee });
+    });
+
+    it("keep a prepaid member when the others drop defaulters", async () => {
+      const members = [...roster, dan];
+      const { group } = await spawnGroup(factory, members, { interval: 100 });
+      await prepay(group, carol, 2);
+      for (const u of [alice, bob]) await pay(group, u, fee);
+      await time.increase(105);
+      await expectRevert(group.triggerPayout({ from: bob }), "ROSCA: unpaid member");
+
+      await time.increase(105);
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: alice });
+      const rec = await group.voteRemedy(REMEDY.DropDefaulters, { from: bob });
+      expectEvent(rec, "PrepaidUsed", { member: carol, cycle: toBN(0) });
+      expectEvent(rec, "MemberVotedOut", { member: dan });
+      assert.equal(await group.votedOut(carol), false);
+
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+    });
+  });
+
+  it("is refunded when the group is dissolved", async () => {
+    const { group } = await spawnGroup(factory, roster);
+    await prepay(group, carol, 2);
+    await playCycle(group, [carol]);
+
+    await group.pause({ from: alice });
+    await time.increase((await group.DISSOLVE_DELAY()).toNumber());
+    const rec = await group.dissolve({ from: bob });
+    expectEvent(rec, "PrepaidRefunded", { member: carol, amount: fee });
+    assert((await group.prepaid(carol)).isZero());
+
+    for (const u of roster) {
+      if (!(await group.withdrawable(u)).isZero()) await group.withdraw({ from: u });
+    }
+    assert.equal(await web3.eth.getBalance(group.address), "0");
+  });
+});
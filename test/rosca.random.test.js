@@ -0,0 +1,202 @@
+/**
+ *  test/rosca.random.test.js
+ *
+ *  Random order: members without a payout wish are not placed in join
+ *  order but by a draw.  The seed is the XOR of secrets members commit to
+ *  while enrolling and reveal once the roster is full; anyone can recompute
+ *  the order from the emitted seed.  Committing posts a bond of one
+ *  contribution that only a reveal gets back.
+ */
+const {
+  ETH, toBN, MODE,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – random payout order", (accounts) => {
+  const [alice, bob, carol, dan] = accounts;
+  const roster = [alice, bob, carol, dan];
+  const WINDOW = 100;
+  const BOND   = ETH(1);                      // one contribution
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  const secretOf   = (who) => web3.utils.soliditySha3({ t: "string", v: `secret of ${who}` });
+  const commitment = (who, secret) =>
+    web3.utils.keccak256(web3.eth.abi.encodeParameters(["address", "bytes32"], [who, secret]));
+  const xor = (hexes) =>
+    "0x" + hexes.reduce((acc, h) => acc.xor(toBN(h)), toBN(0)).toString(16).padStart(64, "0");
+
+  /** recompute the draw: revealed members first, each group by keccak(seed, member) */
+  const expectedOrder = (seed, members, revealed) => {
+    const key = (m) => toBN(web3.utils.keccak256(
+      web3.eth.abi.encodeParameters(["bytes32", "address"], [seed, m])
+    ));
+    const byKey = (a, b) => key(a).cmp(key(b));
+    return [
+      ...members.filter((m) => revealed.includes(m)).sort(byKey),
+      ...members.filter((m) => !revealed.includes(m)).sort(byKey),
+    ];
+  };
+
+  const payoutOrder = (group) => Promise.all(roster.map((_, i) => group.payoutOrder(i)));
+
+  /** open group of four; `committers` commit before Dan fills the roster */
+  const randomGroup = async (committers, wishes = []) => {
+    const { group } = await spawnGroup(factory, [alice, bob, carol], {
+      max: 4, revealWindow: WINDOW, wishes,
+    });
+    for (const m of committers) {
+      if (m !== dan) await group.commitSeed(commitment(m, secretOf(m)), { from: m, value: BOND });
+    }
+    const rec = await group.join(0, 0, { from: dan });
+    return { group, rec };
+  };
+
+  it("draws the order from every revealed secret", async () => {
+    const { group, rec } = await randomGroup([alice, bob, carol]);
+    expectEvent(rec, "RevealOpened");
+    assert.equal(await group.started(), false);
+    assert((await group.seedCommits()).eqn(3));
+
+    await group.revealSeed(secretOf(alice), { from: alice });
+    await group.revealSeed(secretOf(bob), { from: bob });
+    const last = await group.revealSeed(secretOf(carol), { from: carol });
+
+    const seed = xor([alice, bob, carol].map(secretOf));
+    expectEvent(last, "SeedRevealed", { member: carol, secret: secretOf(carol) });
+    expectEvent(last, "OrderDrawn", { seed });
+    expectEvent(last, "SeedBondReturned", { member: carol, amount: BOND });
+    expectEvent(last, "GroupStarted");
+    assert.equal(await group.seed(), seed);
+    assert((await group.withdrawable(alice)).eq(toBN(BOND)));
+    assert.deepEqual(await payoutOrder(group), expectedOrder(seed, roster, [alice, bob, carol]));
+  });
+
+  it("puts members who did not reveal after those who did", async () => {
+    const { group } = await randomGroup([alice, bob, carol]);
+    await group.revealSeed(secretOf(bob), { from: bob });
+    await expectRevert(group.drawOrder(), "ROSCA: reveal open");
+
+    await time.increase(WINDOW + 1);
+    await expectRevert(group.revealSeed(secretOf(carol), { from: carol }), "ROSCA: reveal closed");
+    const rec = await group.drawOrder({ from: dan });
+    expectEvent(rec, "OrderDrawn", { seed: secretOf(bob) });
+
+    /* Alice and Carol withheld: their bonds go to Bob and Dan */
+    for (const m of [alice, carol]) expectEvent(rec, "SeedBondForfeited", { member: m, amount: BOND });
+    for (const m of [bob, dan]) expectEvent(rec, "SeedBondShared", { member: m, amount: BOND });
+    assert((await group.withdrawable(alice)).isZero());
+    assert((await group.withdrawable(bob)).eq(toBN(ETH(2))));           // own bond + share
+    assert((await group.withdrawable(dan)).eq(toBN(BOND)));
+
+    const order = await payoutOrder(group);
+    assert.equal(order[0], bob);
+    assert.deepEqual(order, expectedOrder(secretOf(bob), roster, [bob]));
+  });
+
+  it("still honours payout windows first", async () => {
+    const { group } = await randomGroup([alice], [0, 0, [1, 1]]);
+    await group.revealSeed(secretOf(alice), { from: alice });
+
+    const order = await payoutOrder(group);
+    assert.equal(order[0], carol);
+    assert.deepEqual(order.slice(1), expectedOrder(secretOf(alice), [alice, bob, dan], [alice]));
+  });
+
+  it("starts at once in join order when nobody committed", async () => {
+    const { group, rec } = await randomGroup([]);
+    expectEvent(rec, "GroupStarted");
+    expectEvent.notEmitted(rec, "RevealOpened");
+    expectEvent.notEmitted(rec, "OrderDrawn");
+    assert.deepEqual(await payoutOrder(group), roster);
+    assert.equal(await group.seed(), "0x" + "00".repeat(32));
+  });
+
+  it("keeps join order when nobody reveals and shares the withheld bond", async () => {
+    const { group } = await randomGroup([carol]);
+    await time.increase(WINDOW + 1);
+    const rec = await group.drawOrder();
+    expectEvent.notEmitted(rec, "OrderDrawn");
+    assert.deepEqual(await payoutOrder(group), roster);
+
+    const share = toBN(BOND).divn(3);
+    expectEvent(rec, "SeedBondForfeited", { member: carol, amount: BOND });
+    assert((await group.withdrawable(alice)).eq(share.addn(1)));          // dust to the first
+    assert((await group.withdrawable(bob)).eq(share));
+    assert((await group.withdrawable(carol)).isZero());
+  });
+
+  it("returns every bond when the group never starts", async () => {
+    const deadline = (await time.latest()).addn(WINDOW);
+    const { group } = await spawnGroup(factory, [alice, bob], {
+      max: 3, revealWindow: WINDOW, joinDeadline: deadline,
+    });
+    await group.commitSeed(commitment(alice, secretOf(alice)), { from: alice, value: BOND });
+    await time.increaseTo(deadline.addn(1));
+
+    const rec = await group.closeEnrollment();
+    expectEvent(rec, "GroupCancelled");
+    expectEvent(rec, "SeedBondReturned", { member: alice, amount: BOND });
+    assert((await group.withdrawable(alice)).eq(toBN(BOND)));
+    assert((await group.withdrawable(bob)).isZero());
+  });
+
+  it("guards commits and reveals", async () => {
+    const { group: fcfs } = await spawnGroup(factory, [alice], { max: 3 });
+    await expectRevert(fcfs.commitSeed(commitment(alice, secretOf(alice)), { from: alice }),
+                       "ROSCA: not random order");
+
+    const { group } = await spawnGroup(factory, [alice, bob], { max: 3, revealWindow: WINDOW });
+    await expectRevert(group.commitSeed(commitment(dan, secretOf(dan)), { from: dan }),
+                       "ROSCA: not in group");
+    await expectRevert(group.revealSeed(secretOf(alice), { from: alice }), "ROSCA: not reveal phase");
+    await expectRevert(group.commitSeed(commitment(alice, secretOf(alice)), { from: alice }),
+                       "ROSCA: bad bond");
+    await group.commitSeed(commitment(alice, "0x" + "11".repeat(32)), { from: alice, value: BOND });
+    await expectRevert(
+      group.commitSeed(commitment(alice, secretOf(alice)), { from: alice, value: BOND }),
+      "ROSCA: bond posted"
+    );
+    await group.commitSeed(commitment(alice, secretOf(alice)), { from: alice });   // replaced
+    assert((await group.seedCommits()).eqn(1));
+
+    await group.join(0, 0, { from: carol });
+    await expectRevert(group.commitSeed(commitment(bob, secretOf(bob)), { from: bob }),
+                       "ROSCA: enrollment over");
+    await expectRevert(group.leave({ from: bob }), "ROSCA: drawing order");
+    await expectRevert(group.revealSeed(secretOf(bob), { from: bob }), "ROSCA: no commitment");
+    await expectRevert(group.revealSeed("0x" + "11".repeat(32), { from: alice }), "ROSCA: bad reveal");
+
+    await group.revealSeed(secretOf(alice), { from: alice });
+    assert.equal(await group.started(), true);
+    await expectRevert(group.drawOrder(), "ROSCA: not reveal phase");
+  });
+
+  it("forgets the commitment of a member who leaves and refunds the bond", async () => {
+    const { group } = await spawnGroup(factory, [alice, bob], { max: 3, revealWindow: WINDOW });
+    await group.commitSeed(commitment(bob, secretOf(bob)), { from: bob, value: BOND });
+    const left = await group.leave({ from: bob });
+    expectEvent(left, "ParticipantLeft", { who: bob, refund: BOND });
+    assert((await group.seedCommits()).isZero());
+
+    await group.join(0, 0, { from: carol });
+    const rec = await group.join(0, 0, { from: dan });
+    expectEvent(rec, "GroupStarted");
+    expectEvent.notEmitted(rec, "RevealOpened");
+  });
+
+  it("is only available with a fixed schedule", async () => {
+    await expectRevert(
+      createGroup(factory, {
+        maxParticipants: 3, interval: 100, payoutMode: MODE.OpenBid, bidWindow: 50,
+        revealWindow: WINDOW,
+      }, alice),
+      "random order needs a schedule"
+    );
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ *  test/rosca.reputation.test.js
+ *
+ *  Reputation: factory-made groups report every expulsion for not paying
+ *  and, once finished, how many cycles each member in good standing saw
+ *  through and paid on time.  Only groups with a contribution and a pace
+ *  the factory owner deems real count, so sybils cannot farm a score with
+ *  1-wei, 1-second groups.  A new group may ask for a minimum score to
+ *  join – its creator, enrolled by the factory, excepted.
+ */
+const {
+  ETH, toBN, REMEDY,
+  deployFactory,
+  groupConfig, groupMetadata,
+  createGroup,
+  spawnGroup,
+  groupContract,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, constants } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – reputation", (accounts) => {
+  const [alice, bob, carol, dan, erin] = accounts;
+  const roster = [alice, bob, carol];
+  const fee    = ETH(1);
+  let factory;
+
+  /** groups of `fee` in ETH count at any pace unless a test says otherwise */
+  beforeEach(async () => {
+    ({ factory } = await deployFactory());
+    await factory.setReputationRules(0, 12);
+    await factory.setReputationMinContribution(constants.ZERO_ADDRESS, fee);
+  });
+
+  /** everyone but `skip` pays on time, then the payout runs */
+  const playCycle = async (group, skip = [], members = roster, wait = 3) => {
+    for (const u of members) if (!skip.includes(u)) await pay(group, u, fee);
+    await later(wait);
+    return group.triggerPayout({ from: bob });
+  };
+
+  const record = async (member) => {
+    const r = await factory.reputationOf(member);
+    return {
+      groups:    Number(r.groupsCompleted),
+      cycles:    Number(r.cyclesCompleted),
+      onTime:    Number(r.onTimeContributions),
+      expelled:  Number(r.expulsions),
+    };
+  };
+
+  describe("records", () => {
+    it("credit members who see a group through", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      let tx;
+      for (let r = 0; r < 3; r++) tx = await playCycle(group);
+
+      await expectEvent.inTransaction(tx.tx, factory, "ReputationRecorded", {
+        group: group.address, members: toBN(3), cycles: toBN(3),
+      });
+      for (const u of roster) {
+        assert.deepEqual(await record(u), { groups: 1, cycles: 3, onTime: 3, expelled: 0 });
+        assert.equal(await factory.reputationScore(u), "3");
+      }
+      assert.equal(await factory.reputationScore(dan), "0");
+    });
+
+    it("do not count a late payment as on time", async () => {
+      const { group } = await spawnGroup(factory, roster, {
+        interval: 100, gracePeriod: 1000, lateFee: ETH(0.5),
+      });
+      for (const u of [alice, bob]) await pay(group, u, fee);
+      await later(105);
+      await pay(group, carol, ETH(1.5));
+      await group.triggerPayout({ from: bob });
+      for (let r = 1; r < 3; r++) await playCycle(group, [], roster, 105);
+
+      assert.deepEqual(await record(carol), { groups: 1, cycles: 3, onTime: 2, expelled: 0 });
+      assert.deepEqual(await record(alice), { groups: 1, cycles: 3, onTime: 3, expelled: 0 });
+    });
+
+    it("count a collateral-covered default as an expulsion", async () => {
+      const { group } = await spawnGroup(factory, roster, { collateral: true });
+      const tx = await playCycle(group, [carol]);
+      expectEvent(tx, "MemberExpelled", { member: carol });
+      await expectEvent.inTransaction(tx.tx, factory, "ExpulsionRecorded", {
+        group: group.address, member: carol,
+      });
+      for (let r = 1; r < 3; r++) await playCycle(group, [carol]);
+      assert.equal(await group.finished(), true);
+
+      assert.deepEqual(await record(carol), { groups: 0, cycles: 0, onTime: 0, expelled: 1 });
+      assert.deepEqual(await record(alice), { groups: 1, cycles: 3, onTime: 3, expelled: 0 });
+    });
+
+    it("count a member dropped for not paying as an expulsion", async () => {
+      const members = [...roster, dan];
+      const { group } = await spawnGroup(factory, members, { interval: 100 });
+      for (const u of roster) await pay(group, u, fee);
+      await later(210);
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: alice });
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: bob });
+      assert.equal(await group.votedOut(dan), true);
+      assert.equal((await record(dan)).expelled, 1);
+    });
+
+    it("take an expulsion off the score", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      for (let r = 0; r < 3; r++) await playCycle(group);
+
+      const { group: next } = await spawnGroup(factory, roster, { collateral: true });
+      await playCycle(next, [bob]);
+      assert.equal(await factory.expulsionPenalty(), "12");
+      assert.equal(await factory.reputationScore(bob), "0");
+      assert.equal(await factory.reputationScore(alice), "3");
+
+      /* the owner may make an expulsion cheaper – for every score at once */
+      await expectRevert.unspecified(factory.setReputationRules(0, 2, { from: bob }));
+      const rec = await factory.setReputationRules(0, 2);
+      expectEvent(rec, "ReputationRulesUpdated", { minInterval: toBN(0), expulsionPenalty: toBN(2) });
+      assert.equal(await factory.reputationScore(bob), "1");
+    });
+
+    it("come only from groups of real size and pace", async () => {
+      const DAY = 86400;
+      await factory.setReputationRules(DAY, 12);
+      await expectRevert.unspecified(
+        factory.setReputationMinContribution(constants.ZERO_ADDRESS, fee, { from: bob })
+      );
+
+      /* three sybils farm 1-wei groups, a cycle a second: nothing counts */
+      const farm = [carol, dan, erin];
+      for (let g = 0; g < 3; g++) {
+        const { group } = await spawnGroup(factory, farm, { contribution: 1 });
+        let tx;
+        for (let r = 0; r < 3; r++) {
+          for (const u of farm) await pay(group, u, 1);
+          await later();
+          tx = await group.triggerPayout({ from: carol });
+        }
+        assert.equal(await group.finished(), true);
+        await expectEvent.notEmitted.inTransaction(tx.tx, factory, "ReputationRecorded");
+      }
+      assert.equal(await factory.reputationScore(carol), "0");
+      const { group: gated } = await createGroup(
+        factory, { contribution: fee, maxParticipants: 3, minReputation: 3 }, alice
+      );
+      await expectRevert(gated.join(0, 0, { from: carol }), "ROSCA: reputation too low");
+
+      /* full contributions at a cycle a second fall short of the pace too */
+      const { group: fast } = await spawnGroup(factory, roster);
+      for (let r = 0; r < 3; r++) await playCycle(fast);
+      assert.equal(await factory.reputationScore(alice), "0");
+
+      /* a daily group of full contributions counts */
+      const { group: daily } = await spawnGroup(factory, roster, { interval: DAY });
+      for (let r = 0; r < 3; r++) await playCycle(daily, [], roster, DAY);
+      assert.equal(await factory.reputationScore(alice), "3");
+    });
+
+    it("are written by the factory's groups only", async () => {
+      await expectRevert(factory.memberExpelled(bob, { from: bob }), "not a group");
+    });
+  });
+
+  describe("join gate", () => {
+    beforeEach(async () => {
+      const { group } = await spawnGroup(factory, [alice, bob]);
+      for (let r = 0; r < 2; r++) await playCycle(group, [], [alice, bob]);  // 2 points each
+    });
+
+    it("admits only members with the minimum score", async () => {
+      const { group } = await createGroup(
+        factory, { contribution: fee, maxParticipants: 3, minReputation: 2 }, alice
+      );
+      assert.equal((await group.getSnapshot()).config.minReputation, "2");
+      assert.equal(await group.minReputation(), "2");
+
+      await expectRevert(group.join(0, 0, { from: dan }), "ROSCA: reputation too low");
+      await group.join(0, 0, { from: alice });
+      await group.join(0, 0, { from: bob });
+
+      const { group: strict } = await createGroup(
+        factory, { contribution: fee, maxParticipants: 3, minReputation: 3 }, alice
+      );
+      await expectRevert(strict.join(0, 0, { from: bob }), "ROSCA: reputation too low");
+    });
+
+    it("lets the creator in through the factory all the same", async () => {
+      const cfg = groupConfig({ contribution: fee, maxParticipants: 3, minReputation: 5 });
+      const tx  = await factory.createGroupAndJoin(0, cfg, alice, groupMetadata(), 0, 0, { from: erin });
+      const addr = tx.logs.find((l) => l.event === "GroupCreated").args.group;
+      assert.deepEqual(await (await groupContract().at(addr)).getParticipants(), [erin]);
+    });
+  });
+});
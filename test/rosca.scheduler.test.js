@@ -1,16 +1,19 @@
 /**
  *  test/rosca.schedule.test.js
  *
- *  Validate v2.4 preference-aware payout ordering.
+ *  Validate v2.4 preference-aware payout ordering and the v2.14
+ *  earliest-and-latest payout windows.
  */
 const {
   deployFactory,
   spawnGroup,
-  ETH,
-  toBN,
+  toBN, MODE,
 } = require("./helpers");
 
-const { expectRevert } = require("@openzeppelin/test-helpers");
+const { expectRevert, expectEvent } = require("@openzeppelin/test-helpers");
+
+/** the first `n` payout slots */
+const order = (group, n) => Promise.all([...Array(n).keys()].map((i) => group.payoutOrder(i)));
 
 contract("ROSCA – payout-order scheduler", (accounts) => {
   const [alice, bob, carol, dan, erin] = accounts;
@@ -75,17 +78,93 @@ contract("ROSCA – payout-order scheduler", (accounts) => {
     );
   });
 
-  it("reverts if preference impossible (deadline = 1 but joins 3rd)", async () => {
-    /* Carol cannot be paid by cycle 1 if she joined last */
+  it("ignores members who left before start", async () => {
+    /* Carol asks for cycle 1, then leaves; Dan and Erin fill the roster */
     const { group } = await spawnGroup(
       factory,
       [alice, bob, carol],
-      { wishes: [0, 0, 10] }
+      { wishes: [0, 0, 1], max: 4 }
     );
+    await group.leave({ from: carol });
+    await group.join(0, 0, { from: dan });
+    await group.join(0, 0, { from: erin });
 
     assert.deepEqual(
-      [await group.payoutOrder(0), await group.payoutOrder(1), await group.payoutOrder(2)],
-      [alice, bob, carol]   // unchanged FCFS
+      [
+        await group.payoutOrder(0),
+        await group.payoutOrder(1),
+        await group.payoutOrder(2),
+        await group.payoutOrder(3),
+      ],
+      [alice, bob, dan, erin]
     );
   });
+
+  it("reports a deadline it cannot meet and still schedules everyone", async () => {
+    /* three members all want cycle 1 – only Alice (joined first) gets it */
+    const { group } = await spawnGroup(factory, [alice, bob], { wishes: [1, 1], max: 3 });
+    const rec = await group.join(0, 1, { from: carol });
+
+    assert.deepEqual(await order(group, 3), [alice, bob, carol]);
+    expectEvent(rec, "PreferenceUnmet", {
+      member: bob, earliest: toBN(0), latest: toBN(1), assigned: toBN(2),
+    });
+    expectEvent(rec, "PreferenceUnmet", { member: carol, assigned: toBN(3) });
+    assert.equal(rec.logs.filter((l) => l.event === "PreferenceUnmet").length, 2);
+  });
+
+  describe("earliest-and-latest windows", () => {
+    it("meets every window whenever a feasible order exists", async () => {
+      /* Alice: exactly 4, Bob: 2–3, Carol: by 2, Dan: anytime */
+      const { group } = await spawnGroup(factory, [alice, bob, carol], {
+        wishes: [[4, 4], [2, 3], [0, 2]], max: 4,
+      });
+      const rec = await group.join(0, 0, { from: dan });
+
+      assert.deepEqual(await order(group, 4), [carol, bob, dan, alice]);
+      expectEvent.notEmitted(rec, "PreferenceUnmet");
+      assert.equal(await group.earliestDesiredCycle(alice), "4");
+    });
+
+    it("reports a payout earlier than wished", async () => {
+      const { group } = await spawnGroup(factory, [alice, bob], { wishes: [[3, 0], [3, 0]], max: 3 });
+      const rec = await group.join(3, 0, { from: carol });
+
+      assert.deepEqual(await order(group, 3), [alice, bob, carol]);
+      expectEvent(rec, "PreferenceUnmet", { member: alice, earliest: toBN(3), assigned: toBN(1) });
+      expectEvent(rec, "PreferenceUnmet", { member: bob, assigned: toBN(2) });
+    });
+
+    it("rejects an inverted window", async () => {
+      const { group } = await spawnGroup(factory, [alice], { max: 3 });
+      await expectRevert(group.join(3, 2, { from: bob }), "ROSCA: bad window");
+      await group.join(3, 0, { from: bob });                       // open-ended is fine
+    });
+
+    it("tells a prospective joiner whether their window can still be met", async () => {
+      const { group } = await spawnGroup(factory, [alice], { wishes: [[1, 1]], max: 4 });
+      assert.equal(await group.windowAvailable(1, 1), false);      // Alice holds cycle 1
+      assert.equal(await group.windowAvailable(0, 2), true);
+      assert.equal(await group.windowAvailable(4, 0), true);
+      assert.equal(await group.windowAvailable(3, 2), false);
+
+      await group.join(2, 2, { from: bob });
+      assert.equal(await group.windowAvailable(0, 2), false);      // 1 and 2 both taken
+      assert.equal(await group.windowAvailable(0, 3), true);
+
+      await group.join(0, 3, { from: carol });
+      assert.equal(await group.windowAvailable(0, 3), false);
+      assert.equal(await group.windowAvailable(0, 0), true);
+
+      await group.join(0, 0, { from: dan });
+      assert.equal(await group.windowAvailable(0, 0), false);      // started
+    });
+
+    it("has no windows to offer in bidding mode", async () => {
+      const { group } = await spawnGroup(factory, [alice], {
+        max: 3, interval: 100, payoutMode: MODE.OpenBid, bidWindow: 50,
+      });
+      assert.equal(await group.windowAvailable(0, 0), false);
+    });
+  });
 });
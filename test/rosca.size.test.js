@@ -0,0 +1,27 @@
+/**
+ *  test/rosca.size.test.js
+ *
+ *  EIP-170 caps deployed code at 24,576 bytes; a contract over it simply
+ *  fails to deploy.  Checks every contract a deployment needs against the
+ *  cap, so growing past it fails here rather than at migration time, and
+ *  prints what room each has left.
+ */
+const EIP170_LIMIT = 24576;
+
+const CONTRACTS = ["ROSCA", "ROSCAExtension", "ROSCAGovernance", "ROSCAFactory", "ROSCAForwarder"];
+
+contract("ROSCA – contract size", () => {
+  it("keeps every deployed contract under the EIP-170 limit", async () => {
+    const rows = CONTRACTS.map((name) => {
+      const size = (artifacts.require(name).deployedBytecode.length - 2) / 2;
+      return { Contract: name, Bytes: size, Headroom: EIP170_LIMIT - size };
+    });
+
+    console.log("\nDeployed bytecode size (EIP-170 limit 24,576 bytes):");
+    console.table(rows);
+
+    for (const r of rows) {
+      assert(r.Headroom >= 0, `${r.Contract} is ${-r.Headroom} bytes over the limit`);
+    }
+  });
+});
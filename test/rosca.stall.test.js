@@ -0,0 +1,278 @@
+/**
+ *  test/rosca.stall.test.js
+ *
+ *  Stalled groups: without collateral a silent member blocks the payout.
+ *  One interval after the payout (and grace) time, this cycle's payers vote
+ *  by strict majority to drop the defaulters or to wind the group down.
+ *
+ *  Rules:
+ *    • a member voted out before their turn loses their slot – the schedule
+ *      gets one cycle shorter – and what they paid in stays in the pots;
+ *    • one voted out after their turn keeps the pot, the schedule is unchanged;
+ *    • pots shrink to contribution × members still paying;
+ *    • winding down repays, from this cycle's contributions, everything the
+ *      payers still waiting for a pot have put in (pro rata if it falls
+ *      short) and splits what is left equally among this cycle's payers.
+ */
+const {
+  ETH, toBN, REMEDY, MODE,
+  deployFactory,
+  spawnGroup,
+  pay,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – stalled groups", (accounts) => {
+  const [alice, bob, carol, dan] = accounts;
+  const roster   = [alice, bob, carol, dan];    // payout order == join order
+  const fee      = ETH(1);
+  const INTERVAL = 100;
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  const stallGroup = (opts = {}) =>
+    spawnGroup(factory, roster, { contribution: fee, interval: INTERVAL, ...opts });
+
+  /** members not in `skip` pay; settle unless someone skipped */
+  const playCycle = async (group, skip = [], members = roster) => {
+    for (const u of members) if (!skip.includes(u)) await pay(group, u, fee);
+    await time.increase(INTERVAL + 5);
+    if (skip.length === 0) return group.triggerPayout({ from: bob });
+  };
+
+  const untilRemedy = () => time.increase(INTERVAL + 5);
+
+  /** every member claims what they are owed; the group must end up empty */
+  const settleAll = async (group) => {
+    for (const u of roster) {
+      if (!(await group.withdrawable(u)).isZero()) await group.withdraw({ from: u });
+    }
+    assert.equal(await web3.eth.getBalance(group.address), "0");
+  };
+
+  describe("voting", () => {
+    it("opens one interval after the payout time, to payers only", async () => {
+      const { group } = await stallGroup();
+      await expectRevert(group.voteRemedy(REMEDY.WindDown, { from: alice }), "ROSCA: pay first");
+
+      await playCycle(group, [dan]);
+      await expectRevert(group.triggerPayout({ from: bob }), "ROSCA: unpaid member");
+      await expectRevert(group.voteRemedy(REMEDY.WindDown, { from: alice }), "ROSCA: too early");
+      await expectRevert(group.voteRemedy(REMEDY.None, { from: alice }), "ROSCA: no remedy");
+
+      await untilRemedy();
+      await expectRevert(group.voteRemedy(REMEDY.WindDown, { from: dan }), "ROSCA: pay first");
+      const rec = await group.voteRemedy(REMEDY.WindDown, { from: alice });
+      expectEvent(rec, "RemedyVoted", { voter: alice, cycle: toBN(0), remedy: toBN(REMEDY.WindDown) });
+      await expectRevert(group.voteRemedy(REMEDY.WindDown, { from: alice }), "ROSCA: already voted");
+    });
+
+    it("is not needed while everyone pays, nor with collateral", async () => {
+      const { group } = await stallGroup();
+      for (const u of roster) await pay(group, u, fee);
+      await time.increase(2 * INTERVAL + 10);
+      await expectRevert(group.voteRemedy(REMEDY.DropDefaulters, { from: alice }),
+                         "ROSCA: nobody in default");
+
+      const { group: bonded } = await stallGroup({ collateral: true });
+      await expectRevert(bonded.voteRemedy(REMEDY.DropDefaulters, { from: alice }),
+                         "ROSCA: collateral covers defaults");
+    });
+
+    it("runs a remedy once it has a strict majority; votes can change", async () => {
+      const { group } = await stallGroup();
+      await playCycle(group, [dan]);
+      await untilRemedy();
+
+      await group.voteRemedy(REMEDY.WindDown, { from: alice });
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: bob });
+      assert((await group.remedyVotes(0, REMEDY.WindDown)).eqn(1));
+
+      /* Alice switches: 2 of 3 payers is a majority */
+      const rec = await group.voteRemedy(REMEDY.DropDefaulters, { from: alice });
+      expectEvent(rec, "MemberVotedOut", { member: dan, cycle: toBN(0), paidOut: false });
+      assert((await group.remedyVotes(0, REMEDY.WindDown)).isZero());
+      assert.equal(await group.remedyVote(0, alice), String(REMEDY.DropDefaulters));
+      await expectRevert(group.voteRemedy(REMEDY.WindDown, { from: carol }),
+                         "ROSCA: nobody in default");
+    });
+  });
+
+  describe("dropping defaulters", () => {
+    it("before their turn: smaller pots, one cycle less", async () => {
+      const { group } = await stallGroup();
+      await playCycle(group);                                       // cycle 0 → Alice
+      await playCycle(group, [carol]);
+      await untilRemedy();
+
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: alice });
+      const rec = await group.voteRemedy(REMEDY.DropDefaulters, { from: dan });
+      expectEvent(rec, "MemberVotedOut", { member: carol, cycle: toBN(1), paidOut: false });
+      assert.equal(await group.votedOut(carol), true);
+      assert((await group.activeMembers()).eqn(3));
+      assert((await group.totalCycles()).eqn(3));
+      assert((await group.payoutSize()).eq(toBN(ETH(3))));
+      assert.equal(await group.payoutOrder(2), dan);
+      assert.equal(await group.allContributed(), true);
+
+      const tx1 = await group.triggerPayout({ from: bob });
+      expectEvent(tx1, "Payout", { recipient: bob, cycle: toBN(1), amount: ETH(3) });
+      await expectRevert(pay(group, carol, fee), "ROSCA: user expelled");
+
+      const tx2 = await playCycle(group, [], [alice, bob, dan]);
+      expectEvent(tx2, "Payout", { recipient: dan, cycle: toBN(2), amount: ETH(3) });
+      expectEvent(tx2, "GroupFinished");
+      assert.equal(await group.finished(), true);
+
+      /* Carol's cycle‑0 payment stayed in Alice's pot */
+      assert((await group.withdrawable(alice)).eq(toBN(ETH(4))));
+      assert((await group.withdrawable(carol)).isZero());
+      await settleAll(group);
+    });
+
+    it("after their turn: the schedule is unchanged", async () => {
+      const { group } = await stallGroup();
+      await playCycle(group);                                       // Alice paid out
+      await playCycle(group, [alice]);
+      await untilRemedy();
+
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: bob });
+      const rec = await group.voteRemedy(REMEDY.DropDefaulters, { from: carol });
+      expectEvent(rec, "MemberVotedOut", { member: alice, paidOut: true });
+      assert((await group.totalCycles()).eqn(4));
+      await group.triggerPayout({ from: bob });
+
+      for (const who of [carol, dan]) {
+        const tx = await playCycle(group, [], [bob, carol, dan]);
+        expectEvent(tx, "Payout", { recipient: who, amount: ETH(3) });
+      }
+      assert.equal(await group.finished(), true);
+      await settleAll(group);
+    });
+
+    it("in the last cycle, hands the contributions back", async () => {
+      const { group } = await stallGroup();
+      for (let r = 0; r < 3; r++) await playCycle(group);
+      await playCycle(group, [dan]);                                // Dan's own turn
+      await untilRemedy();
+
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: alice });
+      const rec = await group.voteRemedy(REMEDY.DropDefaulters, { from: bob });
+      expectEvent(rec, "GroupWoundDown", { cycle: toBN(3), pool: ETH(3) });
+      for (const u of [alice, bob, carol]) {
+        expectEvent(rec, "SettlementCredited", { member: u, amount: ETH(1) });
+      }
+      assert.equal(await group.finished(), true);
+    });
+  });
+
+  describe("dropping defaulters in an auction", () => {
+    const auctionGroup = () => stallGroup({ payoutMode: MODE.OpenBid, bidWindow: 50 });
+
+    /** the others pay cycle 0, `bidder` bids `bid`, Dan is dropped */
+    const dropDan = async (group, bidder, bid) => {
+      for (const u of [alice, bob, carol]) await pay(group, u, fee);
+      await time.increase(60);                                      // bid window
+      await group.placeBid(bid, { from: bidder });
+      await time.increase(150);                                     // remedy opens
+      await group.voteRemedy(REMEDY.DropDefaulters, { from: alice });
+      return group.voteRemedy(REMEDY.DropDefaulters, { from: bob });
+    };
+
+    it("cancels the bid of a dropped member", async () => {
+      const { group } = await auctionGroup();
+      const rec = await dropDan(group, dan, ETH(2));
+      expectEvent(rec, "MemberVotedOut", { member: dan });
+      assert.equal(await group.bestBidder(), "0x0000000000000000000000000000000000000000");
+      assert((await group.bestBid()).isZero());
+
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "AuctionSettled", { winner: alice, winningBid: ETH(3), surplus: toBN(0) });
+      expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+      expectEvent.notEmitted(tx, "SurplusShared");
+
+      /* everyone who kept paying gets a pot */
+      for (const who of [bob, carol]) {
+        const next = await playCycle(group, [], [alice, bob, carol]);
+        expectEvent(next, "Payout", { recipient: who, amount: ETH(3) });
+      }
+      assert.equal(await group.finished(), true);
+      assert((await group.withdrawable(dan)).isZero());
+      await settleAll(group);
+    });
+
+    it("cancels a bid the smaller pot cannot cover", async () => {
+      const { group } = await auctionGroup();
+      await dropDan(group, carol, ETH(3.5));                        // pot shrinks to 3
+      assert.equal(await group.bestBidder(), "0x0000000000000000000000000000000000000000");
+
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "AuctionSettled", { winner: alice, winningBid: ETH(3) });
+      expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+    });
+
+    it("keeps a bid the smaller pot still covers", async () => {
+      const { group } = await auctionGroup();
+      await dropDan(group, carol, ETH(2.5));
+      assert.equal(await group.bestBidder(), carol);
+
+      const tx = await group.triggerPayout({ from: bob });
+      expectEvent(tx, "AuctionSettled", { winner: carol, winningBid: ETH(2.5) });
+      expectEvent(tx, "Payout", { recipient: carol, amount: ETH(2.5) });
+    });
+  });
+
+  describe("winding down", () => {
+    it("refunds everybody who paid in the first cycle", async () => {
+      const { group } = await stallGroup();
+      await playCycle(group, [bob]);
+      await untilRemedy();
+
+      await group.voteRemedy(REMEDY.WindDown, { from: alice });
+      const rec = await group.voteRemedy(REMEDY.WindDown, { from: carol });
+      expectEvent(rec, "GroupWoundDown", { cycle: toBN(0), pool: ETH(3) });
+      expectEvent(rec, "GroupFinished");
+      for (const u of [alice, carol, dan]) {
+        expectEvent(rec, "SettlementCredited", { member: u, amount: ETH(1) });
+      }
+      assert.equal(await group.woundDown(), true);
+      await expectRevert(group.triggerPayout({ from: alice }), "ROSCA: finished");
+      await expectRevert(pay(group, bob, fee), "ROSCA: finished");
+      await settleAll(group);
+    });
+
+    it("repays members still waiting for a pot first, pro rata", async () => {
+      const { group } = await stallGroup();
+      await playCycle(group);                                       // → Alice
+      await playCycle(group);                                       // → Bob
+      await playCycle(group, [bob, dan]);
+      await untilRemedy();
+
+      /* only Carol is still owed: 3 ETH in, 2 ETH in the pool */
+      await group.voteRemedy(REMEDY.WindDown, { from: alice });
+      const rec = await group.voteRemedy(REMEDY.WindDown, { from: carol });
+      expectEvent(rec, "SettlementCredited", { member: carol, amount: ETH(2) });
+      expectEvent.notEmitted(rec, "MemberVotedOut");
+      assert((await group.withdrawable(alice)).eq(toBN(ETH(4))));   // her pot only
+      assert((await group.withdrawable(carol)).eq(toBN(ETH(2))));
+      await settleAll(group);
+    });
+
+    it("shares a short pool between waiting members by what they paid in", async () => {
+      const { group } = await stallGroup();
+      await playCycle(group);                                       // → Alice
+      await playCycle(group, [dan]);
+      await untilRemedy();
+
+      /* Bob and Carol are owed 2 ETH each, the pool holds 3 */
+      await group.voteRemedy(REMEDY.WindDown, { from: bob });
+      const rec = await group.voteRemedy(REMEDY.WindDown, { from: carol });
+      expectEvent(rec, "SettlementCredited", { member: bob,   amount: ETH(1.5) });
+      expectEvent(rec, "SettlementCredited", { member: carol, amount: ETH(1.5) });
+      assert((await group.withdrawable(alice)).eq(toBN(ETH(4))));
+      await settleAll(group);
+    });
+  });
+});
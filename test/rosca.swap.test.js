@@ -0,0 +1,100 @@
+/**
+ *  test/rosca.swap.test.js
+ *
+ *  Slot swaps: once the schedule is fixed, two members still waiting for
+ *  their pot may trade places.  One proposes (optionally paying the other),
+ *  the other accepts or rejects before the deadline.
+ */
+const {
+  ETH, toBN, MODE,
+  deployFactory,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – slot swaps", (accounts) => {
+  const [alice, bob, carol, dan, erin] = accounts;
+  const roster = [alice, bob, carol, dan];      // payout order == join order
+  const fee    = ETH(1);
+  let factory, group, deadline;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  beforeEach(async () => {
+    ({ group } = await spawnGroup(factory, roster, { contribution: fee, interval: 100 }));
+    deadline = (await time.latest()).addn(1000);
+  });
+
+  const order     = () => Promise.all(roster.map((_, i) => group.payoutOrder(i)));
+  const playCycle = async () => {
+    for (const u of roster) await pay(group, u, fee);
+    await later(101);
+    return group.triggerPayout({ from: bob });
+  };
+
+  it("swaps slots and pays the side payment on accept", async () => {
+    const rec = await group.proposeSwap(dan, ETH(0.2), deadline, { from: bob, value: ETH(0.2) });
+    expectEvent(rec, "SwapProposed", {
+      id: toBN(1), proposer: bob, counterparty: dan, sidePayment: ETH(0.2), deadline,
+    });
+    assert.deepEqual((await group.openSwaps()).map(String), ["1"]);
+
+    const acc = await group.acceptSwap(1, { from: dan });
+    expectEvent(acc, "SwapAccepted", { id: toBN(1), proposerSlot: toBN(1), counterpartySlot: toBN(3) });
+    assert.deepEqual(await order(), [alice, dan, carol, bob]);
+    assert((await group.withdrawable(dan)).eq(toBN(ETH(0.2))));
+    assert.deepEqual(await group.openSwaps(), []);
+
+    await playCycle();
+    const tx = await playCycle();
+    expectEvent(tx, "Payout", { recipient: dan, cycle: toBN(1) });
+  });
+
+  it("refunds the side payment on reject, cancel or expiry", async () => {
+    await group.proposeSwap(carol, ETH(0.1), deadline, { from: dan, value: ETH(0.1) });
+    await expectRevert(group.rejectSwap(1, { from: bob }), "ROSCA: not counterparty");
+    expectEvent(await group.rejectSwap(1, { from: carol }), "SwapRejected", { id: toBN(1) });
+    assert((await group.withdrawable(dan)).eq(toBN(ETH(0.1))));
+    await expectRevert(group.acceptSwap(1, { from: carol }), "ROSCA: no such swap");
+
+    await group.proposeSwap(carol, 0, deadline, { from: dan });
+    await expectRevert(group.cancelSwap(2, { from: carol }), "ROSCA: not proposer");
+    expectEvent(await group.cancelSwap(2, { from: dan }), "SwapCancelled", { id: toBN(2) });
+
+    await group.proposeSwap(carol, ETH(0.1), deadline, { from: dan, value: ETH(0.1) });
+    await time.increase(1001);
+    await expectRevert(group.acceptSwap(3, { from: carol }), "ROSCA: swap expired");
+    await group.cancelSwap(3, { from: erin });            // anyone may clear it now
+    assert((await group.withdrawable(dan)).eq(toBN(ETH(0.2))));
+    assert.equal(await group.payoutOrder(2), carol);
+  });
+
+  it("only lets members who are still waiting trade", async () => {
+    await playCycle();                                    // Alice paid out
+    await expectRevert(group.proposeSwap(alice, 0, deadline, { from: bob }), "ROSCA: already paid out");
+    await expectRevert(group.proposeSwap(carol, 0, deadline, { from: alice }), "ROSCA: already paid out");
+    await expectRevert(group.proposeSwap(erin, 0, deadline, { from: bob }), "ROSCA: not in group");
+    await expectRevert(group.proposeSwap(bob, 0, deadline, { from: bob }), "ROSCA: swap with self");
+    await expectRevert(group.proposeSwap(carol, 0, 1, { from: bob }), "ROSCA: deadline passed");
+    await expectRevert(group.proposeSwap(carol, ETH(1), deadline, { from: bob }),
+                       "ROSCA: wrong side payment");
+
+    /* Bob's slot comes up before Carol accepts */
+    await group.proposeSwap(carol, 0, deadline, { from: bob });
+    await playCycle();
+    await expectRevert(group.acceptSwap(1, { from: carol }), "ROSCA: already paid out");
+  });
+
+  it("needs a fixed schedule that is running", async () => {
+    const { group: open } = await spawnGroup(factory, [alice, bob], { max: 3 });
+    await expectRevert(open.proposeSwap(bob, 0, deadline, { from: alice }), "ROSCA: not running");
+
+    const { group: auction } = await spawnGroup(factory, [alice, bob], {
+      interval: 100, payoutMode: MODE.OpenBid, bidWindow: 50,
+    });
+    await expectRevert(auction.proposeSwap(bob, 0, deadline, { from: alice }),
+                       "ROSCA: no fixed schedule");
+  });
+});
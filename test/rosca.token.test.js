@@ -0,0 +1,111 @@
+/**
+ *  test/rosca.token.test.js
+ *
+ *  ERC-20 (stablecoin) groups vs. classic ETH groups.
+ */
+const {
+  ETH, toBN,
+  deployFactory,
+  createGroup,
+  spawnGroup,
+  pay, payToken, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent } = require("@openzeppelin/test-helpers");
+const MockERC20 = artifacts.require("MockERC20");
+
+contract("ROSCA – ERC-20 contributions", (accounts) => {
+  const [alice, bob, carol, erin] = accounts;
+  const roster = [alice, bob, carol];
+  const USD    = (n) => toBN(n).mul(toBN(1e6));   // mUSD has 6 decimals
+  let factory, token;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  beforeEach(async () => {
+    token = await MockERC20.new();
+    for (const u of [...roster, erin]) await token.mint(u, USD(1000));
+  });
+
+  describe("token mode", () => {
+    it("pulls contributions and pays the pot in tokens", async () => {
+      const fee = USD(10);
+      const { group } = await spawnGroup(factory, roster, { contribution: fee, token });
+      assert.equal(await group.token(), token.address);
+
+      for (const u of roster) {
+        const rec = await payToken(group, token, u, fee);
+        expectEvent(rec, "Contributed", { who: u, amount: fee });
+      }
+      assert((await token.balanceOf(group.address)).eq(USD(30)));
+      assert.equal(await web3.eth.getBalance(group.address), "0");
+
+      await later();
+      await group.triggerPayout({ from: carol });
+      assert((await group.withdrawable(alice)).eq(USD(30)));
+      await group.withdraw({ from: alice });
+      assert((await token.balanceOf(alice)).eq(USD(1020)));   // 1000 − 10 + 30
+      assert((await token.balanceOf(group.address)).isZero());
+    });
+
+    it("rejects ETH and missing allowance", async () => {
+      const fee = USD(10);
+      const { group } = await spawnGroup(factory, roster, { contribution: fee, token });
+
+      await expectRevert(
+        group.contribute({ from: alice, value: ETH(1) }),
+        "ROSCA: token mode"
+      );
+      await expectRevert.unspecified(group.contribute({ from: alice }));   // no approve
+    });
+
+    it("holds collateral in tokens, taps it on default and refunds the rest", async () => {
+      const fee = USD(10);
+      const { group } = await spawnGroup(
+        factory, roster, { contribution: fee, token, collateral: true }
+      );
+      assert((await token.balanceOf(group.address)).eq(USD(90)));   // 3 × 30 stake
+
+      /* Alice never pays – covered from her stake each cycle */
+      for (let r = 0; r < 3; r++) {
+        for (const u of [bob, carol]) await payToken(group, token, u, fee);
+        await later();
+        await group.triggerPayout({ from: bob });
+      }
+      assert.equal(await group.finished(), true);
+
+      const before = await token.balanceOf(bob);
+      await group.refundCollateral({ from: bob });
+      await group.withdraw({ from: bob });
+      assert((await token.balanceOf(bob)).sub(before).eq(USD(65)));   // pot + ½ forfeit + stake
+
+      /* Alice forfeited her pot: it paid her last two cycles, one came off her stake */
+      await group.refundCollateral({ from: alice });
+      assert((await group.withdrawable(alice)).eq(USD(20)));
+      assert((await token.balanceOf(group.address)).eq(USD(85)));   // Carol 65 + Alice 20
+    });
+
+    it("collateral join needs an allowance and no ETH", async () => {
+      const { group } = await createGroup(factory, {
+        contribution: USD(10), maxParticipants: 2, useCollateral: true, token: token.address,
+      }, alice);
+
+      await expectRevert.unspecified(group.join(0, 0, { from: erin }));
+      await token.approve(group.address, USD(20), { from: erin });
+      await expectRevert(group.join(0, 0, { from: erin, value: 1 }), "ROSCA: token mode");
+      await group.join(0, 0, { from: erin });
+      assert((await group.memberInfo(erin)).collateralRemaining.eq(USD(20)));
+    });
+  });
+
+  describe("ETH mode unchanged", () => {
+    it("reports no token and still moves ETH", async () => {
+      const { group, contribution } = await spawnGroup(factory, roster);
+      assert.equal(await group.token(), "0x0000000000000000000000000000000000000000");
+
+      await expectRevert(pay(group, alice, ETH(2)), "ROSCA: wrong amount");
+      for (const u of roster) await pay(group, u, contribution);
+      assert.equal(await web3.eth.getBalance(group.address), ETH(3));
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ *  test/rosca.upkeep.test.js
+ *
+ *  Keepers: `checkUpkeep` tells when a payout is due and `performUpkeep`
+ *  runs it, paying the caller a bounty from an optional pool.  The factory
+ *  does the same across its running groups in one batch.  Time travel as
+ *  in `rosca.full.test.js`.
+ */
+const {
+  ETH, toBN,
+  deployFactory,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – upkeep", (accounts) => {
+  const [alice, bob, carol, dan, keeper] = accounts;
+  const roster = [alice, bob, carol];
+  const fee    = ETH(1);
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  const due = async (target, data = "0x") => (await target.checkUpkeep(data)).upkeepNeeded;
+  const payAll = (group, members = roster) => Promise.all(members.map((u) => pay(group, u, fee)));
+
+  describe("group", () => {
+    it("is due once the interval is over and everyone paid", async () => {
+      const { group } = await spawnGroup(factory, roster, { interval: 100 });
+      await payAll(group);
+      assert.equal(await due(group), false);
+
+      await later(105);
+      assert.equal(await due(group), true);
+      const tx = await group.performUpkeep("0x", { from: keeper });
+      expectEvent(tx, "Payout", { recipient: alice, amount: ETH(3) });
+      expectEvent(tx, "UpkeepPerformed", { keeper, cycle: toBN(0), bounty: toBN(0) });
+
+      assert.equal(await due(group), false);
+      await expectRevert(group.performUpkeep("0x", { from: keeper }), "ROSCA: interval");
+    });
+
+    it("waits out the grace period before collateral covers a defaulter", async () => {
+      const { group } = await spawnGroup(factory, roster, {
+        interval: 100, gracePeriod: 1000, collateral: true,
+      });
+      await payAll(group, [alice, bob]);
+      await later(105);
+      assert.equal(await due(group), false);
+
+      await later(1000);
+      assert.equal(await due(group), true);
+      const tx = await group.performUpkeep("0x", { from: keeper });
+      expectEvent(tx, "MemberExpelled", { member: carol });
+    });
+
+    it("is not due while a no-collateral group waits on a payer", async () => {
+      const { group } = await spawnGroup(factory, roster, { interval: 100 });
+      await payAll(group, [alice, bob]);
+      await later(105);
+      assert.equal(await due(group), false);
+
+      await group.prepay(1, { from: carol, value: fee });
+      assert.equal(await due(group), true);
+      const tx = await group.performUpkeep("0x", { from: keeper });
+      expectEvent(tx, "PrepaidUsed", { member: carol });
+    });
+
+    it("is never due while paused", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      await payAll(group);
+      await later();
+      await group.pause({ from: alice });
+      assert.equal(await due(group), false);
+    });
+  });
+
+  describe("bounty", () => {
+    it("pays the keeper from the pool while it lasts", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      await expectRevert.unspecified(group.setUpkeepBounty(ETH(0.1), { from: bob }));
+      const set = await group.setUpkeepBounty(ETH(0.1), { from: alice });
+      expectEvent(set, "UpkeepBountySet", { bounty: ETH(0.1) });
+
+      await expectRevert(group.fundUpkeep(0, { from: dan }), "ROSCA: no amount");
+      await expectRevert(group.fundUpkeep(ETH(0.15), { from: dan, value: 1 }), "ROSCA: wrong amount");
+      const fund = await group.fundUpkeep(ETH(0.15), { from: dan, value: ETH(0.15) });
+      expectEvent(fund, "UpkeepFunded", { by: dan, amount: ETH(0.15) });
+
+      const paid = [ETH(0.1), ETH(0.05), "0"];
+      for (let r = 0; r < 3; r++) {
+        await payAll(group);
+        await later();
+        const tx = await group.performUpkeep("0x", { from: keeper });
+        expectEvent(tx, "UpkeepPerformed", { keeper, cycle: toBN(r), bounty: paid[r] });
+      }
+      assert((await group.withdrawable(keeper)).eq(toBN(ETH(0.15))));
+      assert((await group.bountyPool()).isZero());
+    });
+
+    it("goes back to the owner once the group is over", async () => {
+      const { group } = await spawnGroup(factory, roster);
+      await group.setUpkeepBounty(ETH(0.1), { from: alice });
+      await group.fundUpkeep(ETH(1), { from: dan, value: ETH(1) });
+
+      for (let r = 0; r < 3; r++) {
+        if (r === 2) {
+          await expectRevert(group.reclaimBountyPool({ from: alice }), "ROSCA: rounds ongoing");
+        }
+        await payAll(group);
+        await later();
+        await group.performUpkeep("0x", { from: keeper });
+      }
+      await expectRevert.unspecified(group.reclaimBountyPool({ from: bob }));
+
+      const before = await group.withdrawable(alice);
+      await group.reclaimBountyPool({ from: alice });
+      assert((await group.withdrawable(alice)).sub(before).eq(toBN(ETH(0.7))));
+      await expectRevert(group.reclaimBountyPool({ from: alice }), "ROSCA: nothing to reclaim");
+
+      for (const u of [...roster, keeper]) await group.withdraw({ from: u });
+      assert.equal(await web3.eth.getBalance(group.address), "0");
+    });
+  });
+
+  describe("factory batch", () => {
+    beforeEach(async () => ({ factory } = await deployFactory()));
+
+    const dueGroups = async (checkData = "0x") => {
+      const { upkeepNeeded, performData } = await factory.checkUpkeep(checkData);
+      return { upkeepNeeded, performData, groups: web3.eth.abi.decodeParameter("address[]", performData) };
+    };
+
+    it("finds and runs every running group with a payout due", async () => {
+      const { group: g1 } = await spawnGroup(factory, roster);
+      const { group: g2 } = await spawnGroup(factory, roster);
+      const { group: idle } = await spawnGroup(factory, roster);
+      await spawnGroup(factory, roster, { max: 4 });            // still open
+      await payAll(g1);
+      await payAll(g2);
+      await payAll(idle, [alice, bob]);
+      await later();
+
+      await g1.setUpkeepBounty(ETH(0.1), { from: alice });
+      await g1.fundUpkeep(ETH(0.1), { from: dan, value: ETH(0.1) });
+
+      const { upkeepNeeded, performData, groups } = await dueGroups();
+      assert.equal(upkeepNeeded, true);
+      assert.sameMembers(groups, [g1.address, g2.address]);
+
+      const tx = await factory.performUpkeep(performData, { from: keeper });
+      await expectEvent.inTransaction(tx.tx, g1, "UpkeepPerformed", { keeper, bounty: ETH(0.1) });
+      await expectEvent.inTransaction(tx.tx, g2, "Payout", { recipient: alice });
+      assert.equal(await g1.currentCycle(), "1");
+      assert.equal(await g2.currentCycle(), "1");
+      assert.equal(await idle.currentCycle(), "0");
+      assert((await g1.withdrawable(keeper)).eq(toBN(ETH(0.1))));
+
+      const after = await dueGroups();
+      assert.equal(after.upkeepNeeded, false);
+      assert.deepEqual(after.groups, []);
+    });
+
+    it("pages through the running groups and skips what is no longer due", async () => {
+      const { group: g1 } = await spawnGroup(factory, roster);
+      const { group: g2 } = await spawnGroup(factory, roster);
+      await payAll(g1);
+      await payAll(g2);
+      await later();
+
+      const page = web3.eth.abi.encodeParameters(["uint256", "uint256"], [1, 5]);
+      assert.deepEqual((await dueGroups(page)).groups, [g2.address]);
+
+      const twice = web3.eth.abi.encodeParameter("address[]", [g1.address, g1.address]);
+      await factory.performUpkeep(twice, { from: keeper });
+      assert.equal(await g1.currentCycle(), "1");
+
+      const stranger = web3.eth.abi.encodeParameter("address[]", [dan]);
+      await expectRevert(factory.performUpkeep(stranger), "not a group");
+    });
+  });
+});
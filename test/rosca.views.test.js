@@ -0,0 +1,92 @@
+/**
+ *  test/rosca.views.test.js
+ *
+ *  Single-call snapshot of a group and the per-cycle contribution history.
+ */
+const {
+  ETH, MODE,
+  deployFactory,
+  spawnGroup,
+  pay, later,
+} = require("./helpers");
+
+const { constants } = require("@openzeppelin/test-helpers");
+
+contract("ROSCA – snapshot views", (accounts) => {
+  const [alice, bob, carol, dan] = accounts;
+  const fee = ETH(1);
+  let factory;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  it("returns config, flags and roster before start", async () => {
+    const { group } = await spawnGroup(factory, [alice, bob], {
+      contribution: fee, interval: 60, collateral: true, max: 3, wishes: [0, 2],
+    });
+    const snap = await group.getSnapshot();
+
+    assert.equal(snap.config.contribution, fee);
+    assert.equal(snap.config.interval, "60");
+    assert.equal(snap.config.maxParticipants, "3");
+    assert.equal(snap.config.useCollateral, true);
+    assert.equal(snap.config.token, constants.ZERO_ADDRESS);
+    assert.equal(snap.config.payoutMode, String(MODE.Scheduled));
+    assert.equal(snap.owner, alice);
+    assert.equal(snap.started, false);
+    assert.equal(snap.paused, false);
+    assert.equal(snap.payoutSize, ETH(3));
+    assert.deepEqual(snap.participants, [alice, bob]);
+    assert.deepEqual(snap.payoutOrder, []);
+    assert.deepEqual(await group.getParticipants(), [alice, bob]);
+
+    const [a, b] = snap.members;
+    assert.equal(a.member, alice);
+    assert.equal(a.collateral, ETH(3));
+    assert.equal(b.latestCycle, "2");
+    assert.equal(b.paid, false);
+  });
+
+  it("tracks the current cycle and each member's status", async () => {
+    const { group } = await spawnGroup(factory, [alice, bob, carol], {
+      contribution: fee, collateral: true,
+    });
+    await pay(group, bob, fee);
+    await pay(group, carol, fee);
+
+    let snap = await group.getSnapshot();
+    assert.equal(snap.started, true);
+    assert.deepEqual(snap.payoutOrder, [alice, bob, carol]);
+    assert.equal(snap.contributedCount, "2");
+    assert.deepEqual(snap.members.map((m) => m.paid), [false, true, true]);
+
+    /* Alice defaults and is covered from collateral */
+    await later();
+    await group.triggerPayout({ from: bob });
+    snap = await group.getSnapshot();
+    assert.equal(snap.currentCycle, "1");
+    assert.equal(snap.nextPayoutTime, snap.payoutOpensAt);
+    assert.deepEqual(snap.members.map((m) => m.paid), [false, false, false]);
+    assert.deepEqual(snap.members.map((m) => m.expelled), [true, false, false]);
+    assert.deepEqual(snap.members.map((m) => m.paidOut), [true, false, false]);
+    assert.equal(snap.members[0].collateral, ETH(4));       // 3 − 1 + 2 reserved from her pot
+    assert.equal(snap.members[0].withdrawable, "0");        // pot forfeited
+    assert.equal(snap.members[1].withdrawable, ETH(0.5));
+  });
+
+  it("answers who paid in past cycles", async () => {
+    const { group } = await spawnGroup(factory, [alice, bob, carol], {
+      contribution: fee, collateral: true,
+    });
+    for (const u of [bob, carol]) await pay(group, u, fee);
+    await later();
+    await group.triggerPayout({ from: bob });
+    await pay(group, carol, fee);   // cycle 1 still open
+
+    assert.deepEqual(await group.contributorsIn(0), [bob, carol]);
+    assert.deepEqual(await group.contributorsIn(1), [carol]);
+    assert.equal(await group.contributedIn(0, alice), false);
+    assert.equal(await group.contributedIn(0, bob), true);
+    assert.equal(await group.contributedIn(0, dan), false);
+    assert.deepEqual(await group.contributorsIn(5), []);
+  });
+});
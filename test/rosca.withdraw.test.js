@@ -0,0 +1,82 @@
+/**
+ *  test/rosca.withdraw.test.js
+ *
+ *  Pull payments: pots and refunds are credited, then claimed with
+ *  `withdraw()`.  A member contract that rejects ETH must not stall the
+ *  rotation for everybody else.
+ */
+const {
+  ETH, toBN,
+  deployFactory,
+  createGroup,
+  pay, later,
+} = require("./helpers");
+
+const { expectRevert, expectEvent, balance } = require("@openzeppelin/test-helpers");
+const RevertingMember = artifacts.require("RevertingMember");
+
+contract("ROSCA – pull payments", (accounts) => {
+  const [alice, bob, carol] = accounts;
+  const fee = ETH(1);
+  let factory, group, rogue;
+
+  before(async () => ({ factory } = await deployFactory()));
+
+  /* the reverting contract joins first, so it is first in line for the pot */
+  beforeEach(async () => {
+    ({ group } = await createGroup(factory, { contribution: fee, maxParticipants: 3 }, alice));
+    rogue = await RevertingMember.new();
+    await rogue.join(group.address, 0);
+    await group.join(0, 0, { from: bob });
+    await group.join(0, 0, { from: carol });
+  });
+
+  const playCycle = async () => {
+    await rogue.contribute(group.address, { value: fee });
+    for (const u of [bob, carol]) await pay(group, u, fee);
+    await later();
+    return group.triggerPayout({ from: bob });
+  };
+
+  it("credits the pot instead of pushing it", async () => {
+    assert.equal(await group.payoutOrder(0), rogue.address);
+
+    const tx = await playCycle();
+    expectEvent(tx, "Payout", { recipient: rogue.address, amount: ETH(3) });
+    assert((await group.withdrawable(rogue.address)).eq(toBN(ETH(3))));
+    assert((await group.currentCycle()).eqn(1));
+    assert.equal(await web3.eth.getBalance(group.address), ETH(3));
+  });
+
+  it("a reverting recipient only blocks its own withdrawal", async () => {
+    for (let r = 0; r < 3; r++) await playCycle();
+    assert.equal(await group.finished(), true);
+
+    await expectRevert.unspecified(rogue.withdraw(group.address));
+    assert((await group.withdrawable(rogue.address)).eq(toBN(ETH(3))));
+
+    for (const u of [bob, carol]) {
+      const gain = await balance.tracker(u);
+      const rec  = await group.withdraw({ from: u });
+      expectEvent(rec, "Withdrawn", { member: u, amount: ETH(3) });
+      assert((await gain.delta()).gt(toBN(ETH(2.9))));   // 3 − gas
+    }
+    assert.equal(await web3.eth.getBalance(group.address), ETH(3));
+  });
+
+  it("refuses empty and repeated withdrawals", async () => {
+    await expectRevert(group.withdraw({ from: bob }), "ROSCA: nothing to withdraw");
+
+    for (let r = 0; r < 2; r++) await playCycle();
+    await group.withdraw({ from: bob });
+    assert((await group.withdrawable(bob)).isZero());
+    await expectRevert(group.withdraw({ from: bob }), "ROSCA: nothing to withdraw");
+  });
+
+  it("is blocked while paused", async () => {
+    await playCycle();
+    await group.pause({ from: alice });
+    await expectRevert.unspecified(rogue.withdraw(group.address));
+    await expectRevert.unspecified(group.withdraw({ from: bob }));
+  });
+});